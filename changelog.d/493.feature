@@ -0,0 +1 @@
+Add `PostgresRoomBridgeStore`, a PostgreSQL-backed room store.
@@ -0,0 +1 @@
+Add `PostgresUserBridgeStore`, a PostgreSQL-backed user store which supports data field queries.
@@ -0,0 +1 @@
+Add `PostgresEventBridgeStore`, a PostgreSQL-backed event store with an optional retention policy.
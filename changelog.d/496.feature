@@ -0,0 +1 @@
+Add a store migrator and `--migrate-stores` CLI option to copy bridge stores between NeDB and PostgreSQL.
@@ -0,0 +1 @@
+Add `RoomStore`, `UserStore` and `EventStore` interfaces implemented by every bridge store backend.
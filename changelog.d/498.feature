@@ -0,0 +1 @@
+Add in-memory implementations of the room, user and event stores for use in tests.
@@ -0,0 +1 @@
+Add `runStoreTransaction` to apply writes across the room, user and event stores atomically.
@@ -0,0 +1 @@
+Support down-migrations, explicit checksums and schema status reporting in `PostgresStore`, and apply each migration in a locked transaction.
@@ -0,0 +1 @@
+Add PostgreSQL and file-backed provisioning stores, with expiry of widget sessions.
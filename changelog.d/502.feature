@@ -0,0 +1 @@
+Add provisioning routes to list and revoke individual widget sessions.
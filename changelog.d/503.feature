@@ -0,0 +1 @@
+Add opt-in provisioning routes to link and unlink rooms.
@@ -0,0 +1 @@
+Validate provisioning request bodies, queries and parameters against JSON schemas given to `addRoute`.
@@ -0,0 +1 @@
+Serve an OpenAPI document describing the provisioning routes.
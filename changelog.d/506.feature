@@ -0,0 +1 @@
+Add per-user and per-route rate limits to the provisioning API, with pluggable counter stores.
@@ -0,0 +1 @@
+Support multiple revocable provisioning tokens, which may be scoped to routes, users and rooms.
@@ -0,0 +1 @@
+Add an audit log of provisioning actions, with a route for administrators to query it.
@@ -0,0 +1 @@
+Add widget session refresh with a maximum session lifetime.
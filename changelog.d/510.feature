@@ -0,0 +1 @@
+Add a server-sent events stream of provisioning status updates.
@@ -0,0 +1 @@
+Make CORS for the provisioning API configurable, and answer preflight requests.
@@ -0,0 +1 @@
+Add liveness and readiness health check endpoints which report the status of the bridge's dependencies.
@@ -0,0 +1 @@
+Add a native encryption mode which uses the crypto data in appservice transactions instead of Pantalaimon.
@@ -0,0 +1 @@
+Add NeDB and PostgreSQL implementations of `ClientEncryptionStore`, and support device rotation.
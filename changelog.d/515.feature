@@ -0,0 +1 @@
+Supervise encryption sync loops, restarting them when they stall, and expose their health as metrics.
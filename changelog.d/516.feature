@@ -0,0 +1 @@
+Place encrypted rooms on as few sync loops as possible, and move rooms when their syncing user leaves or stalls.
@@ -0,0 +1 @@
+Encrypt media uploaded to encrypted rooms with `Intent.uploadContentForRoom`, and add `Intent.downloadMediaContent` to decrypt it.
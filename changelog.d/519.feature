@@ -0,0 +1 @@
+`Bridge.getRoomStore`, `getUserStore`, `getUserActivityStore` and `getEventStore` take the type of the configured store as an optional type parameter, which defaults to the NeDB store class.
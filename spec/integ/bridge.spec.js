@@ -612,6 +612,22 @@ describe("Bridge", function() {
             expect(bridge.getEventStore()).toEqual(eventStore);
         });
 
+        it("should accept stores which do not extend BridgeStore", async() => {
+            const customRoomStore = jasmine.createSpyObj("roomStore", ["getLinkedRemoteRooms"]);
+            const customUserStore = jasmine.createSpyObj("userStore", ["getRemoteUsersFromMatrixId"]);
+            const customBridge = new Bridge({
+                homeserverUrl: HS_URL,
+                domain: HS_DOMAIN,
+                registration: appServiceRegistration,
+                userStore: customUserStore,
+                roomStore: customRoomStore,
+                controller: bridgeCtrl,
+            });
+            await customBridge.loadDatabases();
+            expect(customBridge.getRoomStore()).toBe(customRoomStore);
+            expect(customBridge.getUserStore()).toBe(customUserStore);
+        });
+
         it("should be able to getRequestFactory", async() => {
             await bridge.run(101, appService);
             expect(bridge.getRequestFactory()).toBeDefined();
@@ -0,0 +1,52 @@
+import { PostgresClientEncryptionStore } from "../../src";
+import { getPgDatabase, initPostgres, isPostgresTestingEnabled } from "../helpers/postgres-helper";
+
+// Only run the tests if we've enabled postgres testing.
+const descr = isPostgresTestingEnabled() ? describe : xdescribe;
+
+descr("PostgresClientEncryptionStore", () => {
+    let store: PostgresClientEncryptionStore|undefined;
+    const session = { userId: "@_bridge_alice:bar", deviceId: "ALICE", accessToken: "token", syncToken: null };
+
+    beforeAll(() => {
+        initPostgres();
+    });
+
+    beforeEach(async () => {
+        store = new PostgresClientEncryptionStore({
+            url: await getPgDatabase(),
+        });
+        await store.ensureSchema();
+        await store.setStoredSession(session);
+        await store.setStoredSession({ ...session, userId: "@_bridge_bob:bar", deviceId: "BOB" });
+    });
+
+    afterEach(async () => {
+        await store?.destroy();
+    });
+
+    it("should store and replace sessions", async () => {
+        expect(await store?.getStoredSession(session.userId)).toEqual(session);
+        await store?.setStoredSession({ ...session, deviceId: "ALICE2" });
+        expect((await store?.getStoredSession(session.userId))?.deviceId).toEqual("ALICE2");
+        expect(await store?.getStoredSession("@nobody:bar")).toBeNull();
+    });
+
+    it("should update the sync token", async () => {
+        await store?.updateSyncToken(session.userId, "s123");
+        expect(await store?.getStoredSession(session.userId)).toEqual({ ...session, syncToken: "s123" });
+    });
+
+    it("should delete a session", async () => {
+        await store?.deleteStoredSession(session.userId);
+        expect(await store?.getStoredSession(session.userId)).toBeNull();
+    });
+
+    it("should prune sessions of users which no longer exist", async () => {
+        const pruned = await store?.pruneSessions(userId => userId.includes("alice"));
+        // The access token is needed to log the device out.
+        expect(pruned).toEqual([{ ...session, userId: "@_bridge_bob:bar", deviceId: "BOB" }]);
+        expect(await store?.getStoredSession("@_bridge_bob:bar")).toBeNull();
+        expect(await store?.getStoredSession(session.userId)).not.toBeNull();
+    });
+});
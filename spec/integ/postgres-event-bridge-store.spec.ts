@@ -0,0 +1,95 @@
+import { PostgresEventBridgeStore, StoredEvent } from "../../src";
+import { getPgDatabase, initPostgres, isPostgresTestingEnabled } from "../helpers/postgres-helper";
+
+// Only run the tests if we've enabled postgres testing.
+const descr = isPostgresTestingEnabled() ? describe : xdescribe;
+
+descr("PostgresEventBridgeStore", () => {
+    let store: PostgresEventBridgeStore|undefined;
+
+    beforeAll(() => {
+        initPostgres();
+    });
+
+    afterEach(async () => {
+        await store?.destroy();
+    });
+
+    describe("events", () => {
+        beforeEach(async () => {
+            store = new PostgresEventBridgeStore({
+                url: await getPgDatabase(),
+            });
+            await store.ensureSchema();
+        });
+
+        it("should store and retrieve an event by matrix and remote ids", async () => {
+            const ev = new StoredEvent("!room:bar", "$event", "remote_room", "remote_event", { foo: "bar" });
+            await store?.upsertEvent(ev);
+            const byMatrix = await store?.getEntryByMatrixId("!room:bar", "$event");
+            expect(byMatrix?.getRemoteEventId()).toEqual("remote_event");
+            expect(byMatrix?.get("foo")).toEqual("bar");
+            const byRemote = await store?.getEntryByRemoteId("remote_room", "remote_event");
+            expect(byRemote?.getMatrixEventId()).toEqual("$event");
+            expect(await store?.getEntryByMatrixId("!room:bar", "$nope")).toBeNull();
+        });
+
+        it("should update an existing event", async () => {
+            const ev = new StoredEvent("!room:bar", "$event", "remote_room", "remote_event");
+            await store?.upsertEvent(ev);
+            ev.set("edited", true);
+            await store?.upsertEvent(ev);
+            expect((await store?.getEntryByMatrixId("!room:bar", "$event"))?.get("edited")).toBeTrue();
+        });
+
+        it("should remove events", async () => {
+            await store?.upsertEvent(new StoredEvent("!room:bar", "$a", "remote_room", "a"));
+            await store?.upsertEvent(new StoredEvent("!room:bar", "$b", "remote_room", "b"));
+            expect(await store?.removeEventByMatrixId("!room:bar", "$a")).toEqual(1);
+            expect(await store?.removeEventByRemoteId("remote_room", "b")).toEqual(1);
+            expect(await store?.getEntryByMatrixId("!room:bar", "$b")).toBeNull();
+        });
+
+        it("should not prune without a retention policy", async () => {
+            await store?.upsertEvent(new StoredEvent("!room:bar", "$a", "remote_room", "a"));
+            expect(await store?.pruneEvents()).toEqual(0);
+        });
+    });
+
+    describe("retention", () => {
+        it("should only keep the most recent events in each room", async () => {
+            store = new PostgresEventBridgeStore({
+                url: await getPgDatabase(),
+                retention: { maxEventsPerRoom: 2 },
+            });
+            await store.ensureSchema();
+            for (const id of ["a", "b", "c"]) {
+                await store.upsertEvent(new StoredEvent("!room:bar", `$${id}`, "remote_room", id));
+                await new Promise(r => setTimeout(r, 5));
+            }
+            await store.upsertEvent(new StoredEvent("!other:bar", "$d", "remote_room", "d"));
+            expect(await store.pruneEvents()).toEqual(1);
+            expect(await store.getEntryByMatrixId("!room:bar", "$a")).toBeNull();
+            expect(await store.getEntryByMatrixId("!room:bar", "$b")).not.toBeNull();
+            expect(await store.getEntryByMatrixId("!other:bar", "$d")).not.toBeNull();
+        });
+
+        it("should remove events older than maxAgeMs", async () => {
+            store = new PostgresEventBridgeStore({
+                url: await getPgDatabase(),
+                retention: { maxAgeMs: 50 },
+            });
+            await store.ensureSchema();
+            await store.upsertEvent(new StoredEvent("!room:bar", "$old", "remote_room", "old"));
+            await new Promise(r => setTimeout(r, 100));
+            await store.upsertEvent(new StoredEvent("!room:bar", "$new", "remote_room", "new"));
+            expect(await store.pruneEvents()).toEqual(1);
+            expect(await store.getEntryByMatrixId("!room:bar", "$old")).toBeNull();
+            expect(await store.getEntryByMatrixId("!room:bar", "$new")).not.toBeNull();
+        });
+
+        it("should reject an invalid retention policy", () => {
+            expect(() => new PostgresEventBridgeStore({ retention: { maxEventsPerRoom: 0 } })).toThrowError();
+        });
+    });
+});
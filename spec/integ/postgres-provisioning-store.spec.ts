@@ -0,0 +1,67 @@
+import { PostgresProvisioningStore } from "../../src";
+import { getPgDatabase, initPostgres, isPostgresTestingEnabled } from "../helpers/postgres-helper";
+
+// Only run the tests if we've enabled postgres testing.
+const descr = isPostgresTestingEnabled() ? describe : xdescribe;
+
+descr("PostgresProvisioningStore", () => {
+    let store: PostgresProvisioningStore|undefined;
+
+    beforeAll(() => {
+        initPostgres();
+    });
+
+    beforeEach(async () => {
+        store = new PostgresProvisioningStore({
+            url: await getPgDatabase(),
+        });
+        await store.ensureSchema();
+        await store.createSession({ userId: "@alice:bar", token: "alice-1", expiresTs: Date.now() + 60000 });
+        await store.createSession({ userId: "@alice:bar", token: "alice-2", expiresTs: Date.now() - 1 });
+    });
+
+    afterEach(async () => {
+        await store?.destroy();
+    });
+
+    it("should get a session by token", async () => {
+        expect(await store?.getSessionForToken("alice-1")).toEqual({
+            userId: "@alice:bar",
+            token: "alice-1",
+            expiresTs: jasmine.any(Number),
+        });
+        expect(await store?.getSessionForToken("nope")).toBeNull();
+    });
+
+    it("should store session metadata", async () => {
+        const session = {
+            userId: "@bob:bar", token: "bob-1", expiresTs: Date.now() + 60000,
+            createdTs: Date.now(), userAgent: "Phone", ip: "::1",
+        };
+        await store?.createSession(session);
+        expect(await store?.getSessionForToken("bob-1")).toEqual(session);
+    });
+
+    it("should update when a session expires", async () => {
+        const expiresTs = Date.now() + 120000;
+        await store?.updateSessionExpiry("alice-1", expiresTs);
+        expect((await store?.getSessionForToken("alice-1"))?.expiresTs).toEqual(expiresTs);
+    });
+
+    it("should purge expired sessions", async () => {
+        expect((await store?.getSessionsForUser("@alice:bar"))?.map(s => s.token)).toEqual(["alice-1"]);
+        expect(await store?.getSessionForToken("alice-2")).toBeNull();
+        expect(await store?.purgeExpiredSessions()).toEqual(0);
+    });
+
+    it("should reject conflicting tokens", async () => {
+        await expectAsync(store?.createSession({
+            userId: "@bob:bar", token: "alice-1", expiresTs: Date.now() + 60000,
+        })).toBeRejected();
+    });
+
+    it("should delete sessions", async () => {
+        await store?.deleteAllSessions("@alice:bar");
+        expect(await store?.getSessionsForUser("@alice:bar")).toEqual([]);
+    });
+});
@@ -0,0 +1,146 @@
+import { MatrixRoom, PostgresRoomBridgeStore, RemoteRoom } from "../../src";
+import { getPgDatabase, initPostgres, isPostgresTestingEnabled } from "../helpers/postgres-helper";
+
+// Only run the tests if we've enabled postgres testing.
+const descr = isPostgresTestingEnabled() ? describe : xdescribe;
+
+descr("PostgresRoomBridgeStore", () => {
+    let store: PostgresRoomBridgeStore;
+
+    beforeAll(() => {
+        initPostgres();
+    });
+
+    beforeEach(async () => {
+        store = new PostgresRoomBridgeStore({
+            url: await getPgDatabase(),
+        });
+        await store.ensureSchema();
+    });
+
+    afterEach(async () => {
+        await store.destroy();
+    });
+
+    describe("upsertEntry", () => {
+        it("should insert an entry and should be retrievable by getEntryById", async () => {
+            await store.upsertEntry({
+                id: "flibble",
+                matrix: new MatrixRoom("!foo:bar"),
+                remote: new RemoteRoom("#flibble"),
+                data: {},
+            });
+            const e = await store.getEntryById("flibble");
+            expect(e?.id).toEqual("flibble");
+            expect(e?.matrix?.getId()).toEqual("!foo:bar");
+            expect(e?.remote?.getId()).toEqual("#flibble");
+        });
+
+        it("should update an entry if one with the same 'id' exists", async () => {
+            await store.upsertEntry({
+                id: "flibble",
+                matrix: new MatrixRoom("!foo:bar"),
+                remote: new RemoteRoom("#flibble"),
+                data: {},
+            });
+            await store.upsertEntry({
+                id: "flibble",
+                matrix: new MatrixRoom("!woo:bar"),
+                remote: new RemoteRoom("#wibble"),
+                data: {},
+            });
+            const e = await store.getEntryById("flibble");
+            expect(e?.matrix?.getId()).toEqual("!woo:bar");
+            expect(e?.remote?.getId()).toEqual("#wibble");
+        });
+    });
+
+    describe("linkRooms", () => {
+        it("should create a single entry", async () => {
+            const m = new MatrixRoom("!foo:bar");
+            m.set("mxkey", "mxval");
+            const r = new RemoteRoom("#foo");
+            r.set("remotekey", { "nested": "remote_val" });
+            await store.linkRooms(m, r, { some: "data_goes_here" }, "_custom_id");
+            const entry = await store.getEntryById("_custom_id");
+            expect(entry?.remote?.getId()).toEqual("#foo");
+            expect(entry?.remote?.get("remotekey")).toEqual({ nested: "remote_val" });
+            expect(entry?.matrix?.getId()).toEqual("!foo:bar");
+            expect(entry?.matrix?.get("mxkey")).toEqual("mxval");
+            expect(entry?.data).toEqual({ some: "data_goes_here" });
+        });
+
+        it("should generate an id from the room ids", async () => {
+            await store.linkRooms(new MatrixRoom("!foo:bar"), new RemoteRoom("#foo"));
+            const [entry] = await store.getEntriesByMatrixId("!foo:bar");
+            expect(entry.id).toEqual(`!foo:bar${store.delimiter}#foo`);
+        });
+    });
+
+    describe("getEntriesByMatrixIds", () => {
+        it("should return a map of room_id to entry", async () => {
+            await store.linkRooms(new MatrixRoom("!foo:bar"), new RemoteRoom("#foo"));
+            await store.linkRooms(new MatrixRoom("!foo:bar"), new RemoteRoom("#bar"));
+            await store.linkRooms(new MatrixRoom("!fizz:buzz"), new RemoteRoom("#fizz"));
+            await store.linkRooms(new MatrixRoom("!zzz:zzz"), new RemoteRoom("#buzz"));
+            const results = await store.getEntriesByMatrixIds(["!foo:bar", "!fizz:buzz"]);
+            expect(Object.keys(results).sort()).toEqual(["!fizz:buzz", "!foo:bar"]);
+            expect(results["!foo:bar"].map((e) => e.remote?.getId()).sort()).toEqual(["#bar", "#foo"]);
+            expect(results["!fizz:buzz"][0].remote?.getId()).toEqual("#fizz");
+        });
+
+        it("should return linked remote rooms in batch", async () => {
+            await store.linkRooms(new MatrixRoom("!foo:bar"), new RemoteRoom("#foo"));
+            await store.setMatrixRoom(new MatrixRoom("!fizz:buzz"));
+            const results = await store.batchGetLinkedRemoteRooms(["!foo:bar", "!fizz:buzz"]);
+            expect(results["!foo:bar"].map(r => r.getId())).toEqual(["#foo"]);
+            expect(results["!fizz:buzz"]).toEqual([]);
+        });
+    });
+
+    describe("data queries", () => {
+        it("should return entries based on nested remote room data", async () => {
+            const remote = new RemoteRoom("#foo");
+            remote.set("custom", { nested: "abc123" });
+            await store.linkRooms(new MatrixRoom("!foo:bar"), remote);
+            const entries = await store.getEntriesByRemoteRoomData({ "custom.nested": "abc123" });
+            expect(entries.length).toEqual(1);
+            expect(entries[0].remote?.getId()).toEqual("#foo");
+            expect(await store.getEntriesByRemoteRoomData({ "custom.nested": "nope" })).toEqual([]);
+        });
+
+        it("should return entries based on matrix room data", async () => {
+            const matrix = new MatrixRoom("!foo:bar");
+            matrix.set("custom", 42);
+            await store.linkRooms(matrix, new RemoteRoom("#foo"));
+            const entries = await store.getEntriesByMatrixRoomData({ custom: 42 });
+            expect(entries.length).toEqual(1);
+            expect(entries[0].matrix?.getId()).toEqual("!foo:bar");
+        });
+
+        it("should remove entries based on link data", async () => {
+            await store.linkRooms(new MatrixRoom("!foo:bar"), new RemoteRoom("#foo"), { foo: "bar" });
+            expect((await store.getEntriesByLinkData({ foo: "bar" })).length).toEqual(1);
+            expect(await store.removeEntriesByLinkData({ foo: "bar" })).toEqual(1);
+            expect(await store.getEntriesByLinkData({ foo: "bar" })).toEqual([]);
+        });
+    });
+
+    describe("remove", () => {
+        it("should remove entries by matrix and remote room id", async () => {
+            await store.linkRooms(new MatrixRoom("!foo:bar"), new RemoteRoom("#foo"));
+            await store.linkRooms(new MatrixRoom("!baz:bar"), new RemoteRoom("#baz"));
+            expect(await store.removeEntriesByMatrixRoomId("!foo:bar")).toEqual(1);
+            expect(await store.removeEntriesByRemoteRoomId("#baz")).toEqual(1);
+            expect(await store.getLinkedRemoteRooms("!foo:bar")).toEqual([]);
+            expect(await store.getLinkedMatrixRooms("#baz")).toEqual([]);
+        });
+
+        it("should remove an entry by id", async () => {
+            await store.setMatrixRoom(new MatrixRoom("!foo:bar"));
+            expect(await store.getMatrixRoom("!foo:bar")).toBeTruthy();
+            await store.removeEntryById("!foo:bar");
+            expect(await store.getMatrixRoom("!foo:bar")).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,68 @@
+import {
+    MatrixRoom, MatrixUser, PostgresEventBridgeStore, PostgresRoomBridgeStore, PostgresUserBridgeStore,
+    RemoteRoom, RemoteUser, runStoreTransaction, StoredEvent, TransactionStores,
+} from "../../src";
+import { getPgDatabase, initPostgres, isPostgresTestingEnabled } from "../helpers/postgres-helper";
+
+// Only run the tests if we've enabled postgres testing.
+const descr = isPostgresTestingEnabled() ? describe : xdescribe;
+
+descr("runStoreTransaction with PostgreSQL stores", () => {
+    let roomStore: PostgresRoomBridgeStore;
+    let userStore: PostgresUserBridgeStore;
+    let eventStore: PostgresEventBridgeStore;
+
+    beforeAll(() => {
+        initPostgres();
+    });
+
+    beforeEach(async () => {
+        const url = await getPgDatabase();
+        roomStore = new PostgresRoomBridgeStore({ url });
+        userStore = new PostgresUserBridgeStore({ url });
+        eventStore = new PostgresEventBridgeStore({ url });
+        for (const store of [roomStore, userStore, eventStore]) {
+            await store.ensureSchema();
+        }
+    });
+
+    afterEach(async () => {
+        for (const store of [roomStore, userStore, eventStore]) {
+            await store.destroy();
+        }
+    });
+
+    async function linkPortal(tx: TransactionStores) {
+        await tx.roomStore?.linkRooms(new MatrixRoom("!portal:bar"), new RemoteRoom("#portal"), {}, "portal");
+        await tx.userStore?.linkUsers(new MatrixUser("@alice:bar"), new RemoteUser("alice"));
+        await tx.eventStore?.upsertEvent(new StoredEvent("!portal:bar", "$event", "#portal", "remote"));
+    }
+
+    it("should commit writes across stores", async () => {
+        await runStoreTransaction({ roomStore, userStore, eventStore }, linkPortal);
+        expect(await roomStore.getEntryById("portal")).not.toBeNull();
+        expect(await userStore.getRemoteLinks("@alice:bar")).toEqual(["alice"]);
+        expect(await eventStore.getEntryByMatrixId("!portal:bar", "$event")).not.toBeNull();
+    });
+
+    it("should roll back writes across stores", async () => {
+        await expectAsync(runStoreTransaction({ roomStore, userStore, eventStore }, async (tx) => {
+            await linkPortal(tx);
+            throw Error("Crashed half way through");
+        })).toBeRejectedWithError("Crashed half way through");
+        expect(await roomStore.getEntryById("portal")).toBeNull();
+        expect(await userStore.getMatrixUser("@alice:bar")).toBeNull();
+        expect(await eventStore.getEntryByMatrixId("!portal:bar", "$event")).toBeNull();
+    });
+
+    it("should reject stores connected to different databases", async () => {
+        const otherStore = new PostgresUserBridgeStore({ url: await getPgDatabase() });
+        try {
+            await expectAsync(runStoreTransaction({ roomStore, userStore: otherStore }, async () => {}))
+                .toBeRejectedWithError(/same database/);
+        }
+        finally {
+            await otherStore.destroy();
+        }
+    });
+});
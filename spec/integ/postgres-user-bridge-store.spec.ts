@@ -0,0 +1,112 @@
+import { MatrixUser, PostgresUserBridgeStore, RemoteUser } from "../../src";
+import { getPgDatabase, initPostgres, isPostgresTestingEnabled } from "../helpers/postgres-helper";
+
+// Only run the tests if we've enabled postgres testing.
+const descr = isPostgresTestingEnabled() ? describe : xdescribe;
+
+descr("PostgresUserBridgeStore", () => {
+    let store: PostgresUserBridgeStore;
+
+    beforeAll(() => {
+        initPostgres();
+    });
+
+    beforeEach(async () => {
+        store = new PostgresUserBridgeStore({
+            url: await getPgDatabase(),
+        });
+        await store.ensureSchema();
+    });
+
+    afterEach(async () => {
+        await store.destroy();
+    });
+
+    it("should store and update a Matrix user", async () => {
+        const user = new MatrixUser("@foo:bar");
+        user.setDisplayName("Foo");
+        await store.setMatrixUser(user);
+        user.setDisplayName("Bar");
+        await store.setMatrixUser(user);
+        const userFromStore = await store.getMatrixUser("@foo:bar");
+        expect(userFromStore?.getDisplayName()).toEqual("Bar");
+        expect((await store.getByMatrixLocalpart("foo"))?.getId()).toEqual("@foo:bar");
+    });
+
+    it("should store a Remote user", async () => {
+        await store.setRemoteUser(new RemoteUser("some_unique_id", { foo: "bar" }));
+        const userFromStore = await store.getRemoteUser("some_unique_id");
+        expect(userFromStore?.get("foo")).toEqual("bar");
+        expect(await store.getRemoteUser("nope")).toBeNull();
+    });
+
+    describe("data queries", () => {
+        beforeEach(async () => {
+            await store.setRemoteUser(new RemoteUser("alice", {
+                toplevel: "foo",
+                nested: { bar: { baz: 43 } },
+            }));
+            await store.setRemoteUser(new RemoteUser("bob", {
+                toplevel: "foo",
+                nested: { bar: { baz: 44 } },
+            }));
+            const matrixUser = new MatrixUser("@alice:bar");
+            matrixUser.set("nested", { list: ["a", "b"] });
+            await store.setMatrixUser(matrixUser);
+        });
+
+        it("should match top level and nested remote data", async () => {
+            const all = await store.getByRemoteData({ toplevel: "foo" });
+            expect(all.map(u => u.getId()).sort()).toEqual(["alice", "bob"]);
+            const nested = await store.getByRemoteData({ "toplevel": "foo", "nested.bar.baz": 43 });
+            expect(nested.map(u => u.getId())).toEqual(["alice"]);
+        });
+
+        it("should match nested matrix data", async () => {
+            const users = await store.getByMatrixData({ "nested.list": ["a", "b"] });
+            expect(users.map(u => u.getId())).toEqual(["@alice:bar"]);
+            expect(await store.getByMatrixData({ "nested.list": ["a"] })).toEqual([]);
+        });
+
+        it("should match a value against the elements of an array, like NeDB", async () => {
+            const users = await store.getByMatrixData({ "nested.list": "b" });
+            expect(users.map(u => u.getId())).toEqual(["@alice:bar"]);
+            expect(await store.getByMatrixData({ "nested.list": "c" })).toEqual([]);
+            expect(await store.getByRemoteData({ "nested.bar": 43 })).toEqual([]);
+        });
+    });
+
+    describe("links", () => {
+        it("should link users which do not exist yet", async () => {
+            await store.linkUsers(new MatrixUser("@alice:bar"), new RemoteUser("alice"));
+            expect((await store.getMatrixUser("@alice:bar"))?.getId()).toEqual("@alice:bar");
+            expect((await store.getRemoteUser("alice"))?.getId()).toEqual("alice");
+            expect(await store.getMatrixLinks("alice")).toEqual(["@alice:bar"]);
+            expect(await store.getRemoteLinks("@alice:bar")).toEqual(["alice"]);
+        });
+
+        it("should not overwrite existing users when linking", async () => {
+            await store.setRemoteUser(new RemoteUser("alice", { keep: true }));
+            await store.linkUsers(new MatrixUser("@alice:bar"), new RemoteUser("alice"));
+            expect((await store.getRemoteUser("alice"))?.get("keep")).toBeTrue();
+        });
+
+        it("should resolve linked users in both directions", async () => {
+            await store.linkUsers(new MatrixUser("@alice:bar"), new RemoteUser("alice"));
+            await store.linkUsers(new MatrixUser("@alice:bar"), new RemoteUser("alice2"));
+            const remotes = await store.getRemoteUsersFromMatrixId("@alice:bar");
+            expect(remotes.map(u => u.getId()).sort()).toEqual(["alice", "alice2"]);
+            const matrixUsers = await store.getMatrixUsersFromRemoteId("alice2");
+            expect(matrixUsers.map(u => u.getId())).toEqual(["@alice:bar"]);
+        });
+
+        it("should unlink users", async () => {
+            const matrixUser = new MatrixUser("@alice:bar");
+            const remoteUser = new RemoteUser("alice");
+            await store.linkUsers(matrixUser, remoteUser);
+            expect(await store.unlinkUsers(matrixUser, remoteUser)).toEqual(1);
+            expect(await store.unlinkUsers(matrixUser, remoteUser)).toEqual(0);
+            expect(await store.getRemoteLinks("@alice:bar")).toEqual([]);
+        });
+    });
+});
@@ -1,4 +1,8 @@
-import { PostgresStore } from "../../src";
+import {
+    PostgresClientEncryptionStore, PostgresEventBridgeStore, PostgresRoomBridgeStore, PostgresStore,
+    PostgresUserBridgeStore, SchemaMigration,
+} from "../../src";
+import { PostgresProvisioningStore } from "../../src/provisioning";
 import { getPgDatabase, initPostgres, isPostgresTestingEnabled } from "../helpers/postgres-helper";
 
 
@@ -37,7 +41,175 @@ descr('PostgresStore', () => {
         await store.ensureSchema();
     });
 
+    it('can report the schema status', async () => {
+        store = new TestPostgresStore([
+            { up: sql => sql`CREATE TABLE v1_users (mxid TEXT UNIQUE NOT NULL);`.then(), checksum: "v1" },
+            sql => sql`CREATE TABLE v2_rooms (mxid TEXT UNIQUE NOT NULL);`.then(),
+        ], {
+            url: await getPgDatabase(),
+        });
+        expect((await store.getSchemaStatus()).currentVersion).toEqual(-1);
+        await store.ensureSchema();
+        const status = await store.getSchemaStatus();
+        expect(status.currentVersion).toEqual(2);
+        expect(status.latestVersion).toEqual(2);
+        expect(status.migrations.map(m => m.applied)).toEqual([true, true]);
+        // Migrations without a checksum cannot be checked.
+        expect(status.migrations.map(m => m.checksumMatches)).toEqual([true, undefined]);
+        expect(status.migrations.map(m => m.reversible)).toEqual([false, false]);
+        expect(status.migrations[0].appliedAt).toBeInstanceOf(Date);
+    });
+
+    it('can roll back schema upgrades', async () => {
+        store = new TestPostgresStore([
+            {
+                up: sql => sql`CREATE TABLE v1_users (mxid TEXT UNIQUE NOT NULL);`.then(),
+                down: sql => sql`DROP TABLE v1_users;`.then(),
+            },
+            {
+                up: sql => sql`CREATE TABLE v2_rooms (mxid TEXT UNIQUE NOT NULL);`.then(),
+                down: sql => sql`DROP TABLE v2_rooms;`.then(),
+            },
+        ], {
+            url: await getPgDatabase(),
+        });
+        await store.ensureSchema();
+        await store.rollbackSchema(0);
+        const status = await store.getSchemaStatus();
+        expect(status.currentVersion).toEqual(0);
+        expect(status.migrations.map(m => m.applied)).toEqual([false, false]);
+        expect(status.migrations[0].appliedAt).toBeUndefined();
+        // Both migrations should apply cleanly again.
+        await store.ensureSchema();
+        expect((await store.getSchemaStatus()).currentVersion).toEqual(2);
+    });
+
+    it('refuses to roll back past a migration without a down-migration', async () => {
+        store = new TestPostgresStore([
+            sql => sql`CREATE TABLE v1_users (mxid TEXT UNIQUE NOT NULL);`.then(),
+            {
+                up: sql => sql`CREATE TABLE v2_rooms (mxid TEXT UNIQUE NOT NULL);`.then(),
+                down: sql => sql`DROP TABLE v2_rooms;`.then(),
+            },
+        ], {
+            url: await getPgDatabase(),
+        });
+        await store.ensureSchema();
+        await expectAsync(store.rollbackSchema(0)).toBeRejectedWithError(/no down-migration for v1/);
+        // Nothing should have been rolled back.
+        expect((await store.getSchemaStatus()).currentVersion).toEqual(2);
+        await store.rollbackSchema(1);
+        expect((await store.getSchemaStatus()).currentVersion).toEqual(1);
+    });
+
+    it('detects migrations which have been modified since they were applied', async () => {
+        const url = await getPgDatabase();
+        store = new TestPostgresStore([{ up: () => {}, checksum: "original" }], { url });
+        await store.ensureSchema();
+        await store.destroy();
+
+        store = new TestPostgresStore([{ up: () => {}, checksum: "modified" }], { url });
+        // Only a warning by default.
+        await store.ensureSchema();
+        expect((await store.getSchemaStatus()).migrations[0].checksumMatches).toBeFalse();
+        await store.destroy();
+
+        store = new TestPostgresStore([{ up: () => {}, checksum: "modified" }], { url, strictChecksums: true });
+        await expectAsync(store.ensureSchema()).toBeRejectedWithError(/has been modified/);
+    });
+
+    it('can run migrations outside of a transaction', async () => {
+        store = new TestPostgresStore([
+            sql => sql`CREATE TABLE v1_users (mxid TEXT UNIQUE NOT NULL, name TEXT);`.then(),
+            {
+                up: sql => sql`CREATE INDEX CONCURRENTLY v1_users_name ON v1_users (name);`.then(),
+                down: sql => sql`DROP INDEX CONCURRENTLY v1_users_name;`.then(),
+                transactional: false,
+            },
+        ], {
+            url: await getPgDatabase(),
+            max: 1,
+        });
+        await store.ensureSchema();
+        expect((await store.getSchemaStatus()).currentVersion).toEqual(2);
+        await store.rollbackSchema(1);
+        expect((await store.getSchemaStatus()).currentVersion).toEqual(1);
+    });
+
+    it('records the checksum of a migration applied before it had one', async () => {
+        const url = await getPgDatabase();
+        store = new TestPostgresStore([{ up: () => {} }], { url });
+        await store.ensureSchema();
+        await store.destroy();
+
+        store = new TestPostgresStore([{ up: () => {}, checksum: "1" }], { url });
+        await store.ensureSchema();
+        expect((await store.getSchemaStatus()).migrations[0].checksumMatches).toBeTrue();
+    });
+
+    it('applies each migration once when several processes start at the same time', async () => {
+        const url = await getPgDatabase();
+        const up = jasmine.createSpy("up");
+        store = new TestPostgresStore([up], { url });
+        const otherStore = new TestPostgresStore([up], { url });
+        try {
+            await Promise.all([store.ensureSchema(), otherStore.ensureSchema()]);
+        }
+        finally {
+            await otherStore.destroy();
+        }
+        expect(up).toHaveBeenCalledTimes(1);
+    });
+
+    it('can update the schema with a single connection', async () => {
+        store = new TestPostgresStore([
+            sql => sql.begin(s => [
+                s`CREATE TABLE v1_users (mxid TEXT UNIQUE NOT NULL);`,
+            ]).then(),
+        ], {
+            url: await getPgDatabase(),
+            max: 1,
+        });
+        await store.ensureSchema();
+        expect((await store.getSchemaStatus()).currentVersion).toEqual(1);
+    });
+
+    it('does not partially apply a failed migration', async () => {
+        store = new TestPostgresStore([
+            sql => sql`CREATE TABLE v1_users (mxid TEXT UNIQUE NOT NULL);`.then(),
+            async sql => {
+                await sql`CREATE TABLE v2_rooms (mxid TEXT UNIQUE NOT NULL);`;
+                throw Error("Migration failed");
+            },
+        ], {
+            url: await getPgDatabase(),
+        });
+        await expectAsync(store.ensureSchema()).toBeRejectedWithError("Failed to update database schema");
+        expect((await store.getSchemaStatus()).currentVersion).toEqual(1);
+        const [{ exists }] = await store.sql`SELECT to_regclass('v2_rooms') IS NOT NULL AS exists;`;
+        expect(exists).toBeFalse();
+    });
+
     afterEach(async () => {
         await store?.destroy();
     })
 });
+
+describe('PostgreSQL stores', () => {
+    it('give every migration a checksum', async () => {
+        const opts = { url: "postgresql://localhost/unused" };
+        const stores: PostgresStore[] = [
+            new PostgresRoomBridgeStore(opts),
+            new PostgresUserBridgeStore(opts),
+            new PostgresEventBridgeStore(opts),
+            new PostgresClientEncryptionStore(opts),
+            new PostgresProvisioningStore(opts),
+        ];
+        for (const store of stores) {
+            const migrations: SchemaMigration[] = store["migrations"];
+            expect(migrations.length).toBeGreaterThan(0);
+            expect(migrations.filter(m => !m.checksum)).toEqual([]);
+            await store.destroy();
+        }
+    });
+});
@@ -0,0 +1,113 @@
+import Datastore from "nedb";
+import {
+    EventBridgeStore, MatrixRoom, MatrixUser, RemoteRoom, RemoteUser, RoomBridgeStore, StoreMigrator,
+    StoredEvent, UserActivityStore, UserBridgeStore,
+} from "../../src/index";
+
+function memoryDb() {
+    // A Datastore without a filename is held purely in memory.
+    return new Datastore({ autoload: true });
+}
+
+describe("StoreMigrator", () => {
+    let sourceRooms: RoomBridgeStore;
+    let sourceUsers: UserBridgeStore;
+    let sourceActivity: UserActivityStore;
+    let sourceEvents: EventBridgeStore;
+    let targetRooms: RoomBridgeStore;
+    let targetUsers: UserBridgeStore;
+    let targetActivity: UserActivityStore;
+    let targetEvents: EventBridgeStore;
+    let migrator: StoreMigrator;
+
+    beforeEach(async () => {
+        sourceRooms = new RoomBridgeStore(memoryDb());
+        sourceUsers = new UserBridgeStore(memoryDb());
+        sourceActivity = new UserActivityStore(memoryDb());
+        sourceEvents = new EventBridgeStore(memoryDb());
+        targetRooms = new RoomBridgeStore(memoryDb());
+        targetUsers = new UserBridgeStore(memoryDb());
+        targetActivity = new UserActivityStore(memoryDb());
+        targetEvents = new EventBridgeStore(memoryDb());
+
+        await sourceRooms.linkRooms(new MatrixRoom("!foo:bar"), new RemoteRoom("#foo"), { some: "data" });
+        await sourceRooms.setMatrixRoom(new MatrixRoom("!unlinked:bar"));
+        await sourceUsers.setMatrixUser(new MatrixUser("@alice:bar", { displayName: "Alice" }));
+        await sourceUsers.linkUsers(new MatrixUser("@alice:bar"), new RemoteUser("alice", { nick: "alice" }));
+        await sourceActivity.storeUserActivity("@alice:bar", { ts: [1234], metadata: { active: true } });
+        await sourceEvents.upsertEvent(new StoredEvent("!foo:bar", "$event", "#foo", "remote_event"));
+
+        migrator = new StoreMigrator({
+            roomStore: sourceRooms,
+            userStore: sourceUsers,
+            userActivityStore: sourceActivity,
+            eventStore: sourceEvents,
+        }, {
+            roomStore: targetRooms,
+            userStore: targetUsers,
+            userActivityStore: targetActivity,
+            eventStore: targetEvents,
+        });
+    });
+
+    it("should copy and verify all stores", async () => {
+        const results = await migrator.migrate();
+        expect(results.map(r => r.store)).toEqual(["room", "user", "userActivity", "event"]);
+        for (const result of results) {
+            expect(result.failures).toEqual([]);
+            expect(result.copiedCount).toEqual(result.sourceCount);
+            expect(result.verifiedCount).toEqual(result.sampledCount);
+            expect(result.targetCount).toEqual(result.sourceCount);
+        }
+        const entry = await targetRooms.getEntryById(`!foo:bar${targetRooms.delimiter}#foo`);
+        expect(entry?.data).toEqual({ some: "data" });
+        expect(await targetRooms.getMatrixRoom("!unlinked:bar")).toBeTruthy();
+        expect((await targetUsers.getMatrixUser("@alice:bar"))?.getDisplayName()).toEqual("Alice");
+        expect((await targetUsers.getRemoteUser("alice"))?.get("nick")).toEqual("alice");
+        expect(await targetUsers.getRemoteLinks("@alice:bar")).toEqual(["alice"]);
+        expect((await targetActivity.getActivitySet()).size).toEqual(1);
+        expect((await targetEvents.getEntryByMatrixId("!foo:bar", "$event"))?.getRemoteEventId())
+            .toEqual("remote_event");
+    });
+
+    it("should not write anything during a dry run", async () => {
+        const results = await migrator.migrate({ dryRun: true });
+        const rooms = results.find(r => r.store === "room");
+        expect(rooms?.sourceCount).toEqual(2);
+        expect(rooms?.copiedCount).toEqual(0);
+        expect(await targetRooms.getEntriesByMatrixId("!foo:bar")).toEqual([]);
+        expect(await targetUsers.getMatrixUser("@alice:bar")).toBeNull();
+    });
+
+    it("should only migrate stores given on both sides", async () => {
+        const results = await new StoreMigrator({ roomStore: sourceRooms }, { userStore: targetUsers }).migrate();
+        expect(results).toEqual([]);
+    });
+
+    it("should report records which fail to copy", async () => {
+        spyOn(targetRooms, "upsertEntry").and.rejectWith(new Error("nope"));
+        const results = await new StoreMigrator({ roomStore: sourceRooms }, {
+            roomStore: targetRooms,
+        }).migrate();
+        expect(results[0].copiedCount).toEqual(0);
+        expect(results[0].failures.length).toEqual(4);
+    });
+
+    it("should report records which were dropped by the target store", async () => {
+        const upsertEntry = targetRooms.upsertEntry.bind(targetRooms);
+        let copied = 0;
+        // Only the first entry is written, and sampled.
+        spyOn(targetRooms, "upsertEntry").and.callFake(async (entry) => {
+            if (copied++ === 0) {
+                await upsertEntry(entry);
+            }
+        });
+        const [result] = await new StoreMigrator({ roomStore: sourceRooms }, {
+            roomStore: targetRooms,
+        }).migrate({ verifySampleSize: 1 });
+        expect(result.copiedCount).toEqual(2);
+        expect(result.verifiedCount).toEqual(1);
+        expect(result.targetCount).toEqual(1);
+        expect(result.failures).toEqual(["The target store has 1 record(s), but 2 were copied"]);
+    });
+});
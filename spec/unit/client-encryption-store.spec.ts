@@ -0,0 +1,39 @@
+import Datastore from "nedb";
+import { ClientEncryptionBridgeStore } from "../../src";
+
+describe("ClientEncryptionBridgeStore", () => {
+    let store: ClientEncryptionBridgeStore;
+    const session = { userId: "@_bridge_alice:bar", deviceId: "ALICE", accessToken: "token", syncToken: null };
+
+    beforeEach(async () => {
+        store = new ClientEncryptionBridgeStore(new Datastore({ autoload: true }));
+        await store.setStoredSession(session);
+        await store.setStoredSession({ ...session, userId: "@_bridge_bob:bar", deviceId: "BOB" });
+    });
+
+    it("should store and replace sessions", async () => {
+        expect(await store.getStoredSession(session.userId)).toEqual(session);
+        await store.setStoredSession({ ...session, deviceId: "ALICE2" });
+        expect((await store.getStoredSession(session.userId))?.deviceId).toEqual("ALICE2");
+        expect(await store.getStoredSession("@nobody:bar")).toBeNull();
+    });
+
+    it("should update the sync token", async () => {
+        await store.updateSyncToken(session.userId, "s123");
+        expect(await store.getStoredSession(session.userId)).toEqual({ ...session, syncToken: "s123" });
+    });
+
+    it("should delete a session", async () => {
+        await store.deleteStoredSession(session.userId);
+        expect(await store.getStoredSession(session.userId)).toBeNull();
+        expect(await store.getStoredSession("@_bridge_bob:bar")).not.toBeNull();
+    });
+
+    it("should prune sessions of users which no longer exist", async () => {
+        const pruned = await store.pruneSessions(async (userId) => userId.includes("alice"));
+        // The access token is needed to log the device out.
+        expect(pruned).toEqual([{ ...session, userId: "@_bridge_bob:bar", deviceId: "BOB" }]);
+        expect(await store.getStoredSession("@_bridge_bob:bar")).toBeNull();
+        expect(await store.getStoredSession(session.userId)).not.toBeNull();
+    });
+});
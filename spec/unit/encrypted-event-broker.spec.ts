@@ -0,0 +1,185 @@
+import { EventEmitter } from "events";
+import {
+    AppServiceBot, ClientEncryptionStore, EncryptedEventBroker, Intent, MembershipCache, WeakEvent,
+} from "../../src";
+
+class FakeClient extends EventEmitter {
+    public readonly homeserverUrl = "http://127.0.0.1:1";
+    public readonly accessToken = "token";
+    public readonly storageProvider = {};
+    public syncResult: Promise<unknown> = Promise.resolve({});
+    public doRequest = jasmine.createSpy("doRequest").and.resolveTo({ filter_id: "1" });
+    public start = jasmine.createSpy("start").and.resolveTo();
+    public stop = jasmine.createSpy("stop");
+    public doSync() {
+        return this.syncResult;
+    }
+}
+
+describe("EncryptedEventBroker", () => {
+    const userId = "@_bridge_alice:bar";
+    let clients: Map<string, FakeClient>;
+    let client: FakeClient;
+    let roomMembers: Record<string, string[]>;
+    let broker: EncryptedEventBroker;
+
+    const encryptedEvent = (roomId: string, eventId = `$${roomId}`) => ({
+        type: "m.room.encrypted", event_id: eventId, room_id: roomId, sender: "@alice:bar", content: {},
+    } as unknown as WeakEvent);
+
+    beforeEach(() => {
+        clients = new Map();
+        client = new FakeClient();
+        clients.set(userId, client);
+        roomMembers = {};
+        const membership = {
+            getMembersForRoom: (roomId: string) => roomMembers[roomId] ?? ["@alice:bar"],
+        } as unknown as MembershipCache;
+        const asBot = { isRemoteUser: (u: string) => u.startsWith("@_bridge_") } as unknown as AppServiceBot;
+        const store = {
+            updateSyncToken: async () => undefined,
+        } as unknown as ClientEncryptionStore;
+        const getIntent = (u: string) => {
+            if (!clients.has(u)) {
+                clients.set(u, new FakeClient());
+            }
+            return { matrixClient: clients.get(u), ensureRegistered: async () => undefined } as unknown as Intent;
+        };
+        broker = new EncryptedEventBroker(
+            membership, asBot, () => undefined, getIntent, store,
+            { syncStallTimeoutMs: 50, superviseIntervalMs: 10, maxRoomsPerSyncUser: 2 },
+        );
+    });
+
+    afterEach(() => {
+        broker.close();
+    });
+
+    it("should track the health of each sync loop", async () => {
+        await broker.startSyncingUser(userId);
+        // eslint-disable-next-line @typescript-eslint/no-explicit-any
+        const wrapped = client as any;
+        await wrapped.doSync("s1");
+        client.syncResult = Promise.reject(Error("Sync failed"));
+        await expectAsync(wrapped.doSync("s2")).toBeRejected();
+        expect(broker.getSyncStatus()).toEqual([jasmine.objectContaining({
+            userId,
+            state: "syncing",
+            lastSyncTs: jasmine.any(Number),
+            consecutiveFailures: 1,
+            restarts: 0,
+        })]);
+    });
+
+    it("should restart a stalled sync loop", async () => {
+        await broker.startSyncingUser(userId);
+        const [restartedUserId] = await new Promise<string[]>(
+            resolve => broker.once("sync_restarted", (...args) => resolve(args)),
+        );
+        expect(restartedUserId).toEqual(userId);
+        expect(client.stop).toHaveBeenCalled();
+        expect(broker.getSyncStatus()).toEqual([jasmine.objectContaining({ state: "restarting", restarts: 1 })]);
+    });
+
+    it("should report events which were never decrypted", async () => {
+        const event = encryptedEvent("!room:bar");
+        expect(await broker.onASEvent(event)).toBeFalse();
+        expect(broker.getPendingEventCounts()).toEqual({ pendingSync: 1, pendingAS: 0 });
+
+        const undecrypted = new Promise(resolve => broker.once("undecrypted_event", resolve));
+        jasmine.clock().install();
+        try {
+            jasmine.clock().mockDate(new Date(Date.now() + 10 * 60000));
+            broker["supervise"]();
+        }
+        finally {
+            jasmine.clock().uninstall();
+        }
+        expect(await undecrypted).toEqual(event);
+        expect(broker.getPendingEventCounts()).toEqual({ pendingSync: 0, pendingAS: 0 });
+    });
+
+    it("should only count live events as pending", async () => {
+        await broker.onASEvent(encryptedEvent("!room:bar"));
+        const undecrypted = new Promise(resolve => broker.once("undecrypted_event", resolve));
+        jasmine.clock().install();
+        try {
+            jasmine.clock().mockDate(new Date(Date.now() + 10 * 60000));
+            expect(broker.getPendingEventCounts()).toEqual({ pendingSync: 0, pendingAS: 0 });
+        }
+        finally {
+            jasmine.clock().uninstall();
+        }
+        await undecrypted;
+    });
+
+    it("should not report events which are kept when the pending cache rotates", async () => {
+        const undecrypted: string[] = [];
+        broker.on("undecrypted_event", (event: WeakEvent) => undecrypted.push(event.event_id));
+        const pending = broker["eventsPendingSync"];
+        const fill = (prefix: string) => {
+            for (let i = 0; i < 9999; i++) {
+                pending.set(`${prefix}${i}`, encryptedEvent("!room:bar", `${prefix}${i}`));
+            }
+        };
+        pending.set("$kept", encryptedEvent("!room:bar", "$kept"));
+        fill("$first");
+        // Still pending, so a newer copy is kept when the older one is evicted.
+        pending.set("$kept", encryptedEvent("!room:bar", "$kept"));
+        fill("$second");
+        await new Promise(resolve => setImmediate(resolve));
+        expect(undecrypted.length).toEqual(9999);
+        expect(undecrypted).not.toContain("$kept");
+        expect(pending.has("$kept")).toBeTrue();
+    });
+
+    const syncUsers = () => Object.fromEntries(broker.getSyncStatus().map(s => [s.userId, s.rooms]));
+
+    it("should place rooms on as few sync loops as possible", async () => {
+        const bob = "@_bridge_bob:bar";
+        for (const roomId of ["!a:bar", "!b:bar", "!c:bar"]) {
+            roomMembers[roomId] = [bob, userId];
+        }
+        await broker.onASEvent(encryptedEvent("!a:bar"));
+        await broker.onASEvent(encryptedEvent("!b:bar"));
+        expect(syncUsers()).toEqual({ [bob]: 2 });
+        // Bob is full, so another loop is started.
+        await broker.onASEvent(encryptedEvent("!c:bar"));
+        expect(syncUsers()).toEqual({ [bob]: 2, [userId]: 1 });
+    });
+
+    it("should move a room when the syncing user leaves", async () => {
+        const bob = "@_bridge_bob:bar";
+        roomMembers["!a:bar"] = [bob, userId];
+        await broker.onASEvent(encryptedEvent("!a:bar"));
+        expect(syncUsers()).toEqual({ [bob]: 1 });
+        await broker.onASEvent({
+            type: "m.room.member", event_id: "$leave", room_id: "!a:bar", sender: bob, state_key: bob,
+            content: { membership: "leave" },
+        } as unknown as WeakEvent);
+        // Bob has no rooms left, so stops syncing.
+        expect(syncUsers()).toEqual({ [userId]: 1 });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(clients.get(bob)?.stop).toHaveBeenCalled();
+    });
+
+    it("should move rooms away from a stalled sync loop", async () => {
+        const bob = "@_bridge_bob:bar";
+        roomMembers["!a:bar"] = [bob, userId];
+        await broker.onASEvent(encryptedEvent("!a:bar"));
+        // Keep Alice's loop healthy.
+        await broker.startSyncingUser(userId);
+        // eslint-disable-next-line @typescript-eslint/no-explicit-any
+        const aliceClient = client as any;
+        const keepAlive = setInterval(() => aliceClient.doSync("s"), 5);
+        try {
+            await new Promise(resolve => broker.once("sync_restarted", resolve));
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        finally {
+            clearInterval(keepAlive);
+        }
+        // The stalled loop has no rooms left, so is not restarted.
+        expect(syncUsers()).toEqual({ [userId]: 1 });
+    });
+});
@@ -0,0 +1,91 @@
+import BotSdk from "@vector-im/matrix-bot-sdk";
+import { decryptAttachment, EncryptedIntent, encryptAttachment, Intent, Logger } from "../../src";
+
+describe("Encrypted media", () => {
+    const plaintext = Buffer.from("Hello, encrypted world");
+
+    it("should encrypt and decrypt an attachment", () => {
+        const { data, file } = encryptAttachment(plaintext);
+        expect(data.equals(plaintext)).toBeFalse();
+        expect(data.length).toEqual(plaintext.length);
+        expect(file).toEqual(jasmine.objectContaining({
+            key: jasmine.objectContaining({ kty: "oct", alg: "A256CTR", ext: true }),
+            v: "v2",
+        }));
+        // The counter half of the IV starts at zero.
+        expect(Buffer.from(file.iv, "base64").subarray(8)).toEqual(Buffer.alloc(8));
+        expect(file.hashes.sha256).not.toContain("=");
+        expect(decryptAttachment(data, file)).toEqual(plaintext);
+    });
+
+    it("should refuse to decrypt an attachment which does not match its hash", () => {
+        const { data, file } = encryptAttachment(plaintext);
+        data[0] ^= 1;
+        expect(() => decryptAttachment(data, file)).toThrowError("Encrypted file does not match its hash");
+    });
+
+    it("should refuse to decrypt an attachment with an unsupported version", () => {
+        const { data, file } = encryptAttachment(plaintext);
+        for (const v of ["v1", undefined]) {
+            const unsupported = { ...file, v } as unknown as typeof file;
+            expect(() => decryptAttachment(data, unsupported)).toThrowError("Unsupported encrypted file");
+        }
+    });
+
+    describe("intents", () => {
+        let underlyingClient: jasmine.SpyObj<BotSdk.MatrixClient>;
+        let intent: Intent;
+
+        beforeEach(() => {
+            underlyingClient = jasmine.createSpyObj("underlyingClient", ["uploadContent", "downloadContent"]);
+            underlyingClient.uploadContent.and.resolveTo("mxc://bar/media");
+            const botSdkIntent = { userId: "@_bridge_alice:bar", underlyingClient } as unknown as BotSdk.Intent;
+            intent = new EncryptedIntent(
+                botSdkIntent, {} as BotSdk.MatrixClient, { registered: true }, { native: true },
+            );
+            spyOn(intent, "ensureRegistered").and.resolveTo(undefined);
+        });
+
+        it("should upload plaintext media to unencrypted rooms", async () => {
+            spyOn(intent as EncryptedIntent, "isRoomEncrypted").and.resolveTo(false);
+            expect(await intent.uploadContentForRoom("!room:bar", plaintext, { type: "text/plain" })).toEqual({
+                url: "mxc://bar/media",
+            });
+            expect(underlyingClient.uploadContent).toHaveBeenCalledWith(plaintext, "text/plain", undefined);
+        });
+
+        it("should encrypt media for encrypted rooms, and decrypt it when downloaded", async () => {
+            spyOn(intent as EncryptedIntent, "isRoomEncrypted").and.resolveTo(true);
+            const media = await intent.uploadContentForRoom("!room:bar", plaintext, { name: "hello.txt" });
+            expect(media.url).toBeUndefined();
+            expect(media.file?.url).toEqual("mxc://bar/media");
+            const [ciphertext, type, name] = underlyingClient.uploadContent.calls.mostRecent().args;
+            expect(type).toEqual("application/octet-stream");
+            expect(name).toBeUndefined();
+
+            underlyingClient.downloadContent.and.resolveTo({ data: ciphertext, contentType: type as string });
+            expect(await intent.downloadMediaContent({ msgtype: "m.file", ...media })).toEqual(plaintext);
+            expect(underlyingClient.downloadContent).toHaveBeenCalledWith("mxc://bar/media");
+        });
+
+        it("should warn that media uploaded without a room is not encrypted", async () => {
+            const warn = spyOn(Logger.prototype, "warn");
+            expect(await intent.uploadContent(plaintext, { type: "text/plain" })).toEqual("mxc://bar/media");
+            expect(underlyingClient.uploadContent).toHaveBeenCalledWith(plaintext, "text/plain", undefined);
+            expect(warn).toHaveBeenCalledWith(jasmine.stringContaining("uploading media unencrypted"));
+        });
+
+        it("should not warn about media uploaded to unencrypted rooms", async () => {
+            const warn = spyOn(Logger.prototype, "warn");
+            spyOn(intent as EncryptedIntent, "isRoomEncrypted").and.resolveTo(false);
+            await intent.uploadContentForRoom("!room:bar", plaintext);
+            expect(warn).not.toHaveBeenCalled();
+        });
+
+        it("should reject content without media", async () => {
+            await expectAsync(intent.downloadMediaContent({ msgtype: "m.text", body: "hi" })).toBeRejectedWithError(
+                "Content does not contain any media",
+            );
+        });
+    });
+});
@@ -0,0 +1,91 @@
+import express from "express";
+import { AddressInfo } from "net";
+import { AppServiceRegistration, Bridge, HealthChecker } from "../../src";
+
+describe("HealthChecker", () => {
+    let checker: HealthChecker;
+
+    beforeEach(() => {
+        checker = new HealthChecker({ timeoutMs: 100, cacheMs: 0 });
+        checker.addCheck({ name: "database", check: async () => ({ connections: 2 }) });
+    });
+
+    it("should report ok if all checks pass", async () => {
+        const report = await checker.getReport();
+        expect(report.status).toEqual("ok");
+        expect(report.checks.database).toEqual(jasmine.objectContaining({ ok: true, details: { connections: 2 } }));
+    });
+
+    it("should report degraded if a non-critical check fails", async () => {
+        checker.addCheck({ name: "ping", critical: false, check: () => { throw Error("No pong") } });
+        const report = await checker.getReport();
+        expect(report.status).toEqual("degraded");
+        expect(report.checks.ping).toEqual(jasmine.objectContaining({ ok: false, error: "Error: No pong" }));
+    });
+
+    it("should report failed if a critical check times out", async () => {
+        checker.addCheck({ name: "ping", critical: false, check: () => { throw Error("No pong") } });
+        checker.addCheck({ name: "homeserver", check: () => new Promise(() => { /* never resolves */ }) });
+        const report = await checker.getReport();
+        expect(report.status).toEqual("failed");
+        expect(report.checks.homeserver.error).toContain("Timed out");
+    });
+
+    it("should only run liveness checks for liveness", async () => {
+        checker.addCheck({ name: "homeserver", check: () => { throw Error("Down") } });
+        checker.addCheck({ name: "eventLoop", liveness: true, check: () => undefined });
+        const report = await checker.getReport("liveness");
+        expect(report.status).toEqual("ok");
+        expect(Object.keys(report.checks)).toEqual(["eventLoop"]);
+    });
+
+    it("should share reports between concurrent probes", async () => {
+        checker = new HealthChecker();
+        const check = jasmine.createSpy("check");
+        checker.addCheck({ name: "ping", check });
+        await Promise.all([checker.getReport(), checker.getReport()]);
+        await checker.getReport();
+        expect(check).toHaveBeenCalledTimes(1);
+    });
+
+    it("should serve probes with a status code", async () => {
+        const app = express();
+        app.get("/ready", checker.createHandler("readiness"));
+        const server = app.listen(0, "127.0.0.1");
+        await new Promise(resolve => server.once("listening", resolve));
+        try {
+            const url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/ready`;
+            expect((await fetch(url)).status).toEqual(200);
+            checker.addCheck({ name: "homeserver", check: () => { throw Error("Down") } });
+            const res = await fetch(url);
+            expect(res.status).toEqual(503);
+            expect(await res.json()).toEqual(jasmine.objectContaining({ status: "failed" }));
+        }
+        finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    describe("for a bridge", () => {
+        it("should not report the bridge as ready before it is run", async () => {
+            const registration = AppServiceRegistration.fromObject({
+                id: "an_id",
+                hs_token: "h5_t0k3n",
+                as_token: "a5_t0k3n",
+                url: "http://app-service-url",
+                sender_localpart: "the_bot",
+                namespaces: { users: [], aliases: [], rooms: [] },
+            });
+            const bridge = new Bridge({
+                homeserverUrl: "http://127.0.0.1:1",
+                domain: "bar",
+                registration,
+                controller: { onEvent: () => undefined },
+                disableStores: true,
+            });
+            const report = await bridge.getHealthChecker(false).getReport();
+            expect(report.status).toEqual("failed");
+            expect(report.checks.homeserver.error).toContain("Bridge is not initialised");
+        });
+    });
+});
@@ -0,0 +1,146 @@
+import Datastore from "nedb";
+import {
+    MatrixRoom, MatrixUser, MemoryEventBridgeStore, MemoryRoomBridgeStore, MemoryUserActivityStore,
+    MemoryUserBridgeStore, RemoteRoom, RemoteUser, RoomBridgeStore, StoredEvent, UserBridgeStore,
+} from "../../src";
+
+describe("MemoryRoomBridgeStore", () => {
+    let store: MemoryRoomBridgeStore;
+    let nedbStore: RoomBridgeStore;
+
+    beforeEach(async () => {
+        store = new MemoryRoomBridgeStore();
+        nedbStore = new RoomBridgeStore(new Datastore({ autoload: true }));
+        for (const s of [store, nedbStore]) {
+            const remote = new RemoteRoom("#irc", { server: { host: "irc.example.com", ports: [6667, 6697] } });
+            await s.linkRooms(new MatrixRoom("!a:bar"), remote, {
+                origin: "provisioning",
+                tags: ["a", "b"],
+                nested: { deep: { key: 1 } },
+            });
+            await s.linkRooms(new MatrixRoom("!b:bar"), new RemoteRoom("#other"), { origin: "config" });
+            await s.setMatrixRoom(new MatrixRoom("!c:bar", { name: "C", extras: { topic: "hi" } }));
+        }
+    });
+
+    async function expectParity(query: (s: MemoryRoomBridgeStore|RoomBridgeStore) => Promise<{id?: string}[]>) {
+        // NeDB does not guarantee any ordering.
+        const ids = (await query(store)).map(e => e.id).sort();
+        expect(ids).toEqual((await query(nedbStore)).map(e => e.id).sort());
+        return ids;
+    }
+
+    it("should match link data with the same semantics as NeDB", async () => {
+        expect(await expectParity(s => s.getEntriesByLinkData({ origin: "provisioning" }))).toHaveSize(1);
+        expect(await expectParity(s => s.getEntriesByLinkData({ "nested.deep.key": 1 }))).toHaveSize(1);
+        expect(await expectParity(s => s.getEntriesByLinkData({ nested: { deep: { key: 1 } } }))).toHaveSize(1);
+        expect(await expectParity(s => s.getEntriesByLinkData({ nested: { deep: {} } }))).toHaveSize(0);
+        expect(await expectParity(s => s.getEntriesByLinkData({ tags: "b" }))).toHaveSize(1);
+        expect(await expectParity(s => s.getEntriesByLinkData({ tags: ["a", "b"] }))).toHaveSize(1);
+        expect(await expectParity(s => s.getEntriesByLinkData({ tags: ["b"] }))).toHaveSize(0);
+        expect(await expectParity(s => s.getEntriesByLinkData({ origin: /^conf/ }))).toHaveSize(1);
+        expect(await expectParity(s => s.getEntriesByLinkData({ missing: "nope" }))).toHaveSize(0);
+    });
+
+    it("should match remote and matrix room data with the same semantics as NeDB", async () => {
+        expect(await expectParity(s => s.getEntriesByRemoteRoomData({ "server.host": "irc.example.com" })))
+            .toHaveSize(1);
+        expect(await expectParity(s => s.getEntriesByRemoteRoomData({ "server.ports": 6697 }))).toHaveSize(1);
+        expect(await expectParity(s => s.getEntriesByRemoteRoomData({ "server.ports.0": 6667 }))).toHaveSize(1);
+        expect(await expectParity(s => s.getEntriesByMatrixRoomData({ topic: "hi" }))).toHaveSize(1);
+    });
+
+    it("should remove entries by data and report how many were removed", async () => {
+        expect(await store.removeEntriesByLinkData({ origin: "config" })).toEqual(1);
+        expect(await store.removeEntriesByMatrixRoomId("!a:bar")).toEqual(1);
+        expect(await store.removeEntryById("nope")).toEqual(0);
+        expect(store.size).toEqual(1);
+    });
+
+    it("should resolve linked rooms", async () => {
+        expect((await store.getLinkedRemoteRooms("!a:bar")).map(r => r.getId())).toEqual(["#irc"]);
+        expect((await store.getLinkedMatrixRooms("#other")).map(r => r.getId())).toEqual(["!b:bar"]);
+        const batch = await store.batchGetLinkedRemoteRooms(["!a:bar", "!c:bar", "!nope:bar"]);
+        expect(Object.keys(batch)).toEqual(["!a:bar", "!c:bar"]);
+        expect(batch["!c:bar"]).toEqual([]);
+        expect((await store.getMatrixRoom("!c:bar"))?.name).toEqual("C");
+    });
+
+    it("should not share state with the entries it returns", async () => {
+        const entry = await store.getEntryById("!c:bar");
+        entry?.matrix?.set("topic", "changed");
+        expect((await store.getMatrixRoom("!c:bar"))?.get("topic")).toEqual("hi");
+    });
+
+    it("should reject query operators", async () => {
+        await expectAsync(store.getEntriesByLinkData({ origin: { $exists: true } })).toBeRejectedWithError();
+    });
+});
+
+describe("MemoryUserBridgeStore", () => {
+    let store: MemoryUserBridgeStore;
+    let nedbStore: UserBridgeStore;
+
+    beforeEach(async () => {
+        store = new MemoryUserBridgeStore();
+        nedbStore = new UserBridgeStore(new Datastore({ autoload: true }));
+        for (const s of [store, nedbStore]) {
+            await s.setRemoteUser(new RemoteUser("alice", { toplevel: "foo", nested: { bar: { baz: 43 } } }));
+            await s.setRemoteUser(new RemoteUser("bob", {
+                toplevel: "foo", nested: { bar: { baz: 44 } }, list: ["a", "b"],
+            }));
+            await s.linkUsers(new MatrixUser("@alice:bar"), new RemoteUser("alice", { ignored: true }));
+            await s.linkUsers(new MatrixUser("@alice:bar"), new RemoteUser("alice2"));
+        }
+    });
+
+    it("should query data with the same semantics as NeDB", async () => {
+        const queries = [
+            { toplevel: "foo" }, { "nested.bar.baz": 43 }, { nested: { bar: { baz: 44 } } },
+            { list: "b" }, { list: "c" }, { list: ["a", "b"] }, { list: ["a"] },
+        ];
+        for (const query of queries) {
+            const ids = (await store.getByRemoteData(query)).map(u => u.getId()).sort();
+            expect(ids).toEqual((await nedbStore.getByRemoteData(query)).map(u => u.getId()).sort());
+        }
+        expect((await store.getByRemoteData({ list: "b" })).map(u => u.getId())).toEqual(["bob"]);
+        expect((await store.getByMatrixLocalpart("alice"))?.getId()).toEqual("@alice:bar");
+    });
+
+    it("should not overwrite existing users when linking", async () => {
+        expect((await store.getRemoteUser("alice"))?.get("ignored")).toBeUndefined();
+        expect((await store.getRemoteUser("alice"))?.get("toplevel")).toEqual("foo");
+    });
+
+    it("should resolve and remove links", async () => {
+        expect(await store.getRemoteLinks("@alice:bar")).toEqual(["alice", "alice2"]);
+        expect((await store.getMatrixUsersFromRemoteId("alice2")).map(u => u.getId())).toEqual(["@alice:bar"]);
+        expect(await store.unlinkUserIds("@alice:bar", "alice")).toEqual(1);
+        expect((await store.getRemoteUsersFromMatrixId("@alice:bar")).map(u => u.getId())).toEqual(["alice2"]);
+    });
+});
+
+describe("MemoryEventBridgeStore", () => {
+    it("should store, update and remove events", async () => {
+        const store = new MemoryEventBridgeStore();
+        const ev = new StoredEvent("!room:bar", "$event", "remote_room", "remote_event", { foo: "bar" });
+        await store.upsertEvent(ev);
+        ev.set("foo", "baz");
+        await store.upsertEvent(ev);
+        expect((await store.getEntryByMatrixId("!room:bar", "$event"))?.get("foo")).toEqual("baz");
+        expect((await store.getEntryByRemoteId("remote_room", "remote_event"))?.getMatrixEventId()).toEqual("$event");
+        expect(await store.removeEventByRemoteId("remote_room", "remote_event")).toEqual(1);
+        expect(await store.getEntryByMatrixId("!room:bar", "$event")).toBeNull();
+    });
+});
+
+describe("MemoryUserActivityStore", () => {
+    it("should store user activity", async () => {
+        const store = new MemoryUserActivityStore();
+        await store.storeUserActivity("@alice:bar", { ts: [1], metadata: {} });
+        await store.storeUserActivity("@alice:bar", { ts: [2, 1], metadata: { private: true } });
+        const set = await store.getActivitySet();
+        expect(set.size).toEqual(1);
+        expect(set.get("@alice:bar")).toEqual({ ts: [2, 1], metadata: { private: true } });
+    });
+});
@@ -0,0 +1,96 @@
+import { Appservice, MemoryStorageProvider } from "@vector-im/matrix-bot-sdk";
+import { AppserviceTransaction, NativeEncryptionHandler, WeakEvent } from "../../src";
+
+describe("NativeEncryptionHandler", () => {
+    const encrypted = {
+        type: "m.room.encrypted", event_id: "$encrypted", room_id: "!room:bar", sender: "@alice:bar",
+        content: { algorithm: "m.megolm.v1.aes-sha2", ciphertext: "abc" },
+    } as unknown as WeakEvent;
+    const plain = { ...encrypted, type: "m.room.message", event_id: "$plain", content: { body: "hi" } };
+    const ghost = "@_bridge_bob:bar";
+    const toDevice = { type: "m.room.encrypted", sender: "@alice:bar", to_user_id: ghost, content: {} };
+    let crypto: jasmine.SpyObj<{
+        updateSyncData: (...args: unknown[]) => Promise<void>,
+        isRoomEncrypted: (roomId: string) => Promise<boolean>,
+        decryptRoomEvent: (...args: unknown[]) => Promise<unknown>,
+        clientDeviceId: string,
+    }>;
+    let enableEncryption: jasmine.Spy;
+    let storage: MemoryStorageProvider;
+    let handler: NativeEncryptionHandler;
+
+    beforeEach(() => {
+        crypto = jasmine.createSpyObj("crypto", ["updateSyncData", "isRoomEncrypted", "decryptRoomEvent"]);
+        crypto.clientDeviceId = "BOBDEVICE";
+        crypto.updateSyncData.and.resolveTo();
+        crypto.isRoomEncrypted.and.resolveTo(true);
+        crypto.decryptRoomEvent.and.callFake(async () => ({
+            raw: { ...encrypted, type: "m.room.message", content: { body: "secret" } },
+        }));
+        enableEncryption = jasmine.createSpy("enableEncryption").and.resolveTo();
+        const intent = { enableEncryption, underlyingClient: { crypto } };
+        const botSdkAS = {
+            botUserId: "@bot:bar",
+            botIntent: intent,
+            getIntentForUserId: () => intent,
+            isNamespacedUser: (userId: string) => userId.startsWith("@_bridge_"),
+            botClient: { getJoinedRoomMembers: async () => ["@alice:bar", ghost] },
+        } as unknown as Appservice;
+        storage = new MemoryStorageProvider();
+        handler = new NativeEncryptionHandler(botSdkAS, storage);
+    });
+
+    it("should update the crypto state of bridge users and decrypt events in place", async () => {
+        const body: AppserviceTransaction = {
+            events: [encrypted, plain],
+            "de.sorunome.msc2409.to_device": [toDevice],
+            "org.matrix.msc3202.device_lists": { changed: ["@alice:bar"] },
+            "org.matrix.msc3202.device_one_time_keys_count": { [ghost]: { BOBDEVICE: { signed_curve25519: 5 } } },
+        };
+        await handler.onTransaction("txn1", body);
+        expect(crypto.updateSyncData).toHaveBeenCalledOnceWith(
+            [toDevice], { signed_curve25519: 5 }, [], ["@alice:bar"], [],
+        );
+        expect(body.events?.map(e => e.content.body)).toEqual(["secret", "hi"]);
+        expect(await storage.isTransactionCompleted("txn1")).toBeTrue();
+    });
+
+    it("should reuse the last key counts of a user", async () => {
+        const counts = { [ghost]: { BOBDEVICE: { signed_curve25519: 5 } } };
+        await handler.onTransaction("txn1", { "org.matrix.msc3202.device_one_time_keys_count": counts });
+        await handler.onTransaction("txn2", {
+            "de.sorunome.msc2409.to_device": [toDevice],
+        });
+        expect(crypto.updateSyncData.calls.mostRecent().args[1]).toEqual({ signed_curve25519: 5 });
+    });
+
+    it("should only update the crypto state once for a retried transaction", async () => {
+        const body = () => ({
+            events: [encrypted],
+            "de.sorunome.msc2409.to_device": [toDevice],
+        });
+        await handler.onTransaction("txn1", body());
+        const retry = body();
+        await handler.onTransaction("txn1", retry);
+        expect(crypto.updateSyncData).toHaveBeenCalledTimes(1);
+        // The retried events still need decrypting.
+        expect(retry.events[0].type).toEqual("m.room.message");
+    });
+
+    it("should retry a transaction whose crypto state failed to update", async () => {
+        const body = { "de.sorunome.msc2409.to_device": [toDevice] };
+        crypto.updateSyncData.and.rejectWith(Error("Crypto failed"));
+        await expectAsync(handler.onTransaction("txn1", body)).toBeRejectedWithError("Crypto failed");
+        expect(await storage.isTransactionCompleted("txn1")).toBeFalse();
+        crypto.updateSyncData.and.resolveTo();
+        await handler.onTransaction("txn1", body);
+        expect(crypto.updateSyncData).toHaveBeenCalledTimes(2);
+    });
+
+    it("should leave events which cannot be decrypted", async () => {
+        crypto.decryptRoomEvent.and.rejectWith(Error("Unknown session"));
+        const body = { events: [encrypted] };
+        await handler.onTransaction("txn1", body);
+        expect(body.events).toEqual([encrypted]);
+    });
+});
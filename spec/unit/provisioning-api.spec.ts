@@ -0,0 +1,586 @@
+import express from "express";
+import { MemoryStore } from "express-rate-limit";
+import { AddressInfo } from "net";
+import { Server } from "http";
+import {
+    EventStreamTicketResponseBody, GetLinksResponseBody, GetSessionsResponseBody, Intent, MatrixRoom, MemoryProvisioningAuditSink,
+    MemoryProvisioningStore, MemoryRoomBridgeStore, ProvisioningApi, ProvisioningApiOpts, ProvisioningAuditEntry,
+    RefreshSessionResponseBody, RemoteRoom, RequestValidationError, RoomLinkController, RoomLinkInfo,
+} from "../../src";
+
+describe("ProvisioningApi", () => {
+    let server: Server|undefined;
+    let store: MemoryProvisioningStore;
+    let baseUrl: string;
+
+    async function startApi(opts: ProvisioningApiOpts = {}) {
+        const app = express();
+        const api = new ProvisioningApi(store, { expressApp: app, provisioningToken: "secret", ...opts });
+        await new Promise<void>(resolve => {
+            server = app.listen(0, "127.0.0.1", () => resolve());
+        });
+        baseUrl = `http://127.0.0.1:${(server?.address() as AddressInfo).port}/provisioning`;
+        return api;
+    }
+
+    beforeEach(async () => {
+        store = new MemoryProvisioningStore();
+        const expiresTs = Date.now() + 60000;
+        store.createSession({ userId: "@alice:bar", token: "alice-1", expiresTs, userAgent: "Phone", ip: "::1" });
+        store.createSession({ userId: "@alice:bar", token: "alice-2", expiresTs, userAgent: "Laptop" });
+        store.createSession({ userId: "@bob:bar", token: "bob-1", expiresTs });
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server ? server.close(resolve) : resolve(undefined));
+        server = undefined;
+    });
+
+    function request(method: string, path: string, token: string, body?: unknown) {
+        return fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { "Authorization": `Bearer ${token}`, "Content-Type": "application/json" },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+    }
+
+    async function getSessions(token: string) {
+        const res = await request("GET", "/v1/sessions", token);
+        expect(res.status).toEqual(200);
+        return (await res.json() as GetSessionsResponseBody).sessions;
+    }
+
+    describe("sessions", () => {
+        beforeEach(() => startApi());
+
+        it("should list the user's sessions without revealing tokens", async () => {
+            const sessions = await getSessions("alice-1");
+            expect(sessions).toHaveSize(2);
+            expect(JSON.stringify(sessions)).not.toContain("alice-");
+            const current = sessions.find(s => s.current);
+            expect(current).toEqual(jasmine.objectContaining({ userAgent: "Phone", ip: "::1", id: jasmine.any(String) }));
+        });
+
+        it("should revoke a single session", async () => {
+            const other = (await getSessions("alice-1")).find(s => !s.current);
+            const res = await request("DELETE", `/v1/sessions/${other?.id}`, "alice-1");
+            expect(res.status).toEqual(200);
+            expect(store.getSessionForToken("alice-2")).toBeNull();
+            expect(store.getSessionForToken("alice-1")).not.toBeNull();
+        });
+
+        it("should not revoke another user's session", async () => {
+            const [session] = await getSessions("bob-1");
+            const res = await request("DELETE", `/v1/sessions/${session.id}`, "alice-1");
+            expect(res.status).toEqual(404);
+            expect(await res.json()).toEqual(jasmine.objectContaining({ errcode: "M_AS_NOT_FOUND" }));
+            expect(store.getSessionForToken("bob-1")).not.toBeNull();
+        });
+    });
+
+    describe("links", () => {
+        let roomStore: MemoryRoomBridgeStore;
+        let controller: jasmine.SpyObj<Required<RoomLinkController>>;
+        let validateRoom: jasmine.Spy;
+
+        beforeEach(async () => {
+            roomStore = new MemoryRoomBridgeStore();
+            await roomStore.linkRooms(new MatrixRoom("!room:bar"), new RemoteRoom("#existing"), {}, "existing");
+            await roomStore.linkRooms(new MatrixRoom("!other:bar"), new RemoteRoom("#other"), {}, "other");
+            const intent = jasmine.createSpyObj<Intent>("intent", ["getStateEvent"]);
+            intent.getStateEvent.and.resolveTo({ users: { "@alice:bar": 100 }, state_default: 50 });
+            controller = jasmine.createSpyObj("controller", ["linkRoom", "unlinkRoom"]);
+            controller.linkRoom.and.callFake(async (_req, _roomId, remote) => ({
+                remoteRoom: new RemoteRoom(`#${remote.channel}`, { channel: remote.channel }),
+                data: { origin: "provisioning" },
+            }));
+            validateRoom = jasmine.createSpy("validateRoom").and.resolveTo();
+            await startApi({
+                links: { roomStore, intent, controller, validator: { validateRoom } as never },
+            });
+        });
+
+        it("should list the links of a room", async () => {
+            const res = await request("GET", "/v1/links?roomId=!room:bar", "alice-1");
+            expect(res.status).toEqual(200);
+            const { links } = await res.json() as GetLinksResponseBody;
+            expect(links.map(l => l.id)).toEqual(["existing"]);
+        });
+
+        it("should link a room", async () => {
+            const res = await request("PUT", "/v1/link", "alice-1", { roomId: "!room:bar", remote: { channel: "new" } });
+            expect(res.status).toEqual(200);
+            const link = await res.json() as RoomLinkInfo;
+            expect(link).toEqual(jasmine.objectContaining({
+                roomId: "!room:bar", remoteId: "#new", remote: { channel: "new" }, data: { origin: "provisioning" },
+            }));
+            expect(validateRoom).toHaveBeenCalledWith("!room:bar");
+            expect((await roomStore.getLinkedRemoteRooms("!room:bar")).map(r => r.getId()).sort())
+                .toEqual(["#existing", "#new"]);
+        });
+
+        it("should refuse to link rooms which fail validation", async () => {
+            validateRoom.and.rejectWith(1);
+            const res = await request("PUT", "/v1/link", "alice-1", { roomId: "!room:bar", remote: { channel: "new" } });
+            expect(res.status).toEqual(403);
+            expect(controller.linkRoom).not.toHaveBeenCalled();
+        });
+
+        it("should refuse users without a high enough power level", async () => {
+            const res = await request("PUT", "/v1/link", "bob-1", { roomId: "!room:bar", remote: { channel: "new" } });
+            expect(res.status).toEqual(403);
+            expect(controller.linkRoom).not.toHaveBeenCalled();
+        });
+
+        it("should unlink a room", async () => {
+            const res = await request("DELETE", "/v1/link", "alice-1", { roomId: "!room:bar", linkId: "existing" });
+            expect(res.status).toEqual(200);
+            expect(controller.unlinkRoom).toHaveBeenCalled();
+            expect(await roomStore.getEntryById("existing")).toBeNull();
+        });
+
+        it("should not unlink links belonging to another room", async () => {
+            const res = await request("DELETE", "/v1/link", "alice-1", { roomId: "!room:bar", linkId: "other" });
+            expect(res.status).toEqual(404);
+            expect(await roomStore.getEntryById("other")).not.toBeNull();
+        });
+    });
+
+    describe("addRoute with schemas", () => {
+        let handler: jasmine.Spy;
+
+        beforeEach(async () => {
+            const api = await startApi();
+            handler = jasmine.createSpy("handler");
+            api.addRoute("put", "/v1/channel/:channelId", {
+                params: { type: "object", properties: { channelId: { type: "string", pattern: "^#" } } },
+                body: {
+                    type: "object",
+                    properties: {
+                        name: { type: "string" },
+                        mode: { enum: ["public", "private"] },
+                        tags: { type: "array", items: { type: "string" } },
+                    },
+                    required: ["name"],
+                },
+            }, (req, res) => {
+                // These assignments check the inferred types.
+                const name: string = req.body.name;
+                const mode: "public"|"private"|undefined = req.body.mode;
+                const tags: string[]|undefined = req.body.tags;
+                handler(req.params.channelId, name, mode, tags);
+                res.send({ ok: true });
+            });
+        });
+
+        it("should pass valid requests to the handler", async () => {
+            const res = await request("PUT", "/v1/channel/%23foo", "alice-1", { name: "Foo", mode: "public" });
+            expect(res.status).toEqual(200);
+            expect(handler).toHaveBeenCalledWith("#foo", "Foo", "public", undefined);
+        });
+
+        it("should reject invalid requests", async () => {
+            const res = await request("PUT", "/v1/channel/foo", "alice-1", { mode: "secret" });
+            expect(res.status).toEqual(400);
+            const body = await res.json() as { errcode: string, errors: RequestValidationError[] };
+            expect(body.errcode).toEqual("M_AS_BAD_VALUE");
+            expect(body.errors.map(e => e.field).sort()).toEqual([
+                "body.mode", "body.name", "params.channelId",
+            ]);
+            expect(handler).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("OpenAPI document", () => {
+        // eslint-disable-next-line @typescript-eslint/no-explicit-any
+        type Document = any;
+
+        it("should describe every route without authentication", async () => {
+            const api = await startApi({ openApi: { title: "Example bridge" } });
+            api.addRoute("put", "/v1/channel/:channelId", {
+                summary: "Bridge a channel",
+                body: { type: "object", properties: { name: { type: "string" } }, required: ["name"] },
+            }, () => {});
+            const res = await fetch(`${baseUrl}/v1/openapi.json`);
+            expect(res.status).toEqual(200);
+            const doc = await res.json() as Document;
+            expect(doc.openapi).toMatch(/^3\./);
+            expect(doc.info.title).toEqual("Example bridge");
+            expect(doc.servers).toEqual([{ url: "/provisioning" }]);
+
+            const exchange = doc.paths["/v1/exchange_openid"].post;
+            expect(exchange.security).toEqual([]);
+            expect(exchange.requestBody.content["application/json"].schema.required)
+                .toEqual(["openIdToken", "matrixServer"]);
+
+            const deleteSession = doc.paths["/v1/sessions/{id}"].delete;
+            expect(deleteSession.security).toBeUndefined();
+            expect(deleteSession.parameters).toEqual([
+                { name: "id", in: "path", required: true, schema: { type: "string" } },
+            ]);
+            expect(Object.keys(deleteSession.responses).sort()).toEqual(["200", "400", "401", "404", "500"]);
+            expect(deleteSession.responses["404"].content["application/json"].schema.properties.errcode.enum)
+                .toEqual(["M_AS_NOT_FOUND"]);
+
+            const custom = doc.paths["/v1/channel/{channelId}"].put;
+            expect(custom.summary).toEqual("Bridge a channel");
+            expect(custom.requestBody.content["application/json"].schema.properties.name).toEqual({ type: "string" });
+            expect(custom.responses["400"].content["application/json"].schema.properties.errcode.enum)
+                .toEqual(["M_AS_BAD_VALUE"]);
+        });
+
+        it("should only describe the link routes if they are enabled", async () => {
+            const api = await startApi();
+            expect((api.getOpenApiDocument() as Document).paths["/v1/link"]).toBeUndefined();
+        });
+    });
+
+    describe("rate limiting", () => {
+        async function requestTimes(times: number, path: string, token: string) {
+            const statuses = [];
+            for (let i = 0; i < times; i++) {
+                statuses.push((await request("GET", path, token)).status);
+            }
+            return statuses;
+        }
+
+        it("should limit authenticated requests per user", async () => {
+            const createStore = jasmine.createSpy("createStore").and.callFake(() => new MemoryStore());
+            await startApi({ ratelimit: { perUser: true, max: 2, createStore } });
+            expect(await requestTimes(3, "/v1/session", "alice-1")).toEqual([200, 200, 429]);
+            // Bob shares an IP address with Alice.
+            expect(await requestTimes(1, "/v1/session", "bob-1")).toEqual([200]);
+            expect(createStore.calls.allArgs().map(([name]) => name)).toEqual(["ip", "user", "auth-failure"]);
+        });
+
+        it("should limit requests which fail authentication per IP", async () => {
+            await startApi({ ratelimit: { perUser: true, max: 2 } });
+            expect(await requestTimes(3, "/v1/session", "invalid")).toEqual([401, 401, 429]);
+        });
+
+        it("should limit unauthenticated routes per IP even with an Authorization header", async () => {
+            await startApi({ ratelimit: { perUser: true, max: 2 } });
+            const statuses = [];
+            for (let i = 0; i < 3; i++) {
+                statuses.push((await request("POST", "/v1/exchange_openid", "bogus", {})).status);
+            }
+            expect(statuses).toEqual([400, 400, 429]);
+        });
+
+        it("should apply per-route limits", async () => {
+            const api = await startApi({ ratelimit: { perUser: true, max: 10 } });
+            api.addRoute("get", "/v1/expensive", { ratelimit: { max: 1 } }, (_req, res) => {
+                res.send({});
+            });
+            expect(await requestTimes(2, "/v1/expensive", "alice-1")).toEqual([200, 429]);
+            expect(await requestTimes(1, "/v1/expensive", "bob-1")).toEqual([200]);
+            expect(await requestTimes(1, "/v1/session", "alice-1")).toEqual([200]);
+        });
+    });
+
+    describe("provisioning tokens", () => {
+        let api: ProvisioningApi;
+
+        beforeEach(async () => {
+            api = await startApi({
+                provisioningTokens: [
+                    { name: "admin", token: "admin-secret" },
+                    {
+                        name: "integrations",
+                        token: "im-secret",
+                        routes: ["* /v1/session", "delete /v1/session/*"],
+                        userIds: ["@*:bar"],
+                    },
+                ],
+            });
+        });
+
+        it("should allow the legacy token to be used for any user", async () => {
+            const res = await request("DELETE", "/v1/session/all", "secret", { userId: "@anyone:example.com" });
+            expect(res.status).toEqual(400);
+            expect(await res.json()).toEqual(jasmine.objectContaining({ errcode: "M_AS_UNSUPPORTED_OPERATION" }));
+        });
+
+        it("should restrict tokens to routes", async () => {
+            expect((await request("DELETE", "/v1/session", "im-secret", { userId: "@alice:bar" })).status)
+                .not.toEqual(403);
+            const res = await request("GET", "/v1/sessions", "im-secret");
+            expect(res.status).toEqual(403);
+            expect(await res.json()).toEqual(jasmine.objectContaining({ errcode: "M_AS_FORBIDDEN" }));
+            expect((await request("GET", "/v1/sessions", "admin-secret")).status).not.toEqual(403);
+        });
+
+        it("should restrict tokens to users", async () => {
+            expect((await request("DELETE", "/v1/session", "im-secret", { userId: "@alice:bar" })).status)
+                .toEqual(400);
+            expect((await request("DELETE", "/v1/session", "im-secret", { userId: "@alice:evil" })).status)
+                .toEqual(403);
+        });
+
+        it("should not let a token scoped to users act without a user", async () => {
+            const res = await request("DELETE", "/v1/session", "im-secret", {});
+            expect(res.status).toEqual(403);
+            expect(await res.json()).toEqual(jasmine.objectContaining({ errcode: "M_AS_FORBIDDEN" }));
+        });
+
+        it("should restrict tokens to rooms", async () => {
+            api.addProvisioningToken({ name: "room", token: "room-secret", roomIds: ["!allowed:bar"] });
+            api.addRoute("put", "/v1/room", (req, res) => {
+                res.send({ tokenName: req.tokenName });
+            });
+            const res = await request("PUT", "/v1/room", "room-secret", { roomId: "!allowed:bar" });
+            expect(await res.json()).toEqual({ tokenName: "room" });
+            expect((await request("PUT", "/v1/room", "room-secret", { roomId: "!other:bar" })).status).toEqual(403);
+            expect((await request("PUT", "/v1/room", "room-secret", {})).status).toEqual(403);
+        });
+
+        it("should revoke tokens", async () => {
+            expect(api.revokeProvisioningToken("integrations")).toBeTrue();
+            expect(api.revokeProvisioningToken("integrations")).toBeFalse();
+            expect((await request("GET", "/v1/session", "im-secret")).status).toEqual(401);
+            expect(() => api.addProvisioningToken({ name: "admin", token: "other" })).toThrowError(/already exists/);
+        });
+    });
+
+    describe("audit log", () => {
+        let auditSink: MemoryProvisioningAuditSink;
+        let api: ProvisioningApi;
+
+        beforeEach(async () => {
+            auditSink = new MemoryProvisioningAuditSink();
+            api = await startApi({ auditSink });
+        });
+
+        it("should record and list actions", async () => {
+            await request("GET", "/v1/session", "alice-1");
+            await request("DELETE", "/v1/sessions/nope", "alice-1");
+            await request("GET", "/v1/session", "bob-1");
+            const res = await request("GET", "/v1/admin/audit?userId=@alice:bar", "secret");
+            expect(res.status).toEqual(200);
+            const { entries } = await res.json() as { entries: ProvisioningAuditEntry[] };
+            expect(entries).toEqual([
+                jasmine.objectContaining({
+                    userId: "@alice:bar", source: "widget", method: "delete", path: "/v1/sessions/:id",
+                    outcome: "failure", errcode: "M_AS_NOT_FOUND",
+                }),
+                jasmine.objectContaining({
+                    userId: "@alice:bar", source: "widget", method: "get", path: "/v1/session", outcome: "success",
+                }),
+            ]);
+        });
+
+        it("should record the room and token of provisioner requests", async () => {
+            await request("DELETE", "/v1/session", "secret", { roomId: "!room:bar" });
+            const entries = auditSink.query({ roomId: "!room:bar" });
+            expect(entries).toEqual([jasmine.objectContaining({ source: "provisioner", tokenName: "default" })]);
+        });
+
+        it("should only let a token scoped to rooms read the audit log for those rooms", async () => {
+            api.addProvisioningToken({ name: "room", token: "room-secret", roomIds: ["!room:bar"] });
+            expect((await request("GET", "/v1/admin/audit", "room-secret")).status).toEqual(403);
+            expect((await request("GET", "/v1/admin/audit?roomId=!other:bar", "room-secret")).status).toEqual(403);
+            expect((await request("GET", "/v1/admin/audit?roomId=!room:bar", "room-secret")).status).toEqual(200);
+        });
+
+        it("should not let widgets read the audit log", async () => {
+            const res = await request("GET", "/v1/admin/audit", "alice-1");
+            expect(res.status).toEqual(403);
+        });
+    });
+
+    describe("session refresh", () => {
+        beforeEach(async () => {
+            await startApi({ widgetTokenLifetimeMs: 60000, widgetTokenMaxLifetimeMs: 120000 });
+            store.createSession({
+                userId: "@carol:bar", token: "carol-1", createdTs: Date.now(), expiresTs: Date.now() + 1000,
+            });
+        });
+
+        async function refresh(token: string, body?: unknown) {
+            const res = await request("POST", "/v1/session/refresh", token, body);
+            expect(res.status).toEqual(200);
+            return await res.json() as RefreshSessionResponseBody;
+        }
+
+        it("should extend the session", async () => {
+            const result = await refresh("carol-1");
+            expect(result.token).toEqual("carol-1");
+            expect(result.expiresTs).toBeGreaterThan(Date.now() + 50000);
+            expect(store.getSessionForToken("carol-1")?.expiresTs).toEqual(result.expiresTs);
+        });
+
+        it("should not extend the session beyond its maximum lifetime", async () => {
+            const createdTs = Date.now() - 100000;
+            store.createSession({ userId: "@carol:bar", token: "carol-2", createdTs, expiresTs: Date.now() + 1000 });
+            const result = await refresh("carol-2");
+            expect(result.maxExpiresTs).toEqual(createdTs + 120000);
+            expect(result.expiresTs).toEqual(result.maxExpiresTs);
+        });
+
+        it("should rotate the token", async () => {
+            const result = await refresh("carol-1", { rotate: true });
+            expect(result.token).not.toEqual("carol-1");
+            expect(store.getSessionForToken("carol-1")).toBeNull();
+            expect(store.getSessionForToken(result.token)?.createdTs).toBeDefined();
+            expect((await request("GET", "/v1/session", result.token)).status).toEqual(200);
+        });
+
+        it("should not refresh provisioner requests", async () => {
+            expect((await request("POST", "/v1/session/refresh", "secret")).status).toEqual(400);
+        });
+    });
+
+    describe("event stream", () => {
+        let api: ProvisioningApi;
+        let abort: AbortController;
+
+        beforeEach(async () => {
+            api = await startApi();
+            abort = new AbortController();
+        });
+
+        afterEach(() => abort.abort());
+
+        async function openStream(token: string, lastEventId?: number, path = "/v1/events") {
+            const headers: Record<string, string> = token ? { "Authorization": `Bearer ${token}` } : {};
+            if (lastEventId !== undefined) {
+                headers["Last-Event-ID"] = lastEventId.toString();
+            }
+            const res = await fetch(`${baseUrl}${path}`, { headers, signal: abort.signal });
+            expect(res.status).toEqual(200);
+            expect(res.headers.get("Content-Type")).toEqual("text/event-stream");
+            if (!res.body) {
+                throw Error("Expected a response body");
+            }
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let received = "";
+            return async (expected: string) => {
+                while (!received.includes(expected)) {
+                    const { value, done } = await reader.read();
+                    if (done) {
+                        throw Error("Stream closed");
+                    }
+                    received += decoder.decode(value);
+                }
+                return received;
+            };
+        }
+
+        it("should stream events published to the user", async () => {
+            const waitFor = await openStream("alice-1");
+            await waitFor("retry:");
+            api.publishEvent("@bob:bar", "link_created", { roomId: "!bob:bar" });
+            const event = api.publishEvent("@alice:bar", "link_created", { roomId: "!alice:bar" });
+            const received = await waitFor("!alice:bar");
+            expect(received).toContain(`id: ${event.id}\nevent: link_created\ndata: {"roomId":"!alice:bar"}\n\n`);
+            expect(received).not.toContain("!bob:bar");
+        });
+
+        it("should replay missed events after Last-Event-ID", async () => {
+            const first = api.publishEvent("@alice:bar", "login_succeeded");
+            api.publishEvent("@alice:bar", "link_failed", { reason: "Timed out" });
+            const waitFor = await openStream("alice-1", first.id);
+            const received = await waitFor("Timed out");
+            expect(received).not.toContain("login_succeeded");
+            expect(received).not.toContain("event: reset");
+            expect(received).toContain("event: link_failed");
+        });
+
+        it("should reset streams resuming from an ID this process did not issue", async () => {
+            api.publishEvent("@alice:bar", "login_succeeded");
+            const ahead = await openStream("alice-1", api["nextEventId"] + 60000);
+            expect(await ahead("event: reset")).not.toContain("login_succeeded");
+            const before = await openStream("alice-1", api["firstEventId"] - 1);
+            expect(await before("event: reset")).not.toContain("login_succeeded");
+        });
+
+        it("should end the streams of a revoked session", async () => {
+            const revoked = await openStream("alice-1");
+            const other = await openStream("alice-2");
+            await revoked("retry:");
+            await other("retry:");
+            const session = (await getSessions("alice-2")).find(s => !s.current);
+            expect((await request("DELETE", `/v1/sessions/${session?.id}`, "alice-2")).status).toEqual(200);
+            await expectAsync(revoked("event:")).toBeRejectedWithError("Stream closed");
+            api.publishEvent("@alice:bar", "link_created", { roomId: "!alice:bar" });
+            await other("!alice:bar");
+        });
+
+        it("should open a stream with a single-use ticket", async () => {
+            const res = await request("POST", "/v1/events/ticket", "alice-1");
+            expect(res.status).toEqual(200);
+            const { ticket } = await res.json() as EventStreamTicketResponseBody;
+            const waitFor = await openStream("", undefined, `/v1/events?ticket=${ticket}`);
+            await waitFor("retry:");
+            api.publishEvent("@alice:bar", "link_created", { roomId: "!alice:bar" });
+            await waitFor("!alice:bar");
+            expect((await fetch(`${baseUrl}/v1/events?ticket=${ticket}`)).status).toEqual(401);
+            expect((await request("POST", "/v1/events/ticket", "secret")).status).toEqual(400);
+        });
+
+        it("should only keep recent events for the replay window", async () => {
+            api.publishEvent("@alice:bar", "login_succeeded");
+            const recentEvents = api["recentEvents"];
+            expect(recentEvents.has("@alice:bar")).toBeTrue();
+            jasmine.clock().install();
+            try {
+                jasmine.clock().mockDate(new Date(Date.now() + 10 * 60000));
+                expect(recentEvents.has("@alice:bar")).toBeFalse();
+            }
+            finally {
+                jasmine.clock().uninstall();
+            }
+        });
+    });
+
+    describe("CORS", () => {
+        function preflight(origin: string) {
+            return fetch(`${baseUrl}/v1/session`, {
+                method: "OPTIONS",
+                headers: { "Origin": origin, "Access-Control-Request-Method": "DELETE" },
+            });
+        }
+
+        it("should allow any origin by default", async () => {
+            await startApi();
+            const res = await preflight("https://app.example.com");
+            expect(res.status).toEqual(204);
+            expect(res.headers.get("Access-Control-Allow-Origin")).toEqual("*");
+            expect(res.headers.get("Access-Control-Allow-Headers")).toContain("Authorization");
+            expect(res.headers.get("Access-Control-Allow-Methods")).toContain("DELETE");
+        });
+
+        it("should only allow configured origins", async () => {
+            await startApi({ cors: {
+                allowedOrigins: ["https://app.example.com", "https://*.widgets.example.com"],
+                allowCredentials: true,
+            } });
+            for (const origin of ["https://app.example.com", "https://a.b.widgets.example.com"]) {
+                const res = await preflight(origin);
+                expect(res.headers.get("Access-Control-Allow-Origin")).toEqual(origin);
+                expect(res.headers.get("Access-Control-Allow-Credentials")).toEqual("true");
+                expect(res.headers.get("Vary")).toContain("Origin");
+            }
+            for (const origin of ["https://evil.example.com", "https://widgets.example.com.evil.com"]) {
+                const res = await preflight(origin);
+                expect(res.status).toEqual(204);
+                expect(res.headers.get("Access-Control-Allow-Origin")).toBeNull();
+                expect(res.headers.get("Access-Control-Allow-Methods")).toBeNull();
+            }
+        });
+
+        it("should add headers to authenticated responses", async () => {
+            await startApi({ cors: { allowedOrigins: ["https://app.example.com"] } });
+            const res = await fetch(`${baseUrl}/v1/session`, {
+                headers: { "Authorization": "Bearer alice-1", "Origin": "https://app.example.com" },
+            });
+            expect(res.status).toEqual(200);
+            expect(res.headers.get("Access-Control-Allow-Origin")).toEqual("https://app.example.com");
+        });
+
+        it("should not allow credentials from any origin", () => {
+            expect(() => new ProvisioningApi(store, { cors: { allowCredentials: true } })).toThrowError(/credentials/);
+        });
+    });
+});
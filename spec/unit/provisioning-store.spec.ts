@@ -0,0 +1,51 @@
+import Datastore from "nedb";
+import { FileProvisioningStore, MemoryProvisioningStore, ProvisioningStore } from "../../src";
+
+describe("ProvisioningStore", () => {
+    const backends = {
+        "MemoryProvisioningStore": () => new MemoryProvisioningStore(),
+        "FileProvisioningStore": () => new FileProvisioningStore(new Datastore({ autoload: true })),
+    };
+
+    for (const [name, createStore] of Object.entries(backends)) {
+        describe(name, () => {
+            let store: ProvisioningStore;
+
+            beforeEach(async () => {
+                store = createStore();
+                await store.createSession({ userId: "@alice:bar", token: "alice-1", expiresTs: Date.now() + 60000 });
+                await store.createSession({ userId: "@alice:bar", token: "alice-2", expiresTs: Date.now() - 1 });
+                await store.createSession({ userId: "@bob:bar", token: "bob-1", expiresTs: Date.now() + 60000 });
+            });
+
+            it("should get a session by token", async () => {
+                expect((await store.getSessionForToken("alice-1"))?.userId).toEqual("@alice:bar");
+                expect(await store.getSessionForToken("nope")).toBeNull();
+            });
+
+            it("should not return expired sessions", async () => {
+                expect(await store.getSessionForToken("alice-2")).toBeNull();
+                expect((await store.getSessionsForUser?.("@alice:bar"))?.map(s => s.token)).toEqual(["alice-1"]);
+            });
+
+            it("should reject conflicting tokens", async () => {
+                await expectAsync((async () => store.createSession({
+                    userId: "@bob:bar", token: "alice-1", expiresTs: Date.now() + 60000,
+                }))()).toBeRejected();
+            });
+
+            it("should update when a session expires", async () => {
+                const expiresTs = Date.now() + 120000;
+                await store.updateSessionExpiry?.("alice-1", expiresTs);
+                expect((await store.getSessionForToken("alice-1"))?.expiresTs).toEqual(expiresTs);
+            });
+
+            it("should delete sessions", async () => {
+                await store.deleteSession("bob-1");
+                expect(await store.getSessionForToken("bob-1")).toBeNull();
+                await store.deleteAllSessions("@alice:bar");
+                expect(await store.getSessionsForUser?.("@alice:bar")).toEqual([]);
+            });
+        });
+    }
+});
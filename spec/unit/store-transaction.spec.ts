@@ -0,0 +1,104 @@
+import Datastore from "nedb";
+import {
+    BridgeStore, EventBridgeStore, MatrixRoom, MatrixUser, MemoryEventBridgeStore, MemoryRoomBridgeStore, MemoryUserBridgeStore,
+    RemoteRoom, RemoteUser, RoomBridgeStore, RoomStore, runStoreTransaction, StoredEvent, StoreJournal,
+    UserBridgeStore,
+} from "../../src";
+
+describe("runStoreTransaction", () => {
+    const backends = {
+        "NeDB": () => ({
+            roomStore: new RoomBridgeStore(new Datastore({ autoload: true })),
+            userStore: new UserBridgeStore(new Datastore({ autoload: true })),
+            eventStore: new EventBridgeStore(new Datastore({ autoload: true })),
+        }),
+        "in-memory": () => ({
+            roomStore: new MemoryRoomBridgeStore(),
+            userStore: new MemoryUserBridgeStore(),
+            eventStore: new MemoryEventBridgeStore(),
+        }),
+    };
+
+    for (const [name, createStores] of Object.entries(backends)) {
+        describe(`with ${name} stores`, () => {
+            let stores: ReturnType<typeof createStores>;
+
+            beforeEach(async () => {
+                stores = createStores();
+                await stores.roomStore.setMatrixRoom(new MatrixRoom("!existing:bar", { name: "Before", extras: {} }));
+                await stores.roomStore.linkRooms(new MatrixRoom("!old:bar"), new RemoteRoom("#old"), {}, "old");
+            });
+
+            async function linkPortal(tx: typeof stores) {
+                await tx.roomStore.linkRooms(new MatrixRoom("!portal:bar"), new RemoteRoom("#portal"), {}, "portal");
+                await tx.roomStore.setMatrixRoom(new MatrixRoom("!existing:bar", { name: "After", extras: {} }));
+                await tx.roomStore.removeEntryById("old");
+                await tx.userStore.linkUsers(new MatrixUser("@alice:bar"), new RemoteUser("alice"));
+                await tx.eventStore.upsertEvent(new StoredEvent("!portal:bar", "$event", "#portal", "remote"));
+            }
+
+            it("should apply all writes if the unit of work succeeds", async () => {
+                const result = await runStoreTransaction(stores, async (tx) => {
+                    await linkPortal(tx as typeof stores);
+                    return "done";
+                });
+                expect(result).toEqual("done");
+                expect(await stores.roomStore.getEntryById("portal")).not.toBeNull();
+                expect(await stores.roomStore.getEntryById("old")).toBeNull();
+                expect((await stores.roomStore.getMatrixRoom("!existing:bar"))?.name).toEqual("After");
+                expect(await stores.userStore.getRemoteLinks("@alice:bar")).toEqual(["alice"]);
+                expect(await stores.eventStore.getEntryByMatrixId("!portal:bar", "$event")).not.toBeNull();
+            });
+
+            it("should roll back all writes if the unit of work fails", async () => {
+                await expectAsync(runStoreTransaction(stores, async (tx) => {
+                    await linkPortal(tx as typeof stores);
+                    throw Error("Crashed half way through");
+                })).toBeRejectedWithError("Crashed half way through");
+                expect(await stores.roomStore.getEntryById("portal")).toBeNull();
+                expect(await stores.roomStore.getEntryById("old")).not.toBeNull();
+                expect((await stores.roomStore.getMatrixRoom("!existing:bar"))?.name).toEqual("Before");
+                expect(await stores.userStore.getRemoteLinks("@alice:bar")).toEqual([]);
+                expect(await stores.userStore.getMatrixUser("@alice:bar")).toBeNull();
+                expect(await stores.userStore.getRemoteUser("alice")).toBeNull();
+                expect(await stores.eventStore.getEntryByMatrixId("!portal:bar", "$event")).toBeNull();
+            });
+
+            it("should not journal writes made outside of the transaction", async () => {
+                await expectAsync(runStoreTransaction(stores, async () => {
+                    await stores.roomStore.setMatrixRoom(new MatrixRoom("!outside:bar"));
+                    throw Error("Failed");
+                })).toBeRejected();
+                expect(await stores.roomStore.getEntryById("!outside:bar")).not.toBeNull();
+            });
+        });
+    }
+
+    it("should only roll back the NeDB documents written in the transaction", async () => {
+        const db = new Datastore({ autoload: true });
+        const store = new BridgeStore(db);
+        await store.insert({ key: "a", value: 1 });
+        const update = db.update.bind(db) as (...args: unknown[]) => void;
+        spyOn(db, "update").and.callFake(((...args: unknown[]) => {
+            const callback = args.pop() as (...results: unknown[]) => void;
+            update(...args, (...results: unknown[]) => {
+                // Written outside of the transaction just after the update.
+                db.insert({ key: "a", value: 3 }, () => callback(...results));
+            });
+        }) as typeof db.update);
+        const journal: StoreJournal = [];
+        await store.withJournal(journal).update({ key: "a" }, { $set: { value: 2 } });
+        for (const undo of journal.reverse()) {
+            await undo();
+        }
+        const values = (await store.select<{ value: number }, number>({ key: "a" }, doc => doc.value)).sort();
+        expect(values).toEqual([1, 3]);
+    });
+
+    it("should reject stores which do not support transactions", async () => {
+        const roomStore = jasmine.createSpyObj("roomStore", ["upsertEntry"]) as RoomStore;
+        const fn = jasmine.createSpy("fn");
+        await expectAsync(runStoreTransaction({ roomStore }, fn)).toBeRejectedWithError(/does not support/);
+        expect(fn).not.toHaveBeenCalled();
+    });
+});
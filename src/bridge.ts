@@ -12,7 +12,6 @@ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
 See the License for the specific language governing permissions and
 limitations under the License.
 */
-import type Datastore from "nedb";
 import {promises as fs} from "fs";
 import * as util from "util";
 import yaml from "js-yaml";
@@ -39,7 +38,10 @@ import { Logger } from ".";
 import { UserActivityTracker } from "./components/user-activity";
 import { Defer, defer as deferPromise } from "./utils/promiseutil";
 import { unstable } from "./errors";
-import { BridgeStore } from "./components/bridge-store";
+import { loadDatabase } from "./utils/nedb";
+import { PostgresStore } from "./components/stores/postgres-store";
+import { ActivityStore, EventStore, RoomStore, UserStore } from "./components/stores/interfaces";
+import { runStoreTransaction, TransactionStores } from "./components/stores/store-transaction";
 import { RemoteUser } from "./models/users/remote";
 import BridgeInternalError = unstable.BridgeInternalError;
 import wrapError = unstable.wrapError;
@@ -52,6 +54,8 @@ import { EphemeralEvent, PresenceEvent, ReadReceiptEvent, TypingEvent, WeakEvent
 import * as BotSDK from "@vector-im/matrix-bot-sdk";
 import { ActivityTracker, ActivityTrackerOpts } from "./components/activity-tracker";
 import { EncryptedIntent, EncryptedIntentOpts } from "./components/encrypted-intent";
+import { HealthChecker, HealthCheckerOpts } from "./components/health-checker";
+import { NativeEncryptionHandler, NativeEncryptionOpts } from "./components/native-encryption";
 
 const log = new Logger("bridge");
 
@@ -62,6 +66,8 @@ const INTENT_CULL_EVICT_AFTER_MS = 1000 * 60 * 15; // 15 minutes
 
 export const BRIDGE_PING_EVENT_TYPE = "org.matrix.bridge.ping";
 export const BRIDGE_PING_TIMEOUT_MS = 60000;
+// How long an encryption sync loop may take to start before the bridge is reported as degraded.
+const SYNC_START_TIMEOUT_MS = 60000;
 
 // How old can a receipt be before we treat it as stale.
 const RECEIPT_CUTOFF_TIME_MS = 60000;
@@ -151,27 +157,30 @@ export interface BridgeOpts {
     /**
      * The room store instance to use, or the path to the room .db file to load.
      * A database will be created if this is not specified. If `disableStores` is set,
-     * no database will be created or used.
+     * no database will be created or used. Any implementation of {@link RoomStore} may be
+     * supplied; the schema of a {@link PostgresRoomBridgeStore} will be applied when the databases are loaded.
      */
-    roomStore?: RoomBridgeStore|string;
+    roomStore?: RoomStore|string;
     /**
      * The user store instance to use, or the path to the user .db file to load.
      * A database will be created if this is not specified. If `disableStores` is set,
-     * no database will be created or used.
+     * no database will be created or used. Any implementation of {@link UserStore} may be
+     * supplied; the schema of a {@link PostgresUserBridgeStore} will be applied when the databases are loaded.
      */
-    userStore?: UserBridgeStore|string;
+    userStore?: UserStore|string;
     /**
      * The user activity store instance to use, or the path to the user .db file to load.
      * A database will be created if this is not specified. If `disableStores` is set,
-     * no database will be created or used.
+     * no database will be created or used. Any implementation of {@link ActivityStore} may be supplied.
      */
-    userActivityStore?: UserActivityStore|string;
+    userActivityStore?: ActivityStore|string;
     /**
      * The event store instance to use, or the path to the user .db file to load.
      * A database will NOT be created if this is not specified. If `disableStores` is set,
-     * no database will be created or used.
+     * no database will be created or used. Any implementation of {@link EventStore} may be
+     * supplied; the schema of a {@link PostgresEventBridgeStore} will be applied when the databases are loaded.
      */
-    eventStore?: EventBridgeStore|string;
+    eventStore?: EventStore|string;
     /**
      * The membership cache instance
      * to use, which can be manually created by a bridge for greater control over
@@ -258,7 +267,7 @@ export interface BridgeOpts {
     bridgeEncryption?: {
         homeserverUrl: string;
         store: ClientEncryptionStore;
-    };
+    }|NativeEncryptionOpts;
 
     eventValidation?: {
         /**
@@ -310,25 +319,25 @@ interface VettedBridgeOpts {
      * A database will be created if this is not specified. If `disableStores` is set,
      * no database will be created or used.
      */
-    roomStore: RoomBridgeStore | string;
+    roomStore: RoomStore | string;
     /**
      * The user store instance to use, or the path to the user .db file to load.
      * A database will be created if this is not specified. If `disableStores` is set,
      * no database will be created or used.
      */
-    userStore: UserBridgeStore | string;
+    userStore: UserStore | string;
     /**
      * The user activity store instance to use, or the path to the user .db file to load.
      * A database will be created if this is not specified. If `disableStores` is set,
      * no database will be created or used.
      */
-    userActivityStore: UserActivityStore | string;
+    userActivityStore: ActivityStore | string;
     /**
      * The event store instance to use, or the path to the user .db file to load.
      * A database will NOT be created if this is not specified. If `disableStores` is set,
      * no database will be created or used.
      */
-    eventStore?: EventBridgeStore | string;
+    eventStore?: EventStore | string;
     /**
      * True to stop receiving onEvent callbacks
      * for events which were sent by a bridge user. Default: true.
@@ -409,7 +418,7 @@ interface VettedBridgeOpts {
     bridgeEncryption?: {
         homeserverUrl: string;
         store: ClientEncryptionStore;
-    };
+    }|NativeEncryptionOpts;
     eventValidation?: {
         validateEditSender?: {
             allowEventOnLookupFail: boolean;
@@ -434,16 +443,18 @@ export class Bridge {
     private botIntent?: Intent;
     private appServiceBot?: AppServiceBot;
     private metrics?: PrometheusMetrics;
+    private healthChecker?: HealthChecker;
     private roomLinkValidator?: RoomLinkValidator;
     private roomUpgradeHandler?: RoomUpgradeHandler;
-    private roomStore?: RoomBridgeStore;
-    private userStore?: UserBridgeStore;
-    private userActivityStore?: UserActivityStore;
-    private eventStore?: EventBridgeStore;
+    private roomStore?: RoomStore;
+    private userStore?: UserStore;
+    private userActivityStore?: ActivityStore;
+    private eventStore?: EventStore;
     private registration?: AppServiceRegistration;
     private appservice?: AppService;
     private botSdkAS?: BotSDK.Appservice;
     private eeEventBroker?: EncryptedEventBroker;
+    private nativeEncryption?: NativeEncryptionHandler;
     private selfPingDeferred?: {
         defer: Defer<void>;
         roomId: string;
@@ -558,11 +569,14 @@ export class Bridge {
             return;
         }
 
-        const storePromises: Promise<BridgeStore>[] = [];
+        const storePromises: Promise<RoomStore|UserStore|ActivityStore|EventStore>[] = [];
         // Load up the databases if they provided file paths to them (or defaults)
         if (typeof this.opts.userStore === "string") {
             storePromises.push(loadDatabase(this.opts.userStore, UserBridgeStore));
         }
+        else if (this.opts.userStore instanceof PostgresStore) {
+            storePromises.push(loadPostgresStore(this.opts.userStore));
+        }
         else {
             storePromises.push(Promise.resolve(this.opts.userStore));
         }
@@ -575,12 +589,18 @@ export class Bridge {
         if (typeof this.opts.roomStore === "string") {
             storePromises.push(loadDatabase(this.opts.roomStore, RoomBridgeStore));
         }
+        else if (this.opts.roomStore instanceof PostgresStore) {
+            storePromises.push(loadPostgresStore(this.opts.roomStore));
+        }
         else {
             storePromises.push(Promise.resolve(this.opts.roomStore));
         }
         if (typeof this.opts.eventStore === "string") {
             storePromises.push(loadDatabase(this.opts.eventStore, EventBridgeStore));
         }
+        else if (this.opts.eventStore instanceof PostgresStore) {
+            storePromises.push(loadPostgresStore(this.opts.eventStore));
+        }
         else if (this.opts.eventStore) {
             storePromises.push(Promise.resolve(this.opts.eventStore));
         }
@@ -589,10 +609,10 @@ export class Bridge {
         // which will be resolved when we have the db instance. If they provided a
         // db instance then this will resolve immediately.
         const [userStore, userActivityStore, roomStore, eventStore] = await Promise.all(storePromises);
-        this.userStore = userStore as UserBridgeStore;
-        this.userActivityStore = userActivityStore as UserActivityStore;
-        this.roomStore = roomStore as RoomBridgeStore;
-        this.eventStore = eventStore as EventBridgeStore;
+        this.userStore = userStore as UserStore;
+        this.userActivityStore = userActivityStore as ActivityStore;
+        this.roomStore = roomStore as RoomStore;
+        this.eventStore = eventStore as EventStore;
     }
 
     /**
@@ -621,6 +641,14 @@ export class Bridge {
             throw Error('No AS token provided in registration config!');
         }
         const rawReg = this.registration.getOutput();
+        const encryptionOpts = this.opts.bridgeEncryption;
+        const nativeEncryption = encryptionOpts && "native" in encryptionOpts ? encryptionOpts : undefined;
+        const pantalaimonEncryption = encryptionOpts && !("native" in encryptionOpts) ? encryptionOpts : undefined;
+        // Shared with the native encryption handler, which records completed transactions in it.
+        const nativeStorage = nativeEncryption && (nativeEncryption.storage ?? new BotSDK.MemoryStorageProvider());
+        if (nativeEncryption && !this.registration.pushEphemeralEnabled()) {
+            log.warn("Native encryption requires de.sorunome.msc2409.push_ephemeral to be enabled in the registration");
+        }
         this.botSdkAS = new BotSDK.Appservice({
             registration: {
                 ...rawReg,
@@ -639,8 +667,10 @@ export class Bridge {
                 }
             },
             // If using encryption, we want to go via pantalaimon.
-            homeserverUrl: this.opts.bridgeEncryption?.homeserverUrl || this.opts.homeserverUrl,
+            homeserverUrl: pantalaimonEncryption?.homeserverUrl || this.opts.homeserverUrl,
             homeserverName: this.opts.domain,
+            cryptoStorage: nativeEncryption?.cryptoStorage,
+            storage: nativeStorage,
             // Unused atm.
             port: 0,
             bindAddress: "127.0.0.1",
@@ -655,14 +685,18 @@ export class Bridge {
             this.botSdkAS.botClient, this.botUserId, this.registration, this.membershipCache,
         );
 
-        if (this.opts.bridgeEncryption) {
+        if (nativeStorage) {
+            this.nativeEncryption = new NativeEncryptionHandler(this.botSdkAS, nativeStorage);
+        }
+        else if (pantalaimonEncryption) {
             this.eeEventBroker = new EncryptedEventBroker(
                 this.membershipCache,
                 this.appServiceBot,
                 this.onEvent.bind(this),
                 this.getIntent.bind(this),
-                this.opts.bridgeEncryption.store,
+                pantalaimonEncryption.store,
             );
+            this.metrics?.registerEncryptedEventBrokerMetrics(this.eeEventBroker);
         }
 
         if (this.opts.roomLinkValidation !== undefined) {
@@ -735,6 +769,21 @@ export class Bridge {
         });
         this.appservice.onUserQuery = (userId) => this.onUserQuery(userId);
         this.appservice.onAliasQuery = this.onAliasQuery.bind(this);
+        const nativeEncryption = this.nativeEncryption;
+        if (nativeEncryption) {
+            // Runs before the transaction handler of the appservice, so the events it emits are decrypted.
+            this.appservice.expressApp.param("txnId", (req, _res, next, txnId: string) => {
+                if (!this.requestCheckToken(req) || !req.body) {
+                    // Leave the appservice to reject the request.
+                    next();
+                    return;
+                }
+                nativeEncryption.onTransaction(txnId, req.body).then(() => next(), err => {
+                    log.error(`Failed to process encryption data in transaction ${txnId}`, err);
+                    next(err);
+                });
+            });
+        }
         this.appservice.on("event", async (event) => {
             let passthrough = true;
             const weakEvent = event as WeakEvent;
@@ -757,6 +806,9 @@ export class Bridge {
         if (this.metrics) {
             this.metrics.addAppServicePath(this);
         }
+        if (this.healthChecker) {
+            this.healthChecker.addAppServicePath(this);
+        }
         await this.appservice.listen(port, hostname, backlog);
     }
 
@@ -994,30 +1046,53 @@ export class Bridge {
 
     /**
      * Retrieve the connected room store instance, if one was configured.
+     * @typeParam T The type of store the bridge was configured with. Defaults to `RoomBridgeStore`,
+     *              as used when the bridge creates the store itself.
      */
-    public getRoomStore(): RoomBridgeStore|undefined {
-        return this.roomStore;
+    public getRoomStore<T extends RoomStore = RoomBridgeStore>(): T|undefined {
+        return this.roomStore as T|undefined;
     }
 
     /**
      * Retrieve the connected user store instance, if one was configured.
+     * @typeParam T The type of store the bridge was configured with. Defaults to `UserBridgeStore`,
+     *              as used when the bridge creates the store itself.
      */
-    public getUserStore(): UserBridgeStore|undefined {
-        return this.userStore;
+    public getUserStore<T extends UserStore = UserBridgeStore>(): T|undefined {
+        return this.userStore as T|undefined;
     }
 
     /**
      * Retrieve the connected user activity store instance.
+     * @typeParam T The type of store the bridge was configured with. Defaults to `UserActivityStore`,
+     *              as used when the bridge creates the store itself.
      */
-    public getUserActivityStore(): UserActivityStore|undefined {
-        return this.userActivityStore;
+    public getUserActivityStore<T extends ActivityStore = UserActivityStore>(): T|undefined {
+        return this.userActivityStore as T|undefined;
     }
 
     /**
      * Retrieve the connected event store instance, if one was configured.
+     * @typeParam T The type of store the bridge was configured with. Defaults to `EventBridgeStore`,
+     *              as used when the bridge creates the store itself.
+     */
+    public getEventStore<T extends EventStore = EventBridgeStore>(): T|undefined {
+        return this.eventStore as T|undefined;
+    }
+
+    /**
+     * Run a unit of work against the room, user and event stores, so that its writes either
+     * all apply or are all rolled back if it throws. The stores passed to `fn` must be used
+     * for every write. See {@link runStoreTransaction} for the guarantees each store offers.
+     * @param fn The unit of work.
+     * @returns The result of `fn`.
      */
-    public getEventStore(): EventBridgeStore|undefined {
-        return this.eventStore;
+    public withStoreTransaction<T>(fn: (stores: TransactionStores) => Promise<T>): Promise<T> {
+        return runStoreTransaction({
+            roomStore: this.roomStore,
+            userStore: this.userStore,
+            eventStore: this.eventStore,
+        }, fn);
     }
 
     /**
@@ -1103,7 +1178,10 @@ export class Bridge {
         clientIntentOpts.registered = this.membershipCache.isUserRegistered(userId);
         let encryptionIntentOpts: undefined|EncryptedIntentOpts;
         const encryptionOpts = this.opts.bridgeEncryption;
-        if (encryptionOpts) {
+        if (encryptionOpts && "native" in encryptionOpts) {
+            encryptionIntentOpts = { native: true };
+        }
+        else if (encryptionOpts) {
             encryptionIntentOpts = {
                 sessionPromise: encryptionOpts.store.getStoredSession(userId),
                 originalHomeserverUrl: this.opts.homeserverUrl,
@@ -1507,12 +1585,104 @@ export class Bridge {
         return this.powerlevelMap.get(roomId);
     }
 
+    /**
+     * Returns a HealthChecker instance stored on the bridge, creating it first if required.
+     * The instance will be registered with the HTTP server so it can serve the `/health/live`
+     * and `/health/ready` probes.
+     *
+     * The checker includes checks for:
+     * - `homeserver`: The homeserver can be reached.
+     * - `stores`: Any PostgreSQL stores can be queried.
+     * - `encryption`: No encryption sync loop is stuck starting. Not critical.
+     * - `appservice`: The homeserver can send transactions to the bridge. Only added if `pingRoomId`
+     *   is given, as it pings the bridge through the homeserver on every probe. Not critical.
+     *
+     * @param registerEndpoint Register the endpoints on the appservice HTTP server. Defaults to true.
+     *                         If `listen()` has not been called yet, they are registered when it is.
+     * @param opts Options for the checker. Only used when the checker is created.
+     */
+    public getHealthChecker(
+        registerEndpoint = true, opts: HealthCheckerOpts & { pingRoomId?: string } = {},
+    ): HealthChecker {
+        if (this.healthChecker) {
+            return this.healthChecker;
+        }
+        const checker = new HealthChecker(opts);
+        checker.addCheck({
+            name: "homeserver",
+            // Only a cheap request, as probes may be frequent. Feature support is checked on startup.
+            check: async () => {
+                if (!this.botSdkAS) {
+                    throw Error("Bridge is not initialised");
+                }
+                await this.botSdkAS.botClient.doRequest("GET", "/_matrix/client/versions");
+            },
+        });
+        checker.addCheck({
+            name: "stores",
+            check: async () => {
+                const stores = {
+                    roomStore: this.roomStore,
+                    userStore: this.userStore,
+                    eventStore: this.eventStore,
+                    userActivityStore: this.userActivityStore,
+                };
+                const checked: string[] = [];
+                await Promise.all(Object.entries(stores).map(([name, store]) => {
+                    if (store instanceof PostgresStore) {
+                        checked.push(name);
+                        return store.ping();
+                    }
+                    return undefined;
+                }));
+                return { checked };
+            },
+        });
+        if (this.opts.bridgeEncryption && !("native" in this.opts.bridgeEncryption)) {
+            checker.addCheck({
+                name: "encryption",
+                critical: false,
+                check: () => {
+                    if (!this.eeEventBroker) {
+                        throw Error("Encryption isn't ready yet");
+                    }
+                    const status = this.eeEventBroker.getSyncStatus();
+                    const stuck = status.filter(
+                        s => s.state === "preparing" && Date.now() - s.sinceTs > SYNC_START_TIMEOUT_MS
+                    );
+                    if (stuck.length) {
+                        throw Error(`Sync loops for ${stuck.map(s => s.userId).join(", ")} have not started`);
+                    }
+                    return {
+                        syncing: status.filter(s => s.state === "syncing").length,
+                        preparing: status.filter(s => s.state === "preparing").length,
+                    };
+                },
+            });
+        }
+        const { pingRoomId } = opts;
+        if (pingRoomId) {
+            checker.addCheck({
+                name: "appservice",
+                critical: false,
+                timeoutMs: BRIDGE_PING_TIMEOUT_MS,
+                check: async () => ({ latencyMs: await this.pingAppserviceRoute(pingRoomId) }),
+            });
+        }
+        this.healthChecker = checker;
+        if (registerEndpoint && this.appservice) {
+            checker.addAppServicePath(this);
+        } // Else, we will add the path in listen()
+        return checker;
+    }
+
     /**
      * Returns a PrometheusMetrics instance stored on the bridge, creating it first
      * if required. The instance will be registered with the HTTP server so it can
      * serve the "/metrics" page in the usual way.
      * The instance will automatically register the Matrix SDK metrics by calling
-     * {PrometheusMetrics~registerMatrixSdkMetrics}.
+     * {PrometheusMetrics~registerMatrixSdkMetrics}, and the encryption sync loop metrics
+     * if encryption is enabled.
      *
      * Ensure that `PackageInfo.getBridgeVersion` is returns the correct version before calling this,
      * as changes to the bridge version after metric instantiation will not be detected.
@@ -1531,6 +1701,9 @@ export class Bridge {
         if (this.botSdkAS) {
             metrics.registerMatrixSdkMetrics(this.botSdkAS);
         } // Else, we will set this up in initialise()
+        if (this.eeEventBroker) {
+            metrics.registerEncryptedEventBrokerMetrics(this.eeEventBroker);
+        }
         if (registerEndpoint && this.appservice) {
             metrics.addAppServicePath(this);
         } // Else, we will add the path in listen()
@@ -1664,6 +1837,45 @@ export class Bridge {
         return Date.now() - sentTs;
     }
 
+    /**
+     * Replace the device a bridge user uses for encryption, such as when its keys have been
+     * compromised or corrupted. The old device is logged out, and a new device is created
+     * the next time the user is needed. Only used for encryption through Pantalaimon, and
+     * requires the encryption store to implement `deleteStoredSession`.
+     * @param userId The bridge user.
+     * @throws If encryption through Pantalaimon is not enabled, or the store cannot remove sessions.
+     */
+    public async rotateEncryptionDevice(userId: string): Promise<void> {
+        const encryptionOpts = this.opts.bridgeEncryption;
+        if (!encryptionOpts || "native" in encryptionOpts) {
+            throw Error("Encryption through Pantalaimon is not enabled");
+        }
+        const { store } = encryptionOpts;
+        if (!store.deleteStoredSession) {
+            throw Error("The encryption store does not support removing sessions");
+        }
+        const session = await store.getStoredSession(userId);
+        await store.deleteStoredSession(userId);
+        this.eeEventBroker?.stopSyncingUser(userId);
+        // Intents hold on to the old access token.
+        for (const [key, entry] of this.intents) {
+            if (entry.intent.userId === userId) {
+                this.intents.delete(key);
+            }
+        }
+        if (!session) {
+            return;
+        }
+        try {
+            const client = new BotSDK.MatrixClient(this.opts.homeserverUrl, session.accessToken);
+            await client.doRequest("POST", "/_matrix/client/v3/logout");
+        }
+        catch (ex) {
+            log.warn(`Failed to log out device ${session.deviceId} of ${userId}`, ex);
+        }
+        log.info(`Rotated encryption device ${session.deviceId} of ${userId}`);
+    }
+
     public updateRoomLinkValidatorRules(rules: Rules): void {
         this.roomLinkValidator?.updateRules(rules);
     }
@@ -1720,23 +1932,7 @@ export class Bridge {
 
 }
 
-async function loadDatabase<T extends BridgeStore>(path: string, Cls: new (db: Datastore) => T) {
-    try {
-        const datastoreFn = (await import("nedb")).default;
-        return new Promise<T>((resolve, reject) => {
-            const dbInstance = new datastoreFn({
-            filename: path,
-            autoload: true,
-            onload: function(err) {
-                if (err) {
-                    reject(err);
-                }
-                else {
-                    resolve(new Cls(dbInstance));
-                }
-            }
-        })});
-    } catch (ex) {
-        throw Error('nedb could not be imported. You will need to add this package as a peer dependency.');
-    }
+async function loadPostgresStore<T extends PostgresStore>(store: T) {
+    await store.ensureSchema();
+    return store;
 }
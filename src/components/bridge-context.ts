@@ -16,8 +16,7 @@ limitations under the License.
 
 import { MatrixUser } from "../models/users/matrix";
 import { MatrixRoom } from "../models/rooms/matrix";
-import { RoomBridgeStore } from "./room-bridge-store";
-import { UserBridgeStore } from "./user-bridge-store";
+import { RoomStore, UserStore } from "./stores/interfaces";
 import { RemoteUser } from "../models/users/remote";
 import { RemoteRoom } from "../models/rooms/remote";
 import { unstable } from "../errors";
@@ -71,11 +70,11 @@ export class BridgeContext {
     /**
      * Returns this instance after its initialization.
      *
-     * @param {RoomBridgeStore} roomStore
-     * @param {UserBridgeStore} userStore
+     * @param {RoomStore} roomStore
+     * @param {UserStore} userStore
      * @returns {Promise<BridgeContext>}
      */
-    async get(roomStore: RoomBridgeStore, userStore: UserBridgeStore): Promise<BridgeContext> {
+    async get(roomStore: RoomStore, userStore: UserStore): Promise<BridgeContext> {
         try {
             const results = await Promise.all([
                 roomStore.getLinkedRemoteRooms(this.ctx.room),
@@ -17,6 +17,7 @@ limitations under the License.
 
 import { promisify } from "util";
 import type Datastore from "nedb";
+import type { StoreJournal } from "./stores/store-transaction";
 
 type Query = Record<string, unknown>;
 
@@ -25,30 +26,59 @@ type Query = Record<string, unknown>;
  */
 export class BridgeStore {
     private dbInsert: (objects: any[]) => Promise<any[]>;
-    private dbUpdate: (query: any, values: any, options: Datastore.UpdateOptions) => Promise<void>;
+    private dbUpdate: (query: any, values: any, options: Datastore.UpdateOptions) => Promise<{ upserted?: any }>;
     private dbRemove: (query: Query, options: Datastore.RemoveOptions) => Promise<number>;
     private dbFindOne: (query: Query, projection?: any) => Promise<any>;
     private dbFind: (query: Query, projection?: any) => Promise<any>;
+    private dbCount: (query: Query) => Promise<number>;
+    private journal?: StoreJournal;
     constructor (public readonly db: Datastore) {
         this.dbInsert = promisify<any[]>(this.db.insert).bind(this.db);
-        this.dbUpdate = promisify<void>(this.db.update).bind(this.db);
+        this.dbUpdate = (query, values, options) => new Promise((resolve, reject) => {
+            const callback = (err: Error|null, _numAffected: number, affectedDocuments: any, upsert: boolean) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ upserted: upsert ? affectedDocuments : undefined });
+            };
+            this.db.update(query, values, options, callback);
+        });
         this.dbRemove = promisify<any>(this.db.remove).bind(this.db);
         this.dbFindOne = promisify(this.db.findOne).bind(this.db);
         this.dbFind = promisify(this.db.find).bind(this.db);
+        this.dbCount = promisify<Query, number>(this.db.count).bind(this.db);
+    }
+
+    /**
+     * Create a copy of this store which records how to undo each of its writes in the
+     * given journal, so that they can be rolled back. The copy shares the same database.
+     * @param journal The journal to record undo functions in.
+     */
+    public withJournal(journal: StoreJournal): this {
+        const store = Object.create(this);
+        store.journal = journal;
+        return store;
     }
 
     /**
      * INSERT a multiple documents.
      */
-    public insert(objects: unknown) {
-        return this.dbInsert([objects]);
+    public async insert(objects: unknown) {
+        const docs = await this.dbInsert([objects]);
+        this.journal?.push(async () => {
+            await this.dbRemove({ _id: { $in: docs.map((doc) => doc._id) } }, {multi: true});
+        });
+        return docs;
     }
 
     /**
      * UPSERT a single document
      */
-    public upsert<T>(query: Query, updateVals: T) {
-        return this.dbUpdate(query, updateVals, {upsert: true});
+    public async upsert<T>(query: Query, updateVals: T): Promise<void> {
+        await this.journaled(
+            query, () => this.dbUpdate(query, updateVals, {upsert: true}), ({ upserted }) => upserted ? [upserted] : [],
+        );
     }
 
     /**
@@ -57,7 +87,7 @@ export class BridgeStore {
     public async insertIfNotExists(query: Query, insertObj: Record<string, unknown>) {
         const item = await this.selectOne(query);
         if (!item) {
-            this.insert(insertObj);
+            await this.insert(insertObj);
         }
     }
 
@@ -65,15 +95,15 @@ export class BridgeStore {
      * UPDATE a single document. If the document already exists, this will NOT update
      * it.
      */
-    public update(query: Query, updateVals: Record<string, unknown>) {
-        return this.dbUpdate(query, updateVals, {upsert: false});
+    public async update(query: Query, updateVals: Record<string, unknown>): Promise<void> {
+        await this.journaled(query, () => this.dbUpdate(query, updateVals, {upsert: false}));
     }
 
     /**
      * DELETE multiple documents.
      */
     public delete(query: Query) {
-        return this.dbRemove(query, {multi: true});
+        return this.journaled(query, () => this.dbRemove(query, {multi: true}));
     }
 
     /**
@@ -110,6 +140,13 @@ export class BridgeStore {
         return doc as O[];
     }
 
+    /**
+     * Count the documents in the store.
+     */
+    public countRecords(): Promise<number> {
+        return this.dbCount({});
+    }
+
     /**
      * Set a UNIQUE key constraint on the given field.
      * @param fieldName The field name. Use dot notation for nested objects.
@@ -137,4 +174,30 @@ export class BridgeStore {
         }
     }
 
+    /**
+     * Run a write affecting the documents matching the query. If this store has a journal,
+     * record how to restore those documents to their current state.
+     * @param getInserted Get any documents inserted by the write from its result.
+     */
+    private async journaled<R>(
+        query: Query, write: () => Promise<R>, getInserted: (result: R) => any[] = () => [],
+    ): Promise<R> {
+        if (!this.journal) {
+            return write();
+        }
+        // Only the documents matched before the write are affected by it. Querying again afterwards
+        // could also match documents written by others.
+        const before: any[] = await this.dbFind(query);
+        const result = await write();
+        // Remove the documents written to (including any inserted ones), then put back the originals.
+        const ids = [...before, ...getInserted(result)].map((doc) => doc._id);
+        this.journal.push(async () => {
+            await this.dbRemove({ _id: { $in: ids } }, {multi: true});
+            if (before.length) {
+                await this.dbInsert(before);
+            }
+        });
+        return result;
+    }
+
 }
@@ -20,6 +20,13 @@ import * as yaml from "js-yaml";
 import nopt from "nopt";
 import { AppServiceOutput, AppServiceRegistration } from "matrix-appservice";
 import { ConfigValidator } from "./config-validator";
+import { StoreMigrationSources, StoreMigrationTargets, StoreMigrator } from "./store-migrator";
+import { RoomBridgeStore } from "./room-bridge-store";
+import { UserBridgeStore } from "./user-bridge-store";
+import { UserActivityStore } from "./user-activity-store";
+import { EventBridgeStore } from "./event-bridge-store";
+import { PostgresStore } from "./stores/postgres-store";
+import { loadDatabase } from "../utils/nedb";
 import { Logger } from "..";
 
 const log = new Logger("cli");
@@ -77,6 +84,12 @@ export interface CliOpts<ConfigType extends Record<string, unknown>> {
      * @default false
      */
     noUrl?: boolean;
+    /**
+     * Enable '--migrate-stores' to allow users to copy the contents of the NeDB stores into
+     * another set of stores, such as the PostgreSQL stores. This function is called with the
+     * loaded config and should return the stores to copy into.
+     */
+    migrateStores?: (config: ConfigType|null) => Promise<StoreMigrationTargets>|StoreMigrationTargets;
 }
 
 interface VettedCliOpts<ConfigType extends Record<string, unknown>> extends CliOpts<ConfigType> {
@@ -93,6 +106,13 @@ interface CliArgs {
     port?: number;
     file?: string;
     help?: boolean;
+    "migrate-stores"?: boolean;
+    "room-store"?: string;
+    "user-store"?: string;
+    "user-activity-store"?: string;
+    "event-store"?: string;
+    "dry-run"?: boolean;
+    "skip-verify"?: boolean;
 }
 
 export class Cli<ConfigType extends Record<string, unknown>> {
@@ -160,7 +180,14 @@ export class Cli<ConfigType extends Record<string, unknown>> {
             "localpart": String,
             "port": Number,
             "file": path,
-            "help": Boolean
+            "help": Boolean,
+            "migrate-stores": Boolean,
+            "room-store": path,
+            "user-store": path,
+            "user-activity-store": path,
+            "event-store": path,
+            "dry-run": Boolean,
+            "skip-verify": Boolean,
         }, {
             "c": "--config",
             "u": "--url",
@@ -204,6 +231,22 @@ export class Cli<ConfigType extends Record<string, unknown>> {
             return;
         }
 
+        if (this.opts.migrateStores && this.args["migrate-stores"]) {
+            if (this.opts.bridgeConfig && !this.args.config) {
+                this.printHelp();
+                console.log("Missing --config [-c]");
+                process.exit(1);
+            }
+            this.assignConfigFile(this.args.config);
+            this.migrateStores(this.args).then((success) => {
+                process.exit(success ? 0 : 1);
+            }).catch((ex) => {
+                log.error("Failed to migrate stores", ex);
+                process.exit(1);
+            });
+            return;
+        }
+
         if (this.args.help || (this.opts.bridgeConfig && !this.args.config)) {
             this.printHelp();
             process.exit(0);
@@ -266,6 +309,59 @@ export class Cli<ConfigType extends Record<string, unknown>> {
         });
     }
 
+    private async migrateStores(args: CliArgs): Promise<boolean> {
+        if (!this.opts.migrateStores) {
+            throw Error('No migrateStores function provided');
+        }
+        // Only fall back to the default paths used by the Bridge if the files exist.
+        const sourcePath = (arg: string|undefined, defaultPath?: string) => arg ||
+            (defaultPath && fs.existsSync(defaultPath) ? defaultPath : undefined);
+        const roomStorePath = sourcePath(args["room-store"], "room-store.db");
+        const userStorePath = sourcePath(args["user-store"], "user-store.db");
+        const userActivityStorePath = sourcePath(args["user-activity-store"], "user-activity-store.db");
+        const eventStorePath = sourcePath(args["event-store"]);
+
+        const sources: StoreMigrationSources = {
+            roomStore: roomStorePath ? await loadDatabase(roomStorePath, RoomBridgeStore) : undefined,
+            userStore: userStorePath ? await loadDatabase(userStorePath, UserBridgeStore) : undefined,
+            userActivityStore: userActivityStorePath ?
+                await loadDatabase(userActivityStorePath, UserActivityStore) : undefined,
+            eventStore: eventStorePath ? await loadDatabase(eventStorePath, EventBridgeStore) : undefined,
+        };
+        const targets = await this.opts.migrateStores(this.bridgeConfig);
+        for (const store of Object.values(targets)) {
+            if (store instanceof PostgresStore) {
+                await store.ensureSchema();
+            }
+        }
+
+        const dryRun = !!args["dry-run"];
+        const results = await new StoreMigrator(sources, targets).migrate({
+            dryRun,
+            verify: !args["skip-verify"],
+        });
+        if (results.length === 0) {
+            log.warn("No stores were migrated. Check that both source and target stores were provided.");
+        }
+        let success = true;
+        for (const result of results) {
+            if (dryRun) {
+                log.info(`${result.store} store: would copy ${result.sourceCount} record(s)`);
+                continue;
+            }
+            const targetCount = result.targetCount === undefined ? "" : ` (${result.targetCount} in the target)`;
+            log.info(
+                `${result.store} store: copied ${result.copiedCount}/${result.sourceCount} record(s)${targetCount}, ` +
+                `verified ${result.verifiedCount}/${result.sampledCount} sampled record(s)`
+            );
+            for (const failure of result.failures) {
+                log.warn(`${result.store} store: ${failure}`);
+            }
+            success = success && result.failures.length === 0 && result.copiedCount === result.sourceCount;
+        }
+        return success;
+    }
+
     private startWithConfig(configFilename: string|undefined, port: number|null) {
         if (this.opts.onConfigChanged && this.opts.bridgeConfig) {
             log.info("Will listen for SIGHUP");
@@ -344,6 +440,16 @@ export class Cli<ConfigType extends Record<string, unknown>> {
         }
         help["--port -p"] = "The port to listen on for HS requests";
 
+        if (this.opts.migrateStores) {
+            help["--migrate-stores"] = "Copy the contents of the NeDB stores into the stores configured by " +
+                "the bridge, then exit";
+            help["--room-store --user-store --user-activity-store --event-store"] = "Migration Option. " +
+                "The paths to the NeDB .db files to copy from. The room, user and user activity stores " +
+                "default to the files used by the bridge";
+            help["--dry-run"] = "Migration Option. Report what would be copied without writing anything";
+            help["--skip-verify"] = "Migration Option. Don't check the copied records after migrating";
+        }
+
         console.log("Usage:\n");
         console.log("Generating an application service registration file:");
         console.log("%s %s\n", appPart, usages[0]);
@@ -0,0 +1,88 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import type Datastore from "nedb";
+import { BridgeStore } from "./bridge-store";
+import { ClientEncryptionSession, ClientEncryptionStore } from "./encryption";
+
+/**
+ * A {@link ClientEncryptionStore} which persists the device IDs, access tokens and sync tokens
+ * of bridge users to a NeDB datastore, so that they keep their devices across restarts.
+ *
+ * @example
+ * const store = new ClientEncryptionBridgeStore(new Datastore({ filename: "encryption.db", autoload: true }));
+ * const bridge = new Bridge({ ..., bridgeEncryption: { homeserverUrl: pantalaimonUrl, store } });
+ */
+export class ClientEncryptionBridgeStore extends BridgeStore implements ClientEncryptionStore {
+    /**
+     * Construct a store for encryption sessions.
+     * @param db The connected NEDB database instance
+     */
+    constructor(db: Datastore) {
+        super(db);
+        this.setUnique("userId");
+    }
+
+    public async getStoredSession(userId: string): Promise<ClientEncryptionSession|null> {
+        return this.selectOne({ userId }, toSession);
+    }
+
+    public async setStoredSession(session: ClientEncryptionSession): Promise<void> {
+        await this.upsert({ userId: session.userId }, { ...session });
+    }
+
+    public async updateSyncToken(userId: string, token: string): Promise<void> {
+        await this.update({ userId }, { $set: { syncToken: token } });
+    }
+
+    public async deleteStoredSession(userId: string): Promise<void> {
+        await this.delete({ userId });
+    }
+
+    /**
+     * Remove the sessions of bridge users which no longer exist, such as ghosts of
+     * remote users who have left. This only forgets the sessions: their devices stay
+     * logged in until the caller logs them out with the returned access tokens.
+     * @example
+     * const pruned = await store.pruneSessions(async (userId) => !!(await userStore.getMatrixUser(userId)));
+     * for (const { accessToken } of pruned) {
+     *     await new MatrixClient(homeserverUrl, accessToken).doRequest("POST", "/_matrix/client/v3/logout");
+     * }
+     * @param exists Called with each user ID that has a session. Resolves to false if the user
+     * no longer exists.
+     * @return Resolves to the sessions which were removed.
+     */
+    public async pruneSessions(
+        exists: (userId: string) => Promise<boolean>|boolean): Promise<ClientEncryptionSession[]> {
+        const sessions = await this.select({}, toSession);
+        const removed: ClientEncryptionSession[] = [];
+        for (const session of sessions) {
+            if (!await exists(session.userId)) {
+                await this.deleteStoredSession(session.userId);
+                removed.push(session);
+            }
+        }
+        return removed;
+    }
+}
+
+function toSession(doc: ClientEncryptionSession): ClientEncryptionSession {
+    return {
+        userId: doc.userId,
+        deviceId: doc.deviceId,
+        accessToken: doc.accessToken,
+        syncToken: doc.syncToken ?? null,
+    };
+}
@@ -3,16 +3,28 @@ import { Logger } from "..";
 import BotSdk, { MatrixClient, MatrixError } from "@vector-im/matrix-bot-sdk";
 import { FileUploadOpts, Intent, IntentOpts } from "./intent";
 import { WeakStateEvent } from "./event-types";
+import { encryptAttachment, MediaContent } from "./encrypted-media";
 
 const log = new Logger("EncryptedIntent");
 
-export interface EncryptedIntentOpts {
+export interface PantalaimonEncryptedIntentOpts {
+    native?: false;
     sessionPromise: Promise<ClientEncryptionSession|null>;
     sessionCreatedCallback: (session: ClientEncryptionSession) => Promise<void>;
     ensureClientSyncingCallback: () => Promise<void>;
     originalHomeserverUrl: string;
 }
 
+/**
+ * Encrypt events locally with the Rust crypto of the bot-sdk. The bot-sdk appservice
+ * must be configured with a `cryptoStorage`.
+ */
+export interface NativeEncryptedIntentOpts {
+    native: true;
+}
+
+export type EncryptedIntentOpts = PantalaimonEncryptedIntentOpts|NativeEncryptedIntentOpts;
+
 /**
  * Implements some special handling on top of Intent to handle encrypted rooms.
  */
@@ -21,13 +33,16 @@ export class EncryptedIntent extends Intent {
     private readonly encryptedRooms = new Map<string, boolean>();
     private encryptionReadyPromise?: Promise<void>;
     // A client that talks directly to the homeserver, bypassing pantalaimon.
-    private encryptionHsClient: MatrixClient;
+    private encryptionHsClient?: MatrixClient;
 
     constructor(
         botSdkIntent: BotSdk.Intent,
         botClient: BotSdk.MatrixClient,
         intentOpts: IntentOpts, private encryptionOpts: EncryptedIntentOpts) {
         super(botSdkIntent, botClient, intentOpts);
+        if (this.encryptionOpts.native) {
+            return;
+        }
 
         // We still need a direct client to the homeserver in some cases, so clone
         // the existing one.
@@ -39,18 +54,59 @@ export class EncryptedIntent extends Intent {
     }
 
     /**
-     * Upload a file to the homeserver.
+     * Upload a file to the homeserver. The file is always uploaded as plaintext, even
+     * if it is later sent to an encrypted room, so a warning is logged for each upload.
+     * @deprecated Use {@link uploadContentForRoom}, which encrypts media for encrypted rooms.
      * @param content The file contents
      * @param opts Additional options for the upload.
      * @returns A MXC URL pointing to the uploaded data.
      */
     public async uploadContent(content: Buffer|string, opts: FileUploadOpts = {}): Promise<string> {
+        log.warn(
+            `${this.userId} is uploading media unencrypted, which leaks it if it is sent to an encrypted room. ` +
+            `Use uploadContentForRoom instead.`
+        );
+        return this.uploadUnencryptedContent(content, opts);
+    }
+
+    private async uploadUnencryptedContent(content: Buffer|string, opts: FileUploadOpts): Promise<string> {
         await this.ensureRegistered();
-        // Media is encrypted, since we don't know the destination room assume this media will be encrypted.
-        await this.encryptionOpts.ensureClientSyncingCallback();
+        if (!this.encryptionOpts.native) {
+            // Uploads go through pantalaimon, which requires the client to be syncing.
+            await this.encryptionOpts.ensureClientSyncingCallback();
+        }
         return super.uploadContent(content, opts);
     }
 
+    /**
+     * Upload a file to be sent to a room. If the room is encrypted, the file is encrypted
+     * before it is uploaded so that the media repository cannot read it.
+     * @param roomId The room the file will be sent to.
+     * @param content The file contents
+     * @param opts Additional options for the upload.
+     * @returns The `url` or encrypted `file` to include in the content of the message.
+     */
+    public async uploadContentForRoom(roomId: string, content: Buffer|string, opts: FileUploadOpts = {})
+        : Promise<MediaContent> {
+        let encrypted: boolean;
+        try {
+            encrypted = await this.isRoomEncrypted(roomId);
+        }
+        catch (ex) {
+            // Fail safe, as in sendEvent.
+            log.debug(`Could not determine if room is encrypted. Assuming yes:`, ex);
+            encrypted = true;
+        }
+        if (!encrypted) {
+            return { url: await this.uploadUnencryptedContent(content, opts) };
+        }
+        const { data, file } = encryptAttachment(typeof content === "string" ? Buffer.from(content, "utf8") : content);
+        // The ciphertext doesn't need to go through pantalaimon, and the name and type of the
+        // file are only sent in the encrypted message.
+        const url = await super.uploadContent(data, { type: "application/octet-stream" });
+        return { file: { url, ...file } };
+    }
+
     public onEvent(event: WeakStateEvent): void {
         super.onEvent(event);
         if (event.type === "m.room.encryption" && typeof event.content.algorithm === "string") {
@@ -83,7 +139,8 @@ export class EncryptedIntent extends Intent {
         super.ensureRegistered(forceRegister);
 
         if (!this.encryptionReadyPromise) {
-            this.encryptionReadyPromise = this.getEncryptedSession();
+            this.encryptionReadyPromise = this.encryptionOpts.native ?
+                this.botSdkIntent.enableEncryption() : this.getEncryptedSession();
         }
 
         // We're already trying to generate a new session.
@@ -105,8 +162,12 @@ export class EncryptedIntent extends Intent {
      * promise or creating a new session by logging in to the homeserver.
      */
     private async getEncryptedSession(): Promise<void> {
+        const encryptionOpts = this.encryptionOpts;
+        if (encryptionOpts.native) {
+            throw Error("Native encryption does not use sessions");
+        }
         // First, see if this user already has a session in the store.
-        let session = await this.encryptionOpts.sessionPromise;
+        let session = await encryptionOpts.sessionPromise;
 
         if (session) {
             // Store has a session, check we're authenticted.
@@ -134,8 +195,8 @@ export class EncryptedIntent extends Intent {
                 syncToken: null,
             };
             log.info(`getEncryptedSession: Created new session for ${this.userId}`);
-            this.encryptionOpts.sessionPromise = Promise.resolve(session);
-            await this.encryptionOpts?.sessionCreatedCallback(session);
+            encryptionOpts.sessionPromise = Promise.resolve(session);
+            await encryptionOpts.sessionCreatedCallback(session);
         }
 
         // We need to overwrite the access token here, as we don't want to use the
@@ -166,6 +227,12 @@ export class EncryptedIntent extends Intent {
          await this._ensureHasPowerLevelFor(roomId, type, false);
          let encrypted = false; // Is the room encrypted.
          let client = this.botSdkIntent.underlyingClient;
+         if (this.encryptionOpts.native) {
+             // The client has crypto enabled, so encrypts events for encrypted rooms itself.
+             const eventId = await super._joinGuard(roomId, () => client.sendEvent(roomId, type, content));
+             this.opts.onEventSent?.(roomId, type, content, eventId);
+             return {event_id: eventId};
+         }
 
         try {
             encrypted = !!(await this.isRoomEncrypted(roomId));
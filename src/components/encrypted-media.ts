@@ -0,0 +1,99 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from "crypto";
+
+/**
+ * The `file` object of an encrypted attachment, which replaces `url` in the content of
+ * `m.image`, `m.file` and similar messages sent to encrypted rooms.
+ * @see https://spec.matrix.org/v1.9/client-server-api/#extensions-to-mroommessage-msgtypes
+ */
+export interface EncryptedFile {
+    url: string;
+    key: {
+        kty: "oct";
+        // eslint-disable-next-line camelcase
+        key_ops: string[];
+        alg: "A256CTR";
+        k: string;
+        ext: true;
+    };
+    iv: string;
+    hashes: {
+        sha256: string;
+    };
+    v: "v2";
+}
+
+/**
+ * The media of a message, as either a plain `url` or an encrypted `file`.
+ */
+export type MediaContent = { url: string, file?: undefined }|{ file: EncryptedFile, url?: undefined };
+
+/**
+ * Encrypt an attachment with AES-CTR, ready to be uploaded to an encrypted room.
+ * @param data The plaintext of the attachment.
+ * @returns The ciphertext to upload, and the `file` object without the `url` of the upload.
+ */
+export function encryptAttachment(data: Buffer): { data: Buffer, file: Omit<EncryptedFile, "url"> } {
+    const key = randomBytes(32);
+    // The counter is the lower 64 bits of the IV, and must start at zero.
+    const iv = Buffer.concat([randomBytes(8), Buffer.alloc(8)]);
+    const cipher = createCipheriv("aes-256-ctr", key, iv);
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+    return {
+        data: ciphertext,
+        file: {
+            key: {
+                kty: "oct",
+                // eslint-disable-next-line camelcase
+                key_ops: ["encrypt", "decrypt"],
+                alg: "A256CTR",
+                k: key.toString("base64url"),
+                ext: true,
+            },
+            iv: unpaddedBase64(iv),
+            hashes: {
+                sha256: unpaddedBase64(createHash("sha256").update(ciphertext).digest()),
+            },
+            v: "v2",
+        },
+    };
+}
+
+/**
+ * Decrypt an attachment downloaded from an encrypted room.
+ * @param data The ciphertext of the attachment.
+ * @param file The `file` object from the content of the message.
+ * @returns The plaintext of the attachment.
+ * @throws If the file uses an unsupported version or algorithm, or the ciphertext does not match its hash.
+ */
+export function decryptAttachment(data: Buffer, file: Omit<EncryptedFile, "url">): Buffer {
+    if (file.v !== "v2" || file.key?.alg !== "A256CTR" || !file.key.k || !file.iv) {
+        throw Error("Unsupported encrypted file");
+    }
+    const hash = unpaddedBase64(createHash("sha256").update(data).digest());
+    if (hash !== file.hashes?.sha256?.replace(/=+$/, "")) {
+        throw Error("Encrypted file does not match its hash");
+    }
+    const key = Buffer.from(file.key.k, "base64url");
+    const iv = Buffer.from(file.iv, "base64");
+    const decipher = createDecipheriv("aes-256-ctr", key, iv);
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+function unpaddedBase64(data: Buffer): string {
+    return data.toString("base64").replace(/=+$/, "");
+}
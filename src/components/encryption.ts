@@ -5,9 +5,15 @@ import { Intent } from "./intent";
 import { Logger } from "..";
 import { MatrixClient } from "@vector-im/matrix-bot-sdk";
 import LRU from "@alloc/quick-lru"
+import { EventEmitter } from "events";
 
 export const APPSERVICE_LOGIN_TYPE = "m.login.application_service";
 const EVENT_CACHE_FOR_MS = 5 * 60000; // 5 minutes
+const DEFAULT_SYNC_STALL_TIMEOUT_MS = 2 * 60000;
+const DEFAULT_SUPERVISE_INTERVAL_MS = 30000;
+const RESTART_BACKOFF_MIN_MS = 5000;
+const RESTART_BACKOFF_MAX_MS = 5 * 60000;
+const DEFAULT_MAX_ROOMS_PER_SYNC_USER = 100;
 
 const log = new Logger('EncryptedEventBroker');
 
@@ -25,6 +31,11 @@ export interface ClientEncryptionStore {
     getStoredSession(userId: string): Promise<ClientEncryptionSession|null>;
     setStoredSession(session: ClientEncryptionSession): Promise<void>;
     updateSyncToken(userId: string, token: string): Promise<void>;
+    /**
+     * Remove the session for a user, so that a new device is created the next time it is needed.
+     * Required to rotate devices with {@link Bridge#rotateEncryptionDevice}.
+     */
+    deleteStoredSession?(userId: string): Promise<void>;
 }
 
 const SYNC_FILTER = {
@@ -56,8 +67,59 @@ const SYNC_FILTER = {
 
 interface SyncingUser {
     matrixClient: MatrixClient;
-    state: "preparing"|"syncing";
+    state: "preparing"|"syncing"|"restarting";
     preparingPromise: Promise<unknown>;
+    sinceTs: number;
+}
+
+interface SyncHealth {
+    lastSyncTs: number|null;
+    consecutiveFailures: number;
+    restarts: number;
+    // Restarts since the last successful sync, which determines the backoff.
+    failedRestarts: number;
+}
+
+export interface SyncUserStatus {
+    userId: string;
+    state: "preparing"|"syncing"|"restarting";
+    /**
+     * When the sync loop entered this state.
+     */
+    sinceTs: number;
+    /**
+     * How many rooms this user is syncing encrypted events for.
+     */
+    rooms: number;
+    /**
+     * When the last /sync request succeeded, if any have.
+     */
+    lastSyncTs: number|null;
+    /**
+     * How many /sync requests have failed since the last success.
+     */
+    consecutiveFailures: number;
+    /**
+     * How many times the sync loop has been restarted because it stalled.
+     */
+    restarts: number;
+}
+
+export interface EncryptedEventBrokerOpts {
+    /**
+     * How long a sync loop may go without a successful /sync before it is restarted.
+     * Defaults to 2 minutes.
+     */
+    syncStallTimeoutMs?: number;
+    /**
+     * How often to check for stalled sync loops and undecrypted events. Defaults to 30 seconds.
+     */
+    superviseIntervalMs?: number;
+    /**
+     * How many rooms a sync loop should be used for before starting a loop for another bridge user.
+     * Rooms are packed onto as few loops as possible up to this limit. Defaults to 100.
+     */
+    maxRoomsPerSyncUser?: number;
 }
 
 /**
@@ -88,26 +150,58 @@ interface SyncingUser {
  *   |  Bridge           |
  *   +-------------------+
  *
+ * Rooms are placed on as few sync loops as possible, up to `maxRoomsPerSyncUser` rooms
+ * each. When a syncing bridge user leaves a room, or their sync loop stalls, their rooms
+ * are moved to other bridge users in those rooms.
+ *
+ * The broker supervises the sync loops, restarting any which stop completing
+ * /sync requests, with backoff. It emits:
+ * - `sync_restarted` (userId, reason) when a stalled sync loop is restarted.
+ * - `undecrypted_event` (event) when an encrypted event from the appservice stream
+ *   was not decrypted by any sync loop within the cache window.
  */
-export class EncryptedEventBroker {
+export class EncryptedEventBroker extends EventEmitter {
+    private readonly supervisor: NodeJS.Timeout;
+
     constructor(
         private membership: MembershipCache,
         private asBot: AppServiceBot,
         private onEvent: (weakEvent: WeakEvent) => void,
         private getIntent: (userId: string) => Intent,
         private store: ClientEncryptionStore,
+        private readonly opts: EncryptedEventBrokerOpts = {},
         ) {
-
+        super();
+        this.supervisor = setInterval(
+            () => this.supervise(), opts.superviseIntervalMs ?? DEFAULT_SUPERVISE_INTERVAL_MS,
+        );
+        this.supervisor.unref();
     }
     private handledEvents = new LRU<string, void>({ maxAge: EVENT_CACHE_FOR_MS, maxSize: 10000 });
     private userForRoom = new Map<string, string>();
 
-    // Set of matrix event ids that arrived in an AS transaction before a sync loop.
-    private eventsPendingSync = new LRU<string, void>({ maxAge: EVENT_CACHE_FOR_MS, maxSize: 10000 });
+    // Set of matrix event ids -> encrypted event that arrived in an AS transaction before a sync loop.
+    // Events are deleted once handled, so any which are evicted were never decrypted.
+    private eventsPendingSync = new LRU<string, WeakEvent>({
+        maxAge: EVENT_CACHE_FOR_MS,
+        maxSize: 10000,
+        onEviction: (eventId, event) => {
+            // Entries are also "evicted" when the cache rotates, even if a newer copy of them is kept,
+            // so wait until the eviction has finished to check if the event is really gone.
+            queueMicrotask(() => {
+                if (this.eventsPendingSync.has(eventId)) {
+                    return;
+                }
+                log.warn(`${eventId} (${event.room_id}) was not decrypted in time`);
+                this.emit("undecrypted_event", event);
+            });
+        },
+    });
     // Set of matrix event ids -> event content that arrived in a sync loop before an AS transaction.
     private eventsPendingAS = new LRU<string, WeakEvent>({ maxAge: EVENT_CACHE_FOR_MS, maxSize: 10000 });
 
     private syncingClients = new Map<string, SyncingUser>();
+    private syncHealth = new Map<string, SyncHealth>();
 
     /**
      * Called when the bridge gets an event through an appservice transaction.
@@ -119,7 +213,7 @@ export class EncryptedEventBroker {
             const existingSyncUser = this.userForRoom.get(event.room_id);
             if (existingSyncUser === event.state_key && event.content.membership !== "join") {
                 // User has left the room (or are banned/invited), they are no longer our sync targets.
-                this.userForRoom.delete(event.room_id);
+                await this.migrateRooms([event.room_id], existingSyncUser);
             }
         }
 
@@ -134,57 +228,119 @@ export class EncryptedEventBroker {
             this.handleEvent(syncedEvent);
             return false;
         }
-        this.eventsPendingSync.set(event.event_id);
+        this.eventsPendingSync.set(event.event_id, event);
 
         // We need to determine if anyone is syncing for this room?
         const existingUserForRoom = this.userForRoom.get(event.room_id);
         if (existingUserForRoom) {
             log.debug(`${existingUserForRoom} is listening for ${event.event_id}`);
-            // XXX: Sometimes the sync stops working, calling this will wake it up.
+            // Ensure the loop is still running, such as after a cull. Stalled loops are restarted by the supervisor.
             await this.startSyncingUser(existingUserForRoom);
             return false;
         }
 
-        // Do we have any clients in these rooms already.
-        let fullRoomMembership = this.membership.getMembersForRoom(event.room_id, "join");
+        const membersForRoom = await this.getBridgeMembers(event.room_id);
+        if (!membersForRoom?.length) {
+            log.error(`${event.room_id} has no bridge users in the room`);
+            // We have NO clients in this room but we got the event? Seems dodgy.
+            return false;
+        }
+
+        // We have no syncing clients for this room, so pick one.
+        await this.assignSyncUser(event.room_id, membersForRoom);
+        return false;
+    }
+
+    private async getBridgeMembers(roomId: string): Promise<string[]|null> {
+        let fullRoomMembership = this.membership.getMembersForRoom(roomId, "join");
         if (!fullRoomMembership) {
-            log.info(`${event.room_id} has no room membership cached`);
+            log.info(`${roomId} has no room membership cached`);
             // We have no membership for this room, fetch it.
-            await this.asBot.getJoinedMembers(event.room_id);
+            await this.asBot.getJoinedMembers(roomId);
             // The cache is populated
-            fullRoomMembership = this.membership.getMembersForRoom(event.room_id, "join");
+            fullRoomMembership = this.membership.getMembersForRoom(roomId, "join");
             if (!fullRoomMembership) {
-                log.error(`${event.room_id} has NO membership after trying to fetch fresh state`);
+                log.error(`${roomId} has NO membership after trying to fetch fresh state`);
                 // We STILL don't have membership? Doesn't seem likely.
-                return false;
+                return null;
             }
         }
+        return fullRoomMembership.filter((u) => this.asBot.isRemoteUser(u));
+    }
 
-        const membersForRoom = fullRoomMembership.filter((u) => this.asBot.isRemoteUser(u));
-        if (!membersForRoom.length) {
-            log.error(`${event.room_id} has no bridge users in the room`);
-            // We have NO clients in this room but we got the event? Seems dodgy.
-            return false;
+    /**
+     * Choose which bridge user should sync a room, preferring the busiest healthy sync loop
+     * which has space, so that as few loops as possible are running.
+     * @param members The bridge users in the room.
+     */
+    private chooseSyncUser(members: string[]): string {
+        const maxRooms = this.opts.maxRoomsPerSyncUser ?? DEFAULT_MAX_ROOMS_PER_SYNC_USER;
+        const roomCounts = new Map<string, number>();
+        for (const userId of this.userForRoom.values()) {
+            roomCounts.set(userId, (roomCounts.get(userId) ?? 0) + 1);
         }
+        const rooms = (userId: string) => roomCounts.get(userId) ?? 0;
+        const healthy = members.filter((u) => this.syncingClients.get(u)?.state !== "restarting");
+        const candidates = healthy.length ? healthy : members;
 
-        const existingUser = membersForRoom.find((u) => [...this.userForRoom.values()].includes(u));
-        if (existingUser) {
-            log.debug(`${event.room_id} will be synced by ${existingUser}`);
-            // Bind them to the room
-            this.userForRoom.set(event.room_id, existingUser);
+        const running = candidates.filter((u) => this.syncingClients.has(u) && rooms(u) < maxRooms);
+        if (running.length) {
+            return running.reduce((best, u) => (rooms(u) > rooms(best) ? u : best));
         }
+        // Every loop in the room is full, so start another if we can.
+        const idle = candidates.find((u) => !this.syncingClients.has(u));
+        return idle ?? candidates.reduce((best, u) => (rooms(u) < rooms(best) ? u : best));
+    }
 
-        // We have no syncing clients for this room. Take the first one.
-        const newSyncer = membersForRoom[0];
-        log.debug(`No syncing clients for ${event.room_id}, will use ${newSyncer}`);
+    private async assignSyncUser(roomId: string, members: string[]): Promise<string> {
+        const syncUserId = this.chooseSyncUser(members);
+        log.debug(`${roomId} will be synced by ${syncUserId}`);
         // Wait so that we block before new events arrive.
-        await this.getIntent(newSyncer).ensureRegistered();
-        await this.startSyncingUser(newSyncer);
-        this.userForRoom.set(event.room_id, newSyncer);
-        return false;
+        await this.getIntent(syncUserId).ensureRegistered();
+        await this.startSyncingUser(syncUserId);
+        this.userForRoom.set(roomId, syncUserId);
+        return syncUserId;
+    }
+
+    /**
+     * Move rooms to other sync loops. Rooms which cannot be moved now will be placed
+     * when their next encrypted event arrives. Loops left without any rooms are stopped.
+     * @param roomIds The rooms to move.
+     * @param leavingUserId A bridge user who is no longer in the rooms.
+     */
+    private async migrateRooms(roomIds: string[], leavingUserId?: string): Promise<void> {
+        const previousUserIds = new Set<string>();
+        for (const roomId of roomIds) {
+            const previousUserId = this.userForRoom.get(roomId);
+            if (previousUserId) {
+                previousUserIds.add(previousUserId);
+            }
+            this.userForRoom.delete(roomId);
+            try {
+                const members = (await this.getBridgeMembers(roomId))?.filter((u) => u !== leavingUserId);
+                if (!members?.length) {
+                    log.info(`No other bridge users can sync ${roomId}`);
+                    continue;
+                }
+                const newUserId = await this.assignSyncUser(roomId, members);
+                if (newUserId !== previousUserId) {
+                    log.info(`Moved ${roomId} from ${previousUserId} to ${newUserId}`);
+                }
+            }
+            catch (ex) {
+                log.warn(`Failed to move ${roomId} to another sync loop`, ex);
+            }
+        }
+        const syncUserIds = new Set(this.userForRoom.values());
+        for (const userId of previousUserIds) {
+            if (!syncUserIds.has(userId) && this.syncingClients.has(userId)) {
+                log.info(`Stopping sync for ${userId}, which has no rooms left to sync`);
+                this.stopSyncingUser(userId);
+            }
+        }
     }
 
-    private onSyncEvent(roomId: string, event: PantalaimonWeakEvent): void {
+    private onSyncEvent = (roomId: string, event: PantalaimonWeakEvent): void => {
         if (!event.decrypted) {
             // We only care about encrypted events, and pantalaimon appends a decrypted key to each event.
             return;
@@ -234,16 +390,22 @@ export class EncryptedEventBroker {
             await existingState.preparingPromise;
             return;
         }
+        else if (existingState?.state === "restarting") {
+            log.debug(`Client is waiting to restart its sync`);
+            return;
+        }
         log.debug(`Starting to sync ${userId}`);
-        const intent = this.getIntent(userId);
-        const { matrixClient } = intent;
+        await this.startSyncLoop(userId, this.getIntent(userId).matrixClient);
+    }
 
+    private async startSyncLoop(userId: string, matrixClient: MatrixClient): Promise<void> {
         // Wrenching into the bot sdk to pull the token out.
         matrixClient.storageProvider.setSyncToken = async (token) => {
             if (token) {
                 await this.store.updateSyncToken(userId, token);
             }
         };
+        this.trackSyncHealth(userId, matrixClient);
 
         const preparingPromise = (async () => {
             // The automatic filter handling logic in .start() seems to break
@@ -271,15 +433,18 @@ export class EncryptedEventBroker {
             preparingPromise,
             state: "preparing",
             matrixClient: matrixClient,
+            sinceTs: Date.now(),
         });
 
         try {
             await preparingPromise;
-            matrixClient.on('room.event', this.onSyncEvent.bind(this));
+            matrixClient.removeListener('room.event', this.onSyncEvent);
+            matrixClient.on('room.event', this.onSyncEvent);
             this.syncingClients.set(userId, {
                 preparingPromise: Promise.resolve(),
                 state: "syncing",
                 matrixClient: matrixClient,
+                sinceTs: Date.now(),
             });
         }
         catch (ex) {
@@ -291,6 +456,145 @@ export class EncryptedEventBroker {
         log.debug(`Started a new sync for ${userId}`);
     }
 
+    /**
+     * Get the state of each sync loop used for encryption.
+     */
+    public getSyncStatus(): SyncUserStatus[] {
+        const roomOwners = [...this.userForRoom.values()];
+        return [...this.syncingClients.entries()].map(([userId, { state, sinceTs }]) => {
+            const health = this.getSyncHealth(userId);
+            return {
+                userId,
+                state,
+                sinceTs,
+                rooms: roomOwners.filter(u => u === userId).length,
+                lastSyncTs: health.lastSyncTs,
+                consecutiveFailures: health.consecutiveFailures,
+                restarts: health.restarts,
+            };
+        });
+    }
+
+    /**
+     * Get how many events are waiting to be matched between the appservice stream and sync loops.
+     */
+    public getPendingEventCounts(): { pendingSync: number, pendingAS: number } {
+        // `size` includes expired and duplicate entries, which iterating skips.
+        return {
+            pendingSync: [...this.eventsPendingSync.keys()].length,
+            pendingAS: [...this.eventsPendingAS.keys()].length,
+        };
+    }
+
+    private getSyncHealth(userId: string): SyncHealth {
+        let health = this.syncHealth.get(userId);
+        if (!health) {
+            health = { lastSyncTs: null, consecutiveFailures: 0, restarts: 0, failedRestarts: 0 };
+            this.syncHealth.set(userId, health);
+        }
+        return health;
+    }
+
+    private trackSyncHealth(userId: string, matrixClient: MatrixClient) {
+        // More private property manipulation, to observe each /sync request.
+        // The prototype is used so that the wrapper isn't wrapped again if the client is reused.
+        // eslint-disable-next-line @typescript-eslint/no-explicit-any
+        const client = matrixClient as any;
+        const doSync: (token: string) => Promise<unknown> = Object.getPrototypeOf(client).doSync;
+        client.doSync = async (token: string) => {
+            const health = this.getSyncHealth(userId);
+            try {
+                const response = await doSync.call(matrixClient, token);
+                health.lastSyncTs = Date.now();
+                health.consecutiveFailures = 0;
+                health.failedRestarts = 0;
+                return response;
+            }
+            catch (ex) {
+                health.consecutiveFailures++;
+                throw ex;
+            }
+        };
+    }
+
+    /**
+     * Restart sync loops which have not completed a /sync within the stall timeout, and
+     * report events which were never decrypted.
+     */
+    private supervise() {
+        // Expired entries are only evicted as they are accessed, so iterate to evict them.
+        void [...this.eventsPendingSync.keys(), ...this.eventsPendingAS.keys()];
+        const stallTimeoutMs = this.opts.syncStallTimeoutMs ?? DEFAULT_SYNC_STALL_TIMEOUT_MS;
+        const now = Date.now();
+        for (const [userId, syncing] of this.syncingClients) {
+            const lastSyncTs = Math.max(this.getSyncHealth(userId).lastSyncTs ?? 0, syncing.sinceTs);
+            if (syncing.state === "syncing" && now - lastSyncTs > stallTimeoutMs) {
+                this.restartSyncingUser(userId, `No successful sync for ${now - lastSyncTs}ms`);
+            }
+        }
+    }
+
+    private restartSyncingUser(userId: string, reason: string) {
+        const syncing = this.syncingClients.get(userId);
+        if (!syncing) {
+            return;
+        }
+        const health = this.getSyncHealth(userId);
+        const delay = Math.min(RESTART_BACKOFF_MIN_MS * 2 ** health.failedRestarts, RESTART_BACKOFF_MAX_MS);
+        health.restarts++;
+        health.failedRestarts++;
+        log.warn(`Restarting sync for ${userId} in ${delay}ms: ${reason}`);
+        this.emit("sync_restarted", userId, reason);
+        const roomIds = [...this.userForRoom].filter(([, u]) => u === userId).map(([roomId]) => roomId);
+
+        // The bot sdk cannot safely restart a stopped client while its loop may still be running,
+        // so continue with a new client using the same session.
+        syncing.matrixClient.stop();
+        syncing.matrixClient.removeListener('room.event', this.onSyncEvent);
+        const { homeserverUrl, accessToken, storageProvider } = syncing.matrixClient;
+        const preparingPromise = new Promise(resolve => setTimeout(resolve, delay).unref()).then(async () => {
+            if (this.syncingClients.get(userId)?.preparingPromise !== preparingPromise) {
+                // Stopped while waiting.
+                return;
+            }
+            this.syncingClients.delete(userId);
+            await this.startSyncLoop(userId, new MatrixClient(homeserverUrl, accessToken, storageProvider));
+        }).catch(ex => {
+            log.warn(`Failed to restart sync for ${userId}`, ex);
+        });
+        this.syncingClients.set(userId, {
+            preparingPromise,
+            state: "restarting",
+            matrixClient: syncing.matrixClient,
+            sinceTs: Date.now(),
+        });
+        // Keep the rooms synced by healthy loops while this one is down.
+        void this.migrateRooms(roomIds);
+    }
+
+    /**
+     * Stop the sync loop for a user, and stop using them to sync any rooms. Another
+     * user will be chosen to sync those rooms when they next receive an event.
+     * @param userId The user to stop syncing.
+     */
+    public stopSyncingUser(userId: string): void {
+        for (const [roomId, syncUserId] of this.userForRoom) {
+            if (syncUserId === userId) {
+                this.userForRoom.delete(roomId);
+            }
+        }
+        const clientSet = this.syncingClients.get(userId);
+        this.syncingClients.delete(userId);
+        this.syncHealth.delete(userId);
+        if (!clientSet) {
+            return;
+        }
+        log.debug(`Stopping sync for ${userId}`);
+        clientSet.preparingPromise.catch(() => {
+            // Failures are logged by startSyncingUser.
+        }).finally(() => clientSet.matrixClient.stop());
+    }
+
     public shouldAvoidCull(intent: Intent): boolean {
         // Is user in use for syncing a room?
         if ([...this.userForRoom.values()].includes(intent.userId)) {
@@ -304,6 +608,7 @@ export class EncryptedEventBroker {
             // If we ARE culling the client then ensure they stop syncing too.
             try {
                 this.syncingClients.delete(intent.userId);
+                this.syncHealth.delete(intent.userId);
                 if (clientSet.state !== "syncing") {
                     log.warn(`Culling client ${intent.userId} but they have not started syncing yet`);
                     clientSet.preparingPromise.catch(() => {
@@ -328,6 +633,7 @@ export class EncryptedEventBroker {
      * Stop syncing clients used for encryption
      */
     public close(): void {
+        clearInterval(this.supervisor);
         for (const client of this.syncingClients.values()) {
             try {
                 client.matrixClient.stop();
@@ -337,6 +643,8 @@ export class EncryptedEventBroker {
                 log.warn(`MatrixClient failed to stop`, ex);
             }
         }
+        // Prevent any pending restarts.
+        this.syncingClients.clear();
     }
 
     public static supportsLoginFlow(loginFlows: {flows: {type: string}[]}): boolean {
@@ -16,6 +16,7 @@ limitations under the License.
 
 import type Datastore from "nedb";
 import { BridgeStore } from "./bridge-store";
+import { EventStore } from "./stores/interfaces";
 import { StoredEvent, StoredEventDoc } from "../models/events/event";
 
 /**
@@ -24,7 +25,7 @@ import { StoredEvent, StoredEventDoc } from "../models/events/event";
  * @constructor
  * @param db The connected NEDB database instance
  */
-export class EventBridgeStore extends BridgeStore {
+export class EventBridgeStore extends BridgeStore implements EventStore {
     constructor(db: Datastore) { super(db) }
 
     /**
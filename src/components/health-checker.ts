@@ -0,0 +1,199 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { Request, RequestHandler, Response } from "express";
+import { Logger } from "./logging";
+import type { Bridge } from "../bridge";
+
+const log = new Logger("HealthChecker");
+
+export interface HealthCheck {
+    name: string;
+    /**
+     * Resolves if the dependency is healthy, optionally with details to include in the report.
+     * Throws or rejects if it is unhealthy.
+     */
+    check: () => Promise<Record<string, unknown>|void>|Record<string, unknown>|void;
+    /**
+     * Whether the bridge is not ready while this check fails. Non-critical failures are
+     * reported as `degraded`. Defaults to true.
+     */
+    critical?: boolean;
+    /**
+     * Also run this check for liveness probes, which restart the bridge when they fail.
+     * Only use this for failures which a restart would fix. Defaults to false.
+     */
+    liveness?: boolean;
+    /**
+     * How long the check may take before it fails. Defaults to the checker's timeout.
+     */
+    timeoutMs?: number;
+}
+
+export interface HealthCheckResult {
+    ok: boolean;
+    critical: boolean;
+    durationMs: number;
+    error?: string;
+    details?: Record<string, unknown>;
+}
+
+export type HealthProbe = "liveness"|"readiness";
+
+export interface HealthReport {
+    /**
+     * `ok` if every check passed, `degraded` if only non-critical checks failed,
+     * otherwise `failed`.
+     */
+    status: "ok"|"degraded"|"failed";
+    checks: Record<string, HealthCheckResult>;
+}
+
+export interface HealthCheckerOpts {
+    /**
+     * How long each check may take before it fails. Defaults to 10 seconds.
+     */
+    timeoutMs?: number;
+    /**
+     * How long to reuse a report for, so that frequent probes do not load the homeserver
+     * or databases. Defaults to 5 seconds.
+     */
+    cacheMs?: number;
+}
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_CACHE_MS = 5000;
+
+/**
+ * Aggregates health checks for the dependencies of a bridge, such as the homeserver and
+ * the stores, and serves them as liveness and readiness probes.
+ *
+ * Liveness only runs checks marked with `liveness`, so that an outage of a dependency does not
+ * cause the bridge to be restarted. Readiness runs every check, and fails if a critical check fails.
+ *
+ * @example
+ * const checker = bridge.getHealthChecker();
+ * checker.addCheck({ name: "remote", check: () => remoteClient.ping() });
+ * // Serves GET /health/live and GET /health/ready from the appservice listener.
+ */
+export class HealthChecker {
+    private readonly checks = new Map<string, HealthCheck>();
+    private readonly cachedReports = new Map<HealthProbe, { ts: number, report: Promise<HealthReport> }>();
+
+    constructor(private readonly opts: HealthCheckerOpts = {}) { }
+
+    /**
+     * Add a check, replacing any existing check with the same name.
+     * @param check The check to add.
+     */
+    public addCheck(check: HealthCheck): void {
+        this.checks.set(check.name, check);
+        this.cachedReports.clear();
+    }
+
+    /**
+     * Remove a check.
+     * @param name The name of the check.
+     * @returns True if the check existed.
+     */
+    public removeCheck(name: string): boolean {
+        this.cachedReports.clear();
+        return this.checks.delete(name);
+    }
+
+    /**
+     * Run the checks for a probe. Concurrent and recent calls share a report.
+     * @param probe Which probe to run the checks for.
+     */
+    public getReport(probe: HealthProbe = "readiness"): Promise<HealthReport> {
+        const cached = this.cachedReports.get(probe);
+        if (cached && Date.now() - cached.ts < (this.opts.cacheMs ?? DEFAULT_CACHE_MS)) {
+            return cached.report;
+        }
+        const report = this.runChecks(probe);
+        this.cachedReports.set(probe, { ts: Date.now(), report });
+        return report;
+    }
+
+    /**
+     * Create a request handler which responds with the report for a probe. The status
+     * code is 503 if the probe failed, otherwise 200.
+     * @param probe Which probe to run the checks for.
+     */
+    public createHandler(probe: HealthProbe): RequestHandler {
+        return (_req: Request, res: Response) => {
+            this.getReport(probe).then(report => {
+                res.status(report.status === "failed" ? 503 : 200).json(report);
+            }).catch(ex => {
+                log.error(`Failed to run ${probe} checks`, ex);
+                res.status(503).json({ status: "failed", checks: {} });
+            });
+        };
+    }
+
+    /**
+     * Registers the `/health/live` and `/health/ready` probes with the appservice listener.
+     * @param bridge The containing Bridge instance.
+     */
+    public addAppServicePath(bridge: Bridge): void {
+        for (const probe of ["liveness", "readiness"] as const) {
+            bridge.addAppServicePath({
+                method: "GET",
+                authenticate: false,
+                path: probe === "liveness" ? "/health/live" : "/health/ready",
+                handler: this.createHandler(probe),
+            });
+        }
+    }
+
+    private async runChecks(probe: HealthProbe): Promise<HealthReport> {
+        const checks = [...this.checks.values()].filter(c => probe === "readiness" || c.liveness);
+        const results = await Promise.all(checks.map(c => this.runCheck(c)));
+        const report: HealthReport = { status: "ok", checks: {} };
+        results.forEach((result, i) => {
+            report.checks[checks[i].name] = result;
+            if (!result.ok && result.critical) {
+                report.status = "failed";
+            }
+            else if (!result.ok && report.status === "ok") {
+                report.status = "degraded";
+            }
+        });
+        return report;
+    }
+
+    private async runCheck(check: HealthCheck): Promise<HealthCheckResult> {
+        const startTs = Date.now();
+        const critical = check.critical ?? true;
+        const timeoutMs = check.timeoutMs ?? this.opts.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+        let timeout: NodeJS.Timeout|undefined;
+        try {
+            const details = await Promise.race([
+                check.check(),
+                new Promise<never>((_, reject) => {
+                    timeout = setTimeout(() => reject(Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+                }),
+            ]);
+            return { ok: true, critical, durationMs: Date.now() - startTs, ...(details && { details }) };
+        }
+        catch (ex) {
+            log.warn(`Health check ${check.name} failed`, ex);
+            return { ok: false, critical, durationMs: Date.now() - startTs, error: String(ex) };
+        }
+        finally {
+            clearTimeout(timeout);
+        }
+    }
+}
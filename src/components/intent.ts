@@ -21,6 +21,7 @@ import { unstable } from "../errors";
 import BridgeErrorReason = unstable.BridgeErrorReason;
 import BotSdk, { MatrixClient, MatrixProfileInfo, PresenceState, MatrixError } from "@vector-im/matrix-bot-sdk";
 import { WeakStateEvent } from "./event-types";
+import { decryptAttachment, MediaContent } from "./encrypted-media";
 import { Logger } from '..';
 
 const log = new Logger("Intent");
@@ -794,6 +795,43 @@ export class Intent {
         );
     }
 
+    /**
+     * Upload a file to be sent to a room. The file is uploaded as it is, but an
+     * {@link EncryptedIntent} will encrypt it if the room is encrypted.
+     * @example
+     * const media = await intent.uploadContentForRoom(roomId, data, { type: "image/png" });
+     * await intent.sendMessage(roomId, { msgtype: "m.image", body: "cat.png", ...media });
+     * @param roomId The room the file will be sent to.
+     * @param content The file contents
+     * @param opts Additional options for the upload.
+     * @returns The `url` or encrypted `file` to include in the content of the message.
+     */
+    public async uploadContentForRoom(roomId: string, content: Buffer|string, opts: FileUploadOpts = {})
+        : Promise<MediaContent> {
+        return { url: await this.uploadContent(content, opts) };
+    }
+
+    /**
+     * Download the media of a message, such as an `m.image` or `m.file`, decrypting it
+     * if it was sent to an encrypted room.
+     * @param content The content of the message.
+     * @returns The file contents.
+     * @throws If the content has no media, or the media could not be decrypted.
+     */
+    public async downloadMediaContent(content: Record<string, unknown>): Promise<Buffer> {
+        await this.ensureRegistered();
+        const { url, file } = content as Partial<MediaContent>;
+        if (file && typeof file.url === "string") {
+            const { data } = await this.botSdkIntent.underlyingClient.downloadContent(file.url);
+            return decryptAttachment(data, file);
+        }
+        if (typeof url !== "string") {
+            throw Error("Content does not contain any media");
+        }
+        const { data } = await this.botSdkIntent.underlyingClient.downloadContent(url);
+        return data;
+    }
+
     /**
      * Set the visibility of a room in the homeserver's room directory.
      * @param roomId The room
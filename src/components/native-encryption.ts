@@ -0,0 +1,224 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+    Appservice, EncryptedRoomEvent, IAppserviceCryptoStorageProvider, IAppserviceStorageProvider,
+    Intent as BotSdkIntent, IToDeviceMessage, OTKAlgorithm, OTKCounts,
+} from "@vector-im/matrix-bot-sdk";
+import { WeakEvent } from "./event-types";
+import { Logger } from "./logging";
+
+const log = new Logger("NativeEncryption");
+
+export interface NativeEncryptionOpts {
+    /**
+     * Encrypt and decrypt events within the bridge using the Rust crypto of the bot-sdk, rather
+     * than through Pantalaimon.
+     *
+     * The homeserver must include encryption data in appservice transactions, which requires the
+     * registration to set `de.sorunome.msc2409.push_ephemeral` and `org.matrix.msc3202` to true.
+     */
+    native: true;
+    /**
+     * Storage for the crypto state of each bridge user, such as a `RustSdkAppserviceCryptoStorageProvider`.
+     */
+    cryptoStorage: IAppserviceCryptoStorageProvider;
+    /**
+     * Storage for the device IDs and access tokens of bridge users, and the IDs of transactions
+     * whose encryption data has been processed. Defaults to memory, in which case bridge users
+     * will create new devices on each start if the homeserver does not support device ID
+     * masquerading, and transactions retried after a restart will be processed again.
+     */
+    storage?: IAppserviceStorageProvider;
+}
+
+/**
+ * The body of an appservice transaction, including the unstable encryption fields.
+ */
+export interface AppserviceTransaction {
+    events?: WeakEvent[];
+    // eslint-disable-next-line camelcase
+    "de.sorunome.msc2409.to_device"?: (IToDeviceMessage & { to_user_id: string })[];
+    "org.matrix.msc3202.device_lists"?: { changed?: string[], removed?: string[] };
+    "org.matrix.msc3202.device_one_time_keys_count"?: Record<string, Record<string, OTKCounts>>;
+    "org.matrix.msc3202.device_unused_fallback_key_types"?: Record<string, Record<string, OTKAlgorithm[]>>;
+    [key: string]: unknown;
+}
+
+interface SyncData {
+    toDevice: IToDeviceMessage[];
+    counts?: OTKCounts;
+    unusedFallbacks?: OTKAlgorithm[];
+}
+
+/**
+ * Keeps the crypto state of bridge users up to date using the data included in appservice
+ * transactions (MSC2409 to-device events, MSC3202 device lists and one-time key counts), and
+ * decrypts the events in each transaction. Unlike the {@link EncryptedEventBroker}, no
+ * Pantalaimon proxy or /sync loops are needed.
+ */
+export class NativeEncryptionHandler {
+    private readonly pendingTransactions = new Map<string, Promise<void>>();
+    // The bridge user which last decrypted an event in each room.
+    private readonly decrypterForRoom = new Map<string, string>();
+
+    /**
+     * @param botSdkAS The bot-sdk appservice, configured with a `cryptoStorage`.
+     * @param storage Storage for completed transaction IDs and the last key counts of each user,
+     * which should be the `storage` of the bot-sdk appservice.
+     */
+    constructor(private readonly botSdkAS: Appservice, private readonly storage: IAppserviceStorageProvider) { }
+
+    /**
+     * Process the encryption data in a transaction, and replace each encrypted event in it with
+     * the decrypted event. Events which cannot be decrypted are left as they are.
+     *
+     * The encryption data of each transaction is only processed once, even if the transaction
+     * is retried. This must be called before the events in the transaction are handled.
+     * @param txnId The ID of the transaction.
+     * @param body The body of the transaction, which is modified.
+     * @throws If the crypto state could not be updated, in which case the transaction should be retried.
+     */
+    public async onTransaction(txnId: string, body: AppserviceTransaction): Promise<void> {
+        let pending = this.pendingTransactions.get(txnId);
+        if (!pending) {
+            pending = this.updateCryptoState(txnId, body).finally(() => this.pendingTransactions.delete(txnId));
+            this.pendingTransactions.set(txnId, pending);
+        }
+        await pending;
+
+        const events = body.events ?? [];
+        const decrypted = await Promise.all(events.map(event => this.decryptEvent(event)));
+        body.events = decrypted.map((event, i) => event ?? events[i]);
+        const count = decrypted.filter(e => e).length;
+        if (count) {
+            log.debug(`Decrypted ${count} event(s) in ${txnId}`);
+        }
+    }
+
+    private async updateCryptoState(txnId: string, body: AppserviceTransaction): Promise<void> {
+        if (await this.storage.isTransactionCompleted(txnId)) {
+            // A retry of a transaction we have processed. To-device messages must not be processed twice.
+            return;
+        }
+        const byUserId = new Map<string, SyncData>();
+        const syncDataFor = (userId: string) => {
+            let data = byUserId.get(userId);
+            if (!data) {
+                data = { toDevice: [] };
+                byUserId.set(userId, data);
+            }
+            return data;
+        };
+
+        for (const message of body["de.sorunome.msc2409.to_device"] ?? []) {
+            syncDataFor(message.to_user_id).toDevice.push(message);
+        }
+        for (const [userId, devices] of Object.entries(body["org.matrix.msc3202.device_one_time_keys_count"] ?? {})) {
+            const counts = devices[(await this.getCryptoIntent(userId)).underlyingClient.crypto.clientDeviceId];
+            if (counts) {
+                syncDataFor(userId).counts = counts;
+            }
+        }
+        const fallbackKeyTypes = body["org.matrix.msc3202.device_unused_fallback_key_types"] ?? {};
+        for (const [userId, devices] of Object.entries(fallbackKeyTypes)) {
+            const unused = devices[(await this.getCryptoIntent(userId)).underlyingClient.crypto.clientDeviceId];
+            if (Array.isArray(unused)) {
+                syncDataFor(userId).unusedFallbacks = unused;
+            }
+        }
+
+        const { changed = [], removed = [] } = body["org.matrix.msc3202.device_lists"] ?? {};
+        for (const [userId, data] of byUserId) {
+            const intent = await this.getCryptoIntent(userId);
+            // The homeserver only includes counts which have changed, so remember the last ones.
+            const userStorage = this.storage.storageForUser?.(userId);
+            if (data.counts) {
+                await userStorage?.storeValue("last_counts", JSON.stringify(data.counts));
+            }
+            if (data.unusedFallbacks) {
+                await userStorage?.storeValue("last_unused_fallbacks", JSON.stringify(data.unusedFallbacks));
+            }
+            const counts = data.counts ?? JSON.parse(await userStorage?.readValue("last_counts") || "{}");
+            const unusedFallbacks = data.unusedFallbacks ??
+                JSON.parse(await userStorage?.readValue("last_unused_fallbacks") || "[]");
+            log.debug(`Updating crypto state for ${userId}`);
+            await intent.underlyingClient.crypto.updateSyncData(
+                data.toDevice, counts, unusedFallbacks, changed, removed,
+            );
+        }
+        await this.storage.setTransactionCompleted(txnId);
+    }
+
+    private async getCryptoIntent(userId: string): Promise<BotSdkIntent> {
+        const intent = userId === this.botSdkAS.botUserId ?
+            this.botSdkAS.botIntent : this.botSdkAS.getIntentForUserId(userId);
+        await intent.enableEncryption();
+        return intent;
+    }
+
+    /**
+     * Decrypt an event using any bridge user in the room, trying the last one to succeed first.
+     * @returns The decrypted event, or undefined if the event was not encrypted or could not be decrypted.
+     */
+    private async decryptEvent(event: WeakEvent): Promise<WeakEvent|undefined> {
+        if (event.type !== "m.room.encrypted") {
+            return undefined;
+        }
+        const roomId = event.room_id;
+        const lastDecrypter = this.decrypterForRoom.get(roomId);
+        this.decrypterForRoom.delete(roomId);
+        let lastError: unknown;
+        try {
+            if (lastDecrypter) {
+                try {
+                    return await this.decryptEventAs(lastDecrypter, event);
+                }
+                catch (ex) {
+                    lastError = ex;
+                }
+            }
+            const members = await this.botSdkAS.botClient.getJoinedRoomMembers(roomId);
+            const bridgeMembers = members.filter(u => u !== lastDecrypter &&
+                (u === this.botSdkAS.botUserId || this.botSdkAS.isNamespacedUser(u)));
+            for (const userId of bridgeMembers) {
+                try {
+                    return await this.decryptEventAs(userId, event);
+                }
+                catch (ex) {
+                    lastError = ex;
+                }
+            }
+        }
+        catch (ex) {
+            lastError = ex;
+        }
+        log.warn(`Failed to decrypt ${event.event_id} in ${roomId}`, lastError);
+        return undefined;
+    }
+
+    private async decryptEventAs(userId: string, event: WeakEvent): Promise<WeakEvent> {
+        const { underlyingClient } = await this.getCryptoIntent(userId);
+        // This also fetches the encryption state of the room, which is needed to decrypt.
+        if (!await underlyingClient.crypto.isRoomEncrypted(event.room_id)) {
+            throw Error(`${userId} does not consider the room to be encrypted`);
+        }
+        const decrypted = await underlyingClient.crypto.decryptRoomEvent(
+            new EncryptedRoomEvent(event), event.room_id,
+        );
+        this.decrypterForRoom.set(event.room_id, userId);
+        return decrypted.raw as WeakEvent;
+    }
+}
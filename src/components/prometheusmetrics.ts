@@ -20,6 +20,7 @@ import { Bridge, Logger } from "..";
 import { Appservice as BotSdkAppservice, FunctionCallContext, METRIC_MATRIX_CLIENT_FAILED_FUNCTION_CALL,
     METRIC_MATRIX_CLIENT_SUCCESSFUL_FUNCTION_CALL } from "@vector-im/matrix-bot-sdk";
 import { getBridgeVersion } from "../utils/package-info";
+import type { EncryptedEventBroker } from "./encryption";
 type CollectorFunction = () => Promise<void>|void;
 
 export interface BridgeGaugesCounts {
@@ -176,6 +177,49 @@ export class PrometheusMetrics {
         })
     }
 
+    /**
+     * Registers metrics about the health of the sync loops used to decrypt events,
+     * such as how many are failing and how many events are waiting to be decrypted.
+     * @param broker The broker running the sync loops.
+     */
+    public registerEncryptedEventBrokerMetrics(broker: EncryptedEventBroker): void {
+        const loopsGauge = this.addGauge({
+            name: "encryption_sync_loops",
+            help: "The number of encryption sync loops, by state",
+            labels: ["state"],
+        });
+        const failingLoopsGauge = this.addGauge({
+            name: "encryption_sync_failing_loops",
+            help: "The number of encryption sync loops whose last sync failed",
+        });
+        const pendingGauge = this.addGauge({
+            name: "encryption_events_pending",
+            help: "The number of encrypted events waiting to be matched between the appservice and sync",
+            labels: ["waiting_for"],
+        });
+        const restartsCounter = this.addCounter({
+            name: "encryption_sync_restarts",
+            help: "The number of times a stalled encryption sync loop was restarted",
+        });
+        const undecryptedCounter = this.addCounter({
+            name: "encryption_undecrypted_events",
+            help: "The number of encrypted events which were never decrypted",
+        });
+
+        broker.on("sync_restarted", () => restartsCounter.inc());
+        broker.on("undecrypted_event", () => undecryptedCounter.inc());
+        this.addCollector(() => {
+            const status = broker.getSyncStatus();
+            for (const state of ["preparing", "syncing", "restarting"]) {
+                loopsGauge.set({ state }, status.filter(s => s.state === state).length);
+            }
+            failingLoopsGauge.set(status.filter(s => s.consecutiveFailures > 0).length);
+            const { pendingSync, pendingAS } = broker.getPendingEventCounts();
+            pendingGauge.set({ waiting_for: "sync" }, pendingSync);
+            pendingGauge.set({ waiting_for: "appservice" }, pendingAS);
+        });
+    }
+
     /**
      * Fetch metrics from all configured collectors
      */
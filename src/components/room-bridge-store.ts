@@ -58,10 +58,11 @@ limitations under the License.
 
 import type Datastore from "nedb";
 import { BridgeStore } from "./bridge-store";
+import { RoomStore } from "./stores/interfaces";
 import { MatrixRoom, MatrixRoomData } from "../models/rooms/matrix";
 import { RemoteRoom } from "../models/rooms/remote";
 
-export class RoomBridgeStore extends BridgeStore {
+export class RoomBridgeStore extends BridgeStore implements RoomStore {
     public delimiter = "    ";
 
     /**
@@ -440,7 +441,7 @@ export class RoomBridgeStore extends BridgeStore {
     }
 }
 
-interface RoomStoreEntryDoc {
+export interface RoomStoreEntryDoc {
     id?: string;
     // eslint-disable-next-line camelcase
     remote_id?: string;
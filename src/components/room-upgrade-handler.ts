@@ -16,6 +16,7 @@ import { Logger } from "..";
 import { MatrixRoom } from "../models/rooms/matrix";
 import { MatrixUser } from "../models/users/matrix";
 import { RoomBridgeStoreEntry } from "./room-bridge-store";
+import { RoomStore } from "./stores/interfaces";
 import { Bridge } from "..";
 import { MatrixError } from "@vector-im/matrix-bot-sdk";
 
@@ -192,7 +193,7 @@ export class RoomUpgradeHandler {
     }
 
     private async migrateStoreEntries(oldRoomId: string, newRoomId: string) {
-        const roomStore = this.bridge.getRoomStore();
+        const roomStore = this.bridge.getRoomStore<RoomStore>();
         if (!roomStore) {
             // Do not migrate if we don't have a room store.
             return true;
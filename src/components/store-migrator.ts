@@ -0,0 +1,287 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { RoomBridgeStore, RoomBridgeStoreEntry, RoomStoreEntryDoc } from "./room-bridge-store";
+import { UserBridgeStore } from "./user-bridge-store";
+import { UserActivityStore } from "./user-activity-store";
+import { EventBridgeStore } from "./event-bridge-store";
+import { UserActivity } from "./user-activity";
+import { ActivityStore, EventStore, RoomStore, UserStore } from "./stores/interfaces";
+import { MatrixUser } from "../models/users/matrix";
+import { RemoteUser } from "../models/users/remote";
+import { StoredEvent, StoredEventDoc } from "../models/events/event";
+import { Logger } from "./logging";
+
+const log = new Logger("StoreMigrator");
+
+export interface StoreMigrationSources {
+    roomStore?: RoomBridgeStore;
+    userStore?: UserBridgeStore;
+    userActivityStore?: UserActivityStore;
+    eventStore?: EventBridgeStore;
+}
+
+export interface StoreMigrationTargets {
+    roomStore?: RoomStore;
+    userStore?: UserStore;
+    userActivityStore?: ActivityStore;
+    eventStore?: EventStore;
+}
+
+export interface StoreMigrationOpts {
+    /**
+     * Read the source stores and report what would be copied, without writing anything.
+     * @default false
+     */
+    dryRun?: boolean;
+    /**
+     * Check that a sample of the migrated records can be looked up in the target stores,
+     * and that the target stores hold at least as many records as were copied.
+     * @default true
+     */
+    verify?: boolean;
+    /**
+     * The maximum number of records per store to look up when verifying.
+     * @default 100
+     */
+    verifySampleSize?: number;
+}
+
+export interface StoreMigrationResult {
+    store: "room"|"user"|"userActivity"|"event";
+    /**
+     * The number of records found in the source store.
+     */
+    sourceCount: number;
+    /**
+     * The number of records written to the target store. Always 0 for a dry run.
+     */
+    copiedCount: number;
+    /**
+     * The number of records in the target store after copying, if it can count them and the
+     * migration was verified. Fewer records than were copied means some were dropped or merged.
+     */
+    targetCount?: number;
+    /**
+     * The number of sampled records which were found intact in the target store.
+     */
+    verifiedCount: number;
+    /**
+     * The number of records sampled during verification.
+     */
+    sampledCount: number;
+    /**
+     * Human readable descriptions of any records which failed to copy or verify.
+     */
+    failures: string[];
+}
+
+interface UserDoc {
+    type: "matrix"|"remote"|"union";
+    id?: string;
+    // eslint-disable-next-line camelcase
+    matrix_id?: string;
+    // eslint-disable-next-line camelcase
+    remote_id?: string;
+    data?: Record<string, unknown>;
+}
+
+/**
+ * Copies the contents of the NeDB backed bridge stores into another set of stores,
+ * such as the PostgreSQL stores. Any store that is not supplied on both the source and
+ * target side is skipped. The source stores are never modified.
+ *
+ * @example
+ * const migrator = new StoreMigrator({
+ *     roomStore: await loadDatabase("room-store.db", RoomBridgeStore),
+ * }, {
+ *     roomStore: new PostgresRoomBridgeStore({ url }),
+ * });
+ * const results = await migrator.migrate({ dryRun: true });
+ */
+export class StoreMigrator {
+    constructor(private readonly sources: StoreMigrationSources, private readonly targets: StoreMigrationTargets) { }
+
+    /**
+     * Run the migration.
+     * @param opts Options for the migration.
+     * @returns A result for each store which was migrated.
+     */
+    public async migrate(opts: StoreMigrationOpts = {}): Promise<StoreMigrationResult[]> {
+        const results: StoreMigrationResult[] = [];
+        const { roomStore, userStore, userActivityStore, eventStore } = this.targets;
+        if (this.sources.roomStore && roomStore) {
+            results.push(await this.migrateRooms(this.sources.roomStore, roomStore, opts));
+        }
+        if (this.sources.userStore && userStore) {
+            results.push(await this.migrateUsers(this.sources.userStore, userStore, opts));
+        }
+        if (this.sources.userActivityStore && userActivityStore) {
+            results.push(await this.migrateUserActivity(this.sources.userActivityStore, userActivityStore, opts));
+        }
+        if (this.sources.eventStore && eventStore) {
+            results.push(await this.migrateEvents(this.sources.eventStore, eventStore, opts));
+        }
+        return results;
+    }
+
+    private async migrateRooms(source: RoomBridgeStore, target: RoomStore, opts: StoreMigrationOpts) {
+        const entries = (await source.select<RoomStoreEntryDoc, RoomBridgeStoreEntry>({},
+            source.convertTo((doc: RoomStoreEntryDoc) => new RoomBridgeStoreEntry(doc))
+        )).filter((entry) => !!entry.id);
+        const result = newResult("room", entries.length);
+        await copyAll(result, entries, opts, (entry) => target.upsertEntry(entry), (entry) => `room entry ${entry.id}`);
+        await verifySample(result, entries, opts, async (entry) => {
+            const copy = await target.getEntryById(entry.id as string);
+            return !!copy && copy.matrix?.getId() === entry.matrix?.getId() &&
+                copy.remote?.getId() === entry.remote?.getId();
+        }, (entry) => `room entry ${entry.id}`);
+        await verifyTargetCount(result, opts, target.countRecords?.bind(target));
+        return result;
+    }
+
+    private async migrateUsers(source: UserBridgeStore, target: UserStore, opts: StoreMigrationOpts) {
+        const docs = await source.select<UserDoc, UserDoc>({});
+        // Users must be copied before the links between them.
+        const order = { matrix: 0, remote: 1, union: 2 };
+        docs.sort((a, b) => order[a.type] - order[b.type]);
+        const describe = (doc: UserDoc) => doc.type === "union" ?
+            `user link ${doc.matrix_id} <-> ${doc.remote_id}` : `${doc.type} user ${doc.id}`;
+        const result = newResult("user", docs.length);
+        await copyAll(result, docs, opts, (doc) => {
+            if (doc.type === "matrix" && doc.id) {
+                // Don't escape the ID, it was escaped when it was first stored.
+                return target.setMatrixUser(new MatrixUser(doc.id, doc.data, false));
+            }
+            if (doc.type === "remote" && doc.id) {
+                return target.setRemoteUser(new RemoteUser(doc.id, doc.data));
+            }
+            if (doc.type === "union" && doc.matrix_id && doc.remote_id) {
+                return target.linkUsers(new MatrixUser(doc.matrix_id, {}, false), new RemoteUser(doc.remote_id));
+            }
+            throw Error("Malformed document");
+        }, describe);
+        await verifySample(result, docs, opts, async (doc) => {
+            if (doc.type === "matrix") {
+                return !!(await target.getMatrixUser(doc.id as string));
+            }
+            if (doc.type === "remote") {
+                return !!(await target.getRemoteUser(doc.id as string));
+            }
+            const links = await target.getRemoteLinks(doc.matrix_id as string);
+            return !!links?.includes(doc.remote_id as string);
+        }, describe);
+        await verifyTargetCount(result, opts, target.countRecords?.bind(target));
+        return result;
+    }
+
+    private async migrateUserActivity(source: UserActivityStore, target: ActivityStore,
+        opts: StoreMigrationOpts) {
+        const activity = [...(await source.getActivitySet()).entries()];
+        const result = newResult("userActivity", activity.length);
+        const describe = ([mxid]: [string, UserActivity]) => `user activity for ${mxid}`;
+        await copyAll(result, activity, opts, ([mxid, act]) => target.storeUserActivity(mxid, act), describe);
+        if (opts.verify !== false && !opts.dryRun) {
+            const targetSet = await target.getActivitySet();
+            await verifySample(result, activity, opts, async ([mxid]) => targetSet.has(mxid), describe);
+            await verifyTargetCount(result, opts, async () => targetSet.size);
+        }
+        return result;
+    }
+
+    private async migrateEvents(source: EventBridgeStore, target: EventStore,
+        opts: StoreMigrationOpts) {
+        const events = await source.select<StoredEventDoc, StoredEvent>({},
+            source.convertTo((doc: StoredEventDoc) => StoredEvent.deserialize(doc)));
+        const result = newResult("event", events.length);
+        const describe = (ev: StoredEvent) => `event ${ev.getMatrixEventId()} in ${ev.getMatrixRoomId()}`;
+        await copyAll(result, events, opts, (ev) => target.upsertEvent(ev), describe);
+        await verifySample(result, events, opts, async (ev) => {
+            const copy = await target.getEntryByMatrixId(ev.getMatrixRoomId(), ev.getMatrixEventId());
+            return copy?.getRemoteEventId() === ev.getRemoteEventId();
+        }, describe);
+        await verifyTargetCount(result, opts, target.countRecords?.bind(target));
+        return result;
+    }
+}
+
+function newResult(store: StoreMigrationResult["store"], sourceCount: number): StoreMigrationResult {
+    return { store, sourceCount, copiedCount: 0, verifiedCount: 0, sampledCount: 0, failures: [] };
+}
+
+async function copyAll<T>(result: StoreMigrationResult, records: T[], opts: StoreMigrationOpts,
+    copyFn: (record: T) => Promise<unknown>, describe: (record: T) => string) {
+    if (opts.dryRun) {
+        log.info(`Would copy ${records.length} record(s) to the ${result.store} store`);
+        return;
+    }
+    for (const record of records) {
+        try {
+            await copyFn(record);
+            result.copiedCount++;
+        }
+        catch (ex) {
+            log.warn(`Failed to copy ${describe(record)}`, ex);
+            result.failures.push(`Failed to copy ${describe(record)}`);
+        }
+    }
+    log.info(`Copied ${result.copiedCount}/${records.length} record(s) to the ${result.store} store`);
+}
+
+async function verifySample<T>(result: StoreMigrationResult, records: T[], opts: StoreMigrationOpts,
+    verifyFn: (record: T) => Promise<boolean>, describe: (record: T) => string) {
+    if (opts.verify === false || opts.dryRun || records.length === 0) {
+        return;
+    }
+    const sampleSize = Math.min(opts.verifySampleSize ?? 100, records.length);
+    // Spread the sample evenly over the records.
+    const step = records.length / sampleSize;
+    for (let i = 0; i < sampleSize; i++) {
+        const record = records[Math.floor(i * step)];
+        result.sampledCount++;
+        try {
+            if (await verifyFn(record)) {
+                result.verifiedCount++;
+                continue;
+            }
+            result.failures.push(`Could not verify ${describe(record)}`);
+        }
+        catch (ex) {
+            log.warn(`Failed to verify ${describe(record)}`, ex);
+            result.failures.push(`Could not verify ${describe(record)}`);
+        }
+    }
+}
+
+async function verifyTargetCount(result: StoreMigrationResult, opts: StoreMigrationOpts,
+    countFn?: () => Promise<number>) {
+    if (opts.verify === false || opts.dryRun || !countFn) {
+        return;
+    }
+    try {
+        result.targetCount = await countFn();
+    }
+    catch (ex) {
+        log.warn(`Failed to count the records in the ${result.store} store`, ex);
+        result.failures.push(`Could not count the records in the target store`);
+        return;
+    }
+    // The target may already have held other records, so only fewer records are a problem.
+    if (result.targetCount < result.copiedCount) {
+        result.failures.push(
+            `The target store has ${result.targetCount} record(s), but ${result.copiedCount} were copied`
+        );
+    }
+}
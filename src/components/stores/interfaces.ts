@@ -0,0 +1,178 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Backend-neutral interfaces for the bridge stores. The {@link Bridge} only depends on these,
+ * so a bridge may supply its own implementations (e.g. backed by Redis or an in-memory map)
+ * instead of using the NeDB or PostgreSQL stores shipped with this library.
+ */
+
+import type { RoomBridgeStoreEntry } from "../room-bridge-store";
+import type { UserActivity, UserActivitySet } from "../user-activity";
+import type { MatrixRoom } from "../../models/rooms/matrix";
+import type { RemoteRoom } from "../../models/rooms/remote";
+import type { MatrixUser } from "../../models/users/matrix";
+import type { RemoteUser } from "../../models/users/remote";
+import type { StoredEvent } from "../../models/events/event";
+
+/**
+ * Stores mappings between Matrix rooms and remote rooms, as {@link RoomBridgeStoreEntry}s.
+ *
+ * Functions taking a data query match entries whose data contains all of the given keys
+ * with equal values. Keys may use dot notation to match nested values.
+ * @see RoomBridgeStore
+ */
+export interface RoomStore {
+    /**
+     * Insert an entry, clobbering based on the ID of the entry.
+     */
+    upsertEntry(entry: RoomBridgeStoreEntry): Promise<void>;
+    /**
+     * Get an existing entry based on the provided entry ID.
+     */
+    getEntryById(id: string): Promise<RoomBridgeStoreEntry|null>;
+    /**
+     * Get a list of entries based on the matrix_id of each entry.
+     */
+    getEntriesByMatrixId(matrixId: string): Promise<RoomBridgeStoreEntry[]>;
+    /**
+     * A batch version of `getEntriesByMatrixId`, resolving to a map of room_id => Entry[].
+     */
+    getEntriesByMatrixIds(ids: string[]): Promise<{[matrixId: string]: RoomBridgeStoreEntry[]}>;
+    /**
+     * Get a list of entries based on the remote_id of each entry.
+     */
+    getEntriesByRemoteId(remoteId: string): Promise<RoomBridgeStoreEntry[]>;
+    /**
+     * Create a link between a matrix room and remote room. If `linkId` is not given, a
+     * unique ID will be created from the matrix and remote room IDs.
+     */
+    linkRooms(matrixRoom: MatrixRoom, remoteRoom: RemoteRoom,
+        data?: Record<string, unknown>, linkId?: string): Promise<void>;
+    /**
+     * Create an entry with only a matrix room, using the room ID as the entry ID.
+     */
+    setMatrixRoom(matrixRoom: MatrixRoom): Promise<void>;
+    /**
+     * Get the Matrix room of the entry whose ID is the given room ID.
+     */
+    getMatrixRoom(roomId: string): Promise<MatrixRoom|null|undefined>;
+    /**
+     * Get all Matrix rooms linked to the given remote_id.
+     */
+    getLinkedMatrixRooms(remoteId: string): Promise<MatrixRoom[]>;
+    /**
+     * Get all remote rooms linked to the given matrix_id.
+     */
+    getLinkedRemoteRooms(matrixId: string): Promise<RemoteRoom[]>;
+    /**
+     * A batched version of `getLinkedRemoteRooms`, resolving to a map of room_id => RemoteRoom[].
+     */
+    batchGetLinkedRemoteRooms(matrixIds: string[]): Promise<{[roomId: string]: RemoteRoom[]}>;
+    getEntriesByRemoteRoomData(data: Record<string, unknown>): Promise<RoomBridgeStoreEntry[]>;
+    getEntriesByMatrixRoomData(data: Record<string, unknown>): Promise<RoomBridgeStoreEntry[]>;
+    getEntriesByLinkData(data: Record<string, unknown>): Promise<RoomBridgeStoreEntry[]>;
+    /**
+     * The remove functions resolve to the number of entries removed.
+     */
+    removeEntriesByRemoteRoomData(data: Record<string, unknown>): Promise<number>;
+    removeEntriesByRemoteRoomId(remoteId: string): Promise<number>;
+    removeEntriesByMatrixRoomData(data: Record<string, unknown>): Promise<number>;
+    removeEntriesByMatrixRoomId(matrixId: string): Promise<number>;
+    removeEntriesByLinkData(data: Record<string, unknown>): Promise<number>;
+    removeEntryById(id: string): Promise<number>;
+    /**
+     * Count the entries in the store, such as to check that a migration copied every entry.
+     */
+    countRecords?(): Promise<number>;
+}
+
+/**
+ * Stores Matrix users, remote users and the links between them.
+ *
+ * Functions taking a data query match users whose data contains all of the given keys
+ * with equal values. Keys may use dot notation to match nested values.
+ * @see UserBridgeStore
+ */
+export interface UserStore {
+    getRemoteUsersFromMatrixId(userId: string): Promise<RemoteUser[]>;
+    getMatrixUsersFromRemoteId(remoteId: string): Promise<MatrixUser[]>;
+    /**
+     * Retrieve a MatrixUser based on their user ID localpart. If there is more than
+     * one match then this will return an arbitrary matching user.
+     */
+    getByMatrixLocalpart(localpart: string): Promise<MatrixUser|null>;
+    getMatrixUser(userId: string): Promise<MatrixUser|null>;
+    /**
+     * Store a Matrix user. If they already exist, they will be updated.
+     */
+    setMatrixUser(matrixUser: MatrixUser): Promise<void>;
+    getRemoteUser(id: string): Promise<RemoteUser|null>;
+    /**
+     * Store a remote user. If they already exist, they will be updated.
+     */
+    setRemoteUser(remoteUser: RemoteUser): Promise<void>;
+    getByRemoteData(dataQuery: Record<string, unknown>): Promise<RemoteUser[]>;
+    getByMatrixData(dataQuery: Record<string, unknown>): Promise<MatrixUser[]>;
+    /**
+     * Create a link between a matrix and remote user. If either user does not exist,
+     * they will be inserted prior to linking.
+     */
+    linkUsers(matrixUser: MatrixUser, remoteUser: RemoteUser): Promise<void>;
+    /**
+     * Delete a link between a matrix user and a remote user, resolving to the number of links removed.
+     */
+    unlinkUsers(matrixUser: MatrixUser, remoteUser: RemoteUser): Promise<number>;
+    unlinkUserIds(matrixUserId: string, remoteUserId: string): Promise<number>;
+    getMatrixLinks(remoteId: string): Promise<string[]|null>;
+    getRemoteLinks(matrixId: string): Promise<string[]|null>;
+    /**
+     * Count the Matrix users, remote users and links between them in the store, such as to
+     * check that a migration copied every record.
+     */
+    countRecords?(): Promise<number>;
+}
+
+/**
+ * Stores mappings between Matrix events and remote events, as {@link StoredEvent}s.
+ * @see EventBridgeStore
+ */
+export interface EventStore {
+    /**
+     * Insert an event, clobbering based on the ID of the StoredEvent.
+     */
+    upsertEvent(event: StoredEvent): Promise<void>;
+    getEntryByMatrixId(roomId: string, eventId: string): Promise<StoredEvent|null>;
+    getEntryByRemoteId(roomId: string, eventId: string): Promise<StoredEvent|null>;
+    /**
+     * The remove functions resolve to the number of events removed.
+     */
+    removeEvent(event: StoredEvent): Promise<number>;
+    removeEventByMatrixId(roomId: string, eventId: string): Promise<number>;
+    removeEventByRemoteId(roomId: string, eventId: string): Promise<number>;
+    /**
+     * Count the events in the store, such as to check that a migration copied every event.
+     */
+    countRecords?(): Promise<number>;
+}
+
+/**
+ * Stores the activity of Matrix users, for use by the {@link UserActivityTracker}.
+ * @see UserActivityStore
+ */
+export interface ActivityStore {
+    storeUserActivity(mxid: string, activity: UserActivity): Promise<void>;
+    getActivitySet(): Promise<UserActivitySet>;
+}
@@ -0,0 +1,81 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { MemoryStore } from "./memory-store";
+import { EventStore } from "./interfaces";
+import { StoredEvent, StoredEventDoc } from "../../models/events/event";
+
+/**
+ * An in-memory implementation of the {@link EventBridgeStore} API. Nothing is persisted,
+ * which makes this store useful for tests.
+ */
+export class MemoryEventBridgeStore extends MemoryStore<StoredEventDoc> implements EventStore {
+    /**
+     * Insert an event, clobbering based on the ID of the StoredEvent.
+     * @param event
+     */
+    public async upsertEvent(event: StoredEvent): Promise<void> {
+        this.upsert({ id: event.getId() }, event.serialize());
+    }
+
+    /**
+     * Get an existing event based on the provided matrix IDs.
+     * @param roomId The ID of the room.
+     * @param eventId The ID of the event.
+     * @return A promise which resolves to the StoredEvent or null.
+     */
+    public async getEntryByMatrixId(roomId: string, eventId: string): Promise<StoredEvent|null> {
+        return this.selectOne({ "matrix.roomId": roomId, "matrix.eventId": eventId }, StoredEvent.deserialize);
+    }
+
+    /**
+     * Get an existing event based on the provided remote IDs.
+     * @param roomId The ID of the room.
+     * @param eventId The ID of the event.
+     * @return A promise which resolves to the StoredEvent or null.
+     */
+    public async getEntryByRemoteId(roomId: string, eventId: string): Promise<StoredEvent|null> {
+        return this.selectOne({ "remote.roomId": roomId, "remote.eventId": eventId }, StoredEvent.deserialize);
+    }
+
+    /**
+     * Remove entries based on the event data.
+     * @param event The event to remove.
+     * @return Resolves to the number of entries removed.
+     */
+    public async removeEvent(event: StoredEvent): Promise<number> {
+        return this.delete({ id: event.getId() });
+    }
+
+    /**
+     * Remove entries based on the matrix IDs.
+     * @param roomId The ID of the room.
+     * @param eventId The ID of the event.
+     * @return Resolves to the number of entries removed.
+     */
+    public async removeEventByMatrixId(roomId: string, eventId: string): Promise<number> {
+        return this.delete({ "matrix.roomId": roomId, "matrix.eventId": eventId });
+    }
+
+    /**
+     * Remove entries based on the remote IDs.
+     * @param roomId The ID of the room.
+     * @param eventId The ID of the event.
+     * @return Resolves to the number of entries removed.
+     */
+    public async removeEventByRemoteId(roomId: string, eventId: string): Promise<number> {
+        return this.delete({ "remote.roomId": roomId, "remote.eventId": eventId });
+    }
+}
@@ -0,0 +1,229 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { MemoryStore } from "./memory-store";
+import { RoomStore } from "./interfaces";
+import { RoomBridgeStore, RoomBridgeStoreEntry, RoomStoreEntryDoc } from "../room-bridge-store";
+import { MatrixRoom } from "../../models/rooms/matrix";
+import { RemoteRoom } from "../../models/rooms/remote";
+
+/**
+ * An in-memory implementation of the {@link RoomBridgeStore} API, with the same query
+ * semantics. Nothing is persisted, which makes this store useful for tests.
+ *
+ * @example
+ * const bridge = new Bridge({ ..., roomStore: new MemoryRoomBridgeStore() });
+ */
+export class MemoryRoomBridgeStore extends MemoryStore<RoomStoreEntryDoc> implements RoomStore {
+    public delimiter = "    ";
+
+    /**
+     * Insert an entry, clobbering based on the ID of the entry.
+     * @param entry
+     */
+    public async upsertEntry(entry: RoomBridgeStoreEntry): Promise<void> {
+        this.upsert({ id: entry.id }, RoomBridgeStoreEntry.serializeEntry(entry));
+    }
+
+    /**
+     * Get an existing entry based on the provided entry ID.
+     * @param id The ID of the entry to retrieve.
+     */
+    public async getEntryById(id: string): Promise<RoomBridgeStoreEntry|null> {
+        return this.selectOne({ id }, toEntry);
+    }
+
+    /**
+     * Get a list of entries based on the matrix_id of each entry.
+     * @param matrixId
+     */
+    public async getEntriesByMatrixId(matrixId: string): Promise<RoomBridgeStoreEntry[]> {
+        return this.select({ matrix_id: matrixId }, toEntry);
+    }
+
+    /**
+     * A batch version of <code>getEntriesByMatrixId</code>.
+     * @param ids
+     * @return Resolves to a map of room_id => Entry[]
+     */
+    public async getEntriesByMatrixIds(ids: string[]) {
+        const entries: {[matrixId: string]: RoomBridgeStoreEntry[]} = {};
+        for (const id of ids) {
+            const found = this.select({ matrix_id: id }, toEntry);
+            if (found.length) {
+                entries[id] = found;
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Get a list of entries based on the remote_id of each entry.
+     * @param remoteId
+     */
+    public async getEntriesByRemoteId(remoteId: string): Promise<RoomBridgeStoreEntry[]> {
+        return this.select({ remote_id: remoteId }, toEntry);
+    }
+
+    /**
+     * Create a link between a matrix room and remote room.
+     * @param matrixRoom The matrix room
+     * @param remoteRoom The remote room
+     * @param data Information about this mapping.
+     * @param linkId The id value to set. If not given, a unique ID will be
+     * created from the matrix_id and remote_id.
+     */
+    public async linkRooms(matrixRoom: MatrixRoom, remoteRoom: RemoteRoom,
+        data: Record<string, unknown> = {}, linkId?: string): Promise<void> {
+        linkId = linkId || RoomBridgeStore.createUniqueId(matrixRoom.getId(), remoteRoom.getId(), this.delimiter);
+        this.upsert({ id: linkId }, {
+            id: linkId,
+            remote_id: remoteRoom.getId(),
+            matrix_id: matrixRoom.getId(),
+            remote: remoteRoom.serialize(),
+            matrix: matrixRoom.serialize(),
+            data,
+        });
+    }
+
+    /**
+     * Create an entry with only a matrix room, using the room ID as the entry ID.
+     * @param matrixRoom
+     */
+    public async setMatrixRoom(matrixRoom: MatrixRoom): Promise<void> {
+        await this.upsertEntry(new RoomBridgeStoreEntry({
+            id: matrixRoom.getId(),
+            matrix_id: matrixRoom.getId(),
+            matrix: matrixRoom.serialize(),
+        }));
+    }
+
+    /**
+     * Get an entry's Matrix room based on the provided room_id.
+     * @param roomId
+     */
+    public async getMatrixRoom(roomId: string) {
+        const entry = await this.getEntryById(roomId);
+        return entry ? entry.matrix : null;
+    }
+
+    /**
+     * Get all entries with the given remote_id which have a Matrix room within.
+     * @param remoteId
+     */
+    public async getLinkedMatrixRooms(remoteId: string): Promise<MatrixRoom[]> {
+        const entries = await this.getEntriesByRemoteId(remoteId);
+        return entries.filter((e) => Boolean(e.matrix)).map((e) => e.matrix as MatrixRoom);
+    }
+
+    /**
+     * Get all entries with the given matrix_id which have a Remote room within.
+     * @param matrixId
+     */
+    public async getLinkedRemoteRooms(matrixId: string): Promise<RemoteRoom[]> {
+        const entries = await this.getEntriesByMatrixId(matrixId);
+        return entries.filter((e) => Boolean(e.remote)).map((e) => e.remote as RemoteRoom);
+    }
+
+    /**
+     * A batched version of `getLinkedRemoteRooms`.
+     * @param matrixIds
+     * @return A mapping of room_id to RemoteRoom.
+     */
+    public async batchGetLinkedRemoteRooms(matrixIds: string[]) {
+        const entryMap = await this.getEntriesByMatrixIds(matrixIds);
+        const result: {[roomId: string]: RemoteRoom[]} = {};
+        for (const [key, entries] of Object.entries(entryMap)) {
+            result[key] = entries.filter((e) => Boolean(e.remote)).map((e) => e.remote as RemoteRoom);
+        }
+        return result;
+    }
+
+    /**
+     * Get a list of entries based on a RemoteRoom data value.
+     * @param data The data values to retrieve based from.
+     */
+    public async getEntriesByRemoteRoomData(data: Record<string, unknown>): Promise<RoomBridgeStoreEntry[]> {
+        return this.select(this.prefixQuery("remote.", data), toEntry);
+    }
+
+    /**
+     * Get a list of entries based on a MatrixRoom data value.
+     * @param data The data values to retrieve based from.
+     */
+    public async getEntriesByMatrixRoomData(data: Record<string, unknown>): Promise<RoomBridgeStoreEntry[]> {
+        return this.select(this.prefixQuery("matrix.extras.", data), toEntry);
+    }
+
+    /**
+     * Get a list of entries based on the link's data value.
+     * @param data The data values to retrieve based from.
+     */
+    public async getEntriesByLinkData(data: Record<string, unknown>): Promise<RoomBridgeStoreEntry[]> {
+        return this.select(this.prefixQuery("data.", data), toEntry);
+    }
+
+    /**
+     * Remove entries based on remote room data.
+     * @param data The data to match.
+     */
+    public async removeEntriesByRemoteRoomData(data: Record<string, unknown>): Promise<number> {
+        return this.delete(this.prefixQuery("remote.", data));
+    }
+
+    /**
+     * Remove entries with this remote room id.
+     * @param remoteId The remote id.
+     */
+    public async removeEntriesByRemoteRoomId(remoteId: string): Promise<number> {
+        return this.delete({ remote_id: remoteId });
+    }
+
+    /**
+     * Remove entries based on matrix room data.
+     * @param data The data to match.
+     */
+    public async removeEntriesByMatrixRoomData(data: Record<string, unknown>): Promise<number> {
+        return this.delete(this.prefixQuery("matrix.extras.", data));
+    }
+
+    /**
+     * Remove entries with this matrix room id.
+     * @param matrixId The matrix id.
+     */
+    public async removeEntriesByMatrixRoomId(matrixId: string): Promise<number> {
+        return this.delete({ matrix_id: matrixId });
+    }
+
+    /**
+     * Remove entries based on the link's data value.
+     * @param data The data to match.
+     */
+    public async removeEntriesByLinkData(data: Record<string, unknown>): Promise<number> {
+        return this.delete(this.prefixQuery("data.", data));
+    }
+
+    /**
+     * Remove an existing entry based on the provided entry ID.
+     * @param id The ID of the entry to remove.
+     */
+    public async removeEntryById(id: string): Promise<number> {
+        return this.delete({ id });
+    }
+}
+
+function toEntry(doc: RoomStoreEntryDoc) {
+    return new RoomBridgeStoreEntry(doc);
+}
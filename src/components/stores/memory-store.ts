@@ -0,0 +1,231 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import type { StoreJournal } from "./store-transaction";
+
+export type MemoryStoreQuery = Record<string, unknown>;
+
+/**
+ * Base class for the in-memory stores. Documents are kept in insertion order and are
+ * matched against queries with the same semantics as NeDB equality queries:
+ * - Keys may use dot notation to match nested values, e.g. `{ "data.nested.key": 42 }`.
+ * - Objects and arrays are compared by deep equality.
+ * - If the stored value is an array and the query value is not, any matching element will do.
+ * - Regular expressions are tested against the stored value.
+ *
+ * Query operators such as `$in` or `$exists` are not supported. Documents are copied on
+ * the way in and out, so callers can never modify the stored state by accident.
+ */
+export class MemoryStore<T extends object> {
+    // Only ever modified in place, so that copies made by withJournal share the same documents.
+    private readonly docs: T[] = [];
+    private journal?: StoreJournal;
+
+    /**
+     * The number of documents in the store.
+     */
+    public get size() {
+        return this.docs.length;
+    }
+
+    /**
+     * Count the documents in the store.
+     */
+    public async countRecords(): Promise<number> {
+        return this.docs.length;
+    }
+
+    /**
+     * Remove all documents from the store.
+     */
+    public clear() {
+        this.docs.splice(0);
+    }
+
+    /**
+     * Create a copy of this store which records how to undo each of its writes in the
+     * given journal, so that they can be rolled back. The copy shares the same documents.
+     * @param journal The journal to record undo functions in.
+     */
+    public withJournal(journal: StoreJournal): this {
+        const store = Object.create(this);
+        store.journal = journal;
+        return store;
+    }
+
+    protected select<O = T>(query: MemoryStoreQuery, transformFn?: (input: T) => O): O[] {
+        return this.docs.filter((doc) => matchesQuery(doc, query)).map((doc) => {
+            const copy = deepCopy(doc);
+            return transformFn ? transformFn(copy) : copy as unknown as O;
+        });
+    }
+
+    protected selectOne<O = T>(query: MemoryStoreQuery, transformFn?: (input: T) => O): O|null {
+        const doc = this.docs.find((d) => matchesQuery(d, query));
+        if (!doc) {
+            return null;
+        }
+        const copy = deepCopy(doc);
+        return transformFn ? transformFn(copy) : copy as unknown as O;
+    }
+
+    /**
+     * Replace the first document matching the query, or insert the document if none match.
+     */
+    protected upsert(query: MemoryStoreQuery, doc: T) {
+        const index = this.docs.findIndex((d) => matchesQuery(d, query));
+        if (index === -1) {
+            this.insert(doc);
+            return;
+        }
+        const previous = this.docs[index];
+        const copy = deepCopy(doc);
+        this.docs[index] = copy;
+        this.journal?.push(() => {
+            const i = this.docs.indexOf(copy);
+            if (i !== -1) {
+                this.docs[i] = previous;
+            }
+        });
+    }
+
+    protected insertIfNotExists(query: MemoryStoreQuery, doc: T) {
+        if (!this.docs.some((d) => matchesQuery(d, query))) {
+            this.insert(doc);
+        }
+    }
+
+    /**
+     * Remove all documents matching the query.
+     * @returns The number of documents removed.
+     */
+    protected delete(query: MemoryStoreQuery): number {
+        const removed = this.docs.filter((doc) => matchesQuery(doc, query));
+        for (const doc of removed) {
+            this.docs.splice(this.docs.indexOf(doc), 1);
+        }
+        if (removed.length) {
+            this.journal?.push(() => {
+                this.docs.push(...removed);
+            });
+        }
+        return removed.length;
+    }
+
+    private insert(doc: T) {
+        const copy = deepCopy(doc);
+        this.docs.push(copy);
+        this.journal?.push(() => {
+            const i = this.docs.indexOf(copy);
+            if (i !== -1) {
+                this.docs.splice(i, 1);
+            }
+        });
+    }
+
+    /**
+     * Prefix every key of a data query, e.g. to match `{ key: value }` against `data.key`.
+     */
+    protected prefixQuery(prefix: string, query: MemoryStoreQuery): MemoryStoreQuery {
+        return Object.fromEntries(Object.entries(query).map(([key, value]) => [prefix + key, value]));
+    }
+}
+
+function matchesQuery(doc: object, query: MemoryStoreQuery) {
+    return Object.entries(query).every(([key, value]) => matchesQueryPart(getDotValue(doc, key.split(".")), value));
+}
+
+function matchesQueryPart(docValue: unknown, queryValue: unknown, treatArrayAsValue = false): boolean {
+    if (Array.isArray(docValue) && !treatArrayAsValue) {
+        if (Array.isArray(queryValue)) {
+            return matchesQueryPart(docValue, queryValue, true);
+        }
+        return docValue.some((element) => matchesQueryPart(element, queryValue));
+    }
+    if (queryValue instanceof RegExp) {
+        return typeof docValue === "string" && queryValue.test(docValue);
+    }
+    if (isPlainObject(queryValue) && Object.keys(queryValue).some((k) => k.startsWith("$"))) {
+        throw Error("Query operators are not supported by the in-memory stores");
+    }
+    return areEqual(docValue, queryValue);
+}
+
+function getDotValue(value: unknown, path: string[]): unknown {
+    if (value === null || typeof value !== "object") {
+        return undefined;
+    }
+    const [key, ...rest] = path;
+    const next = (value as Record<string, unknown>)[key];
+    if (rest.length === 0) {
+        return next;
+    }
+    if (Array.isArray(next)) {
+        const index = parseInt(rest[0], 10);
+        if (!isNaN(index)) {
+            return rest.length === 1 ? next[index] : getDotValue(next[index], rest.slice(1));
+        }
+        return next.map((element) => getDotValue(element, rest));
+    }
+    return getDotValue(next, rest);
+}
+
+function areEqual(a: unknown, b: unknown): boolean {
+    if (a === null || b === null || typeof a !== "object" || typeof b !== "object") {
+        // Undefined means the field doesn't exist, so it can never match.
+        return a !== undefined && a === b;
+    }
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const aKeys = Object.keys(a);
+    const bKeys = Object.keys(b);
+    return aKeys.length === bKeys.length && aKeys.every((key) =>
+        bKeys.includes(key) &&
+        areEqual((a as Record<string, unknown>)[key], (b as Record<string, unknown>)[key])
+    );
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+    return value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Copy a document, dropping undefined values as they would be when serialised.
+ */
+function deepCopy<V>(value: V): V {
+    if (Array.isArray(value)) {
+        return value.map((element) => deepCopy(element)) as unknown as V;
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime()) as unknown as V;
+    }
+    if (value instanceof RegExp) {
+        return value;
+    }
+    if (value !== null && typeof value === "object") {
+        const copy: Record<string, unknown> = {};
+        for (const [key, element] of Object.entries(value)) {
+            if (element !== undefined) {
+                copy[key] = deepCopy(element);
+            }
+        }
+        return copy as V;
+    }
+    return value;
+}
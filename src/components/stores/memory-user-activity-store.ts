@@ -0,0 +1,40 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { MemoryStore } from "./memory-store";
+import { ActivityStore } from "./interfaces";
+import { UserActivity, UserActivitySet } from "../user-activity";
+
+interface UserActivityDoc extends UserActivity {
+    mxid: string;
+}
+
+/**
+ * An in-memory implementation of the {@link UserActivityStore} API. Nothing is persisted,
+ * which makes this store useful for tests.
+ */
+export class MemoryUserActivityStore extends MemoryStore<UserActivityDoc> implements ActivityStore {
+    public async storeUserActivity(mxid: string, activity: UserActivity): Promise<void> {
+        this.upsert({ mxid }, { ...activity, mxid });
+    }
+
+    public async getActivitySet(): Promise<UserActivitySet> {
+        const userActivity: UserActivitySet = new Map();
+        for (const { mxid, ts, metadata } of this.select({})) {
+            userActivity.set(mxid, { ts, metadata });
+        }
+        return userActivity;
+    }
+}
@@ -0,0 +1,208 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { MemoryStore } from "./memory-store";
+import { UserStore } from "./interfaces";
+import { MatrixUser } from "../../models/users/matrix";
+import { RemoteUser } from "../../models/users/remote";
+
+interface UserDoc {
+    type: "matrix"|"remote"|"union";
+    id?: string;
+    // eslint-disable-next-line camelcase
+    matrix_id?: string;
+    // eslint-disable-next-line camelcase
+    remote_id?: string;
+    data?: Record<string, unknown>;
+}
+
+/**
+ * An in-memory implementation of the {@link UserBridgeStore} API, with the same query
+ * semantics. Nothing is persisted, which makes this store useful for tests.
+ *
+ * @example
+ * const bridge = new Bridge({ ..., userStore: new MemoryUserBridgeStore() });
+ */
+export class MemoryUserBridgeStore extends MemoryStore<UserDoc> implements UserStore {
+    /**
+     * Retrieve a list of corresponding remote users for the given matrix user ID.
+     * @param userId The Matrix user ID
+     * @return Resolves to a list of Remote users.
+     */
+    public async getRemoteUsersFromMatrixId(userId: string): Promise<RemoteUser[]> {
+        const remoteIds = this.select({ type: "union", matrix_id: userId }, (doc) => doc.remote_id);
+        return this.select({ type: "remote" }, toRemoteUser).filter((u) => remoteIds.includes(u.getId()));
+    }
+
+    /**
+     * Retrieve a list of corresponding matrix users for the given remote ID.
+     * @param remoteId The Remote ID
+     * @return Resolves to a list of Matrix users.
+     */
+    public async getMatrixUsersFromRemoteId(remoteId: string): Promise<MatrixUser[]> {
+        const matrixIds = this.select({ type: "union", remote_id: remoteId }, (doc) => doc.matrix_id);
+        return this.select({ type: "matrix" }, toMatrixUser).filter((u) => matrixIds.includes(u.getId()));
+    }
+
+    /**
+     * Retrieve a MatrixUser based on their user ID localpart. If there is more than
+     * one match (e.g. same localpart, different domains) then this will return an
+     * arbitrary matching user.
+     * @param localpart The user localpart
+     * @return Resolves to a MatrixUser or null.
+     */
+    public async getByMatrixLocalpart(localpart: string): Promise<MatrixUser|null> {
+        return this.selectOne({ "type": "matrix", "data.localpart": localpart }, toMatrixUser);
+    }
+
+    /**
+     * Get a matrix user by their user ID.
+     * @param userId The user_id
+     * @return Resolves to the user or null if they do not exist.
+     */
+    public async getMatrixUser(userId: string): Promise<MatrixUser|null> {
+        return this.selectOne({ type: "matrix", id: userId }, toMatrixUser);
+    }
+
+    /**
+     * Store a Matrix user. If they already exist, they will be updated. Equivalence
+     * is determined by their user ID.
+     * @param matrixUser The matrix user
+     */
+    public async setMatrixUser(matrixUser: MatrixUser): Promise<void> {
+        this.upsert({ type: "matrix", id: matrixUser.getId() }, {
+            type: "matrix",
+            id: matrixUser.getId(),
+            data: matrixUser.serialize(),
+        });
+    }
+
+    /**
+     * Get a remote user by their remote ID.
+     * @param id The remote ID
+     * @return Resolves to the user or null if they do not exist.
+     */
+    public async getRemoteUser(id: string): Promise<RemoteUser|null> {
+        return this.selectOne({ type: "remote", id }, toRemoteUser);
+    }
+
+    /**
+     * Get remote users by some data about them, previously stored via the set
+     * method on the Remote user.
+     * @param dataQuery The keys and matching values the remote users share.
+     * This should use dot notation for nested types.
+     * @throws If dataQuery isn't an object.
+     */
+    public async getByRemoteData(dataQuery: Record<string, unknown>): Promise<RemoteUser[]> {
+        if (typeof dataQuery !== "object") {
+            throw new Error("Data query must be an object.");
+        }
+        return this.select({ ...this.prefixQuery("data.", dataQuery), type: "remote" }, toRemoteUser);
+    }
+
+    /**
+     * Get Matrix users by some data about them, previously stored via the set
+     * method on the Matrix user.
+     * @param dataQuery The keys and matching values the matrix users share.
+     * This should use dot notation for nested types.
+     * @throws If dataQuery isn't an object.
+     */
+    public async getByMatrixData(dataQuery: Record<string, unknown>): Promise<MatrixUser[]> {
+        if (typeof dataQuery !== "object") {
+            throw new Error("Data query must be an object.");
+        }
+        return this.select({ ...this.prefixQuery("data.", dataQuery), type: "matrix" }, toMatrixUser);
+    }
+
+    /**
+     * Store a Remote user. If they already exist, they will be updated. Equivalence
+     * is determined by the Remote ID.
+     * @param remoteUser The remote user
+     */
+    public async setRemoteUser(remoteUser: RemoteUser): Promise<void> {
+        this.upsert({ type: "remote", id: remoteUser.getId() }, {
+            type: "remote",
+            id: remoteUser.getId(),
+            data: remoteUser.serialize(),
+        });
+    }
+
+    /**
+     * Create a link between a matrix and remote user. If either user does not exist,
+     * they will be inserted prior to linking.
+     * @param matrixUser The matrix user
+     * @param remoteUser The remote user
+     */
+    public async linkUsers(matrixUser: MatrixUser, remoteUser: RemoteUser): Promise<void> {
+        this.insertIfNotExists({ type: "remote", id: remoteUser.getId() }, {
+            type: "remote",
+            id: remoteUser.getId(),
+            data: remoteUser.serialize(),
+        });
+        this.insertIfNotExists({ type: "matrix", id: matrixUser.getId() }, {
+            type: "matrix",
+            id: matrixUser.getId(),
+            data: matrixUser.serialize(),
+        });
+        const link: UserDoc = { type: "union", remote_id: remoteUser.getId(), matrix_id: matrixUser.getId() };
+        this.upsert({ ...link }, link);
+    }
+
+    /**
+     * Delete a link between a matrix user and a remote user.
+     * @param matrixUser The matrix user
+     * @param remoteUser The remote user
+     * @return Resolves to the number of entries removed.
+     */
+    public async unlinkUsers(matrixUser: MatrixUser, remoteUser: RemoteUser): Promise<number> {
+        return this.unlinkUserIds(matrixUser.getId(), remoteUser.getId());
+    }
+
+    /**
+     * Delete a link between a matrix user ID and a remote user ID.
+     * @param matrixUserId The matrix user ID
+     * @param remoteUserId The remote user ID
+     * @return Resolves to the number of entries removed.
+     */
+    public async unlinkUserIds(matrixUserId: string, remoteUserId: string): Promise<number> {
+        return this.delete({ type: "union", remote_id: remoteUserId, matrix_id: matrixUserId });
+    }
+
+    /**
+     * Retrieve a list of matrix user IDs linked to this remote ID.
+     * @param remoteId The remote ID
+     * @return A list of user IDs.
+     */
+    public async getMatrixLinks(remoteId: string): Promise<string[]|null> {
+        return this.select({ type: "union", remote_id: remoteId }, (doc) => doc.matrix_id as string);
+    }
+
+    /**
+     * Retrieve a list of remote IDs linked to this matrix user ID.
+     * @param matrixId The matrix user ID
+     * @return A list of remote IDs.
+     */
+    public async getRemoteLinks(matrixId: string): Promise<string[]|null> {
+        return this.select({ type: "union", matrix_id: matrixId }, (doc) => doc.remote_id as string);
+    }
+}
+
+function toMatrixUser(doc: UserDoc) {
+    return new MatrixUser(doc.id as string, doc.data);
+}
+
+function toRemoteUser(doc: UserDoc) {
+    return new RemoteUser(doc.id as string, doc.data);
+}
@@ -0,0 +1,120 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { PostgresStore, PostgresStoreOpts, SchemaMigration } from "./postgres-store";
+import { ClientEncryptionSession, ClientEncryptionStore } from "../encryption";
+
+const schemas: SchemaMigration[] = [
+    {
+        up: async (sql) => {
+            await sql`CREATE TABLE client_encryption_sessions (
+                user_id TEXT PRIMARY KEY,
+                device_id TEXT NOT NULL,
+                access_token TEXT NOT NULL,
+                sync_token TEXT
+            );`;
+        },
+        down: async (sql) => {
+            await sql`DROP TABLE client_encryption_sessions;`;
+        },
+        checksum: "1",
+    },
+];
+
+interface SessionRow {
+    // eslint-disable-next-line camelcase
+    user_id: string;
+    // eslint-disable-next-line camelcase
+    device_id: string;
+    // eslint-disable-next-line camelcase
+    access_token: string;
+    // eslint-disable-next-line camelcase
+    sync_token: string|null;
+}
+
+/**
+ * A PostgreSQL implementation of {@link ClientEncryptionStore}, so that bridge users keep
+ * their devices across restarts.
+ */
+export class PostgresClientEncryptionStore extends PostgresStore implements ClientEncryptionStore {
+    /**
+     * Construct a store for encryption sessions.
+     * @param opts Options to supply to the PostgreSQL client, such as `url`.
+     */
+    constructor(opts: PostgresStoreOpts) {
+        super(schemas, { schemaTable: "client_encryption_store_schema", ...opts });
+    }
+
+    public async getStoredSession(userId: string): Promise<ClientEncryptionSession|null> {
+        const [row] = await this.sql<SessionRow[]>`SELECT * FROM client_encryption_sessions
+            WHERE user_id = ${userId};`;
+        return row ? toSession(row) : null;
+    }
+
+    public async setStoredSession(session: ClientEncryptionSession): Promise<void> {
+        await this.sql`INSERT INTO client_encryption_sessions (user_id, device_id, access_token, sync_token)
+            VALUES (${session.userId}, ${session.deviceId}, ${session.accessToken}, ${session.syncToken})
+            ON CONFLICT (user_id) DO UPDATE SET
+                device_id = EXCLUDED.device_id,
+                access_token = EXCLUDED.access_token,
+                sync_token = EXCLUDED.sync_token;`;
+    }
+
+    public async updateSyncToken(userId: string, token: string): Promise<void> {
+        await this.sql`UPDATE client_encryption_sessions SET sync_token = ${token} WHERE user_id = ${userId};`;
+    }
+
+    public async deleteStoredSession(userId: string): Promise<void> {
+        await this.sql`DELETE FROM client_encryption_sessions WHERE user_id = ${userId};`;
+    }
+
+    /**
+     * Remove the sessions of bridge users which no longer exist, such as ghosts of
+     * remote users who have left. This only forgets the sessions: their devices stay
+     * logged in until the caller logs them out with the returned access tokens.
+     * @example
+     * const pruned = await store.pruneSessions(async (userId) => !!(await userStore.getMatrixUser(userId)));
+     * for (const { accessToken } of pruned) {
+     *     await new MatrixClient(homeserverUrl, accessToken).doRequest("POST", "/_matrix/client/v3/logout");
+     * }
+     * @param exists Called with each user ID that has a session. Resolves to false if the user
+     * no longer exists.
+     * @return Resolves to the sessions which were removed.
+     */
+    public async pruneSessions(
+        exists: (userId: string) => Promise<boolean>|boolean): Promise<ClientEncryptionSession[]> {
+        const rows = await this.sql<SessionRow[]>`SELECT * FROM client_encryption_sessions;`;
+        const removed: ClientEncryptionSession[] = [];
+        for (const row of rows) {
+            if (!await exists(row.user_id)) {
+                removed.push(toSession(row));
+            }
+        }
+        if (removed.length) {
+            const userIds = removed.map(session => session.userId);
+            await this.sql`DELETE FROM client_encryption_sessions WHERE user_id IN ${this.sql(userIds)};`;
+        }
+        return removed;
+    }
+}
+
+function toSession(row: SessionRow): ClientEncryptionSession {
+    return {
+        userId: row.user_id,
+        deviceId: row.device_id,
+        accessToken: row.access_token,
+        syncToken: row.sync_token,
+    };
+}
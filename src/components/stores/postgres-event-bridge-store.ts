@@ -0,0 +1,253 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { JSONValue } from "postgres";
+import { PostgresStore, PostgresStoreOpts, SchemaMigration } from "./postgres-store";
+import { EventStore } from "./interfaces";
+import { StoredEvent } from "../../models/events/event";
+import { Logger } from "../logging";
+
+const log = new Logger("PostgresEventBridgeStore");
+
+const DEFAULT_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const schemas: SchemaMigration[] = [
+    {
+        up: async (sql) => {
+            await sql.begin(s => [
+                s`CREATE TABLE events (
+                    id TEXT PRIMARY KEY,
+                    room_id TEXT NOT NULL,
+                    event_id TEXT NOT NULL,
+                    remote_room_id TEXT NOT NULL,
+                    remote_event_id TEXT NOT NULL,
+                    extras JSONB NOT NULL DEFAULT '{}',
+                    inserted_ts BIGINT NOT NULL
+                );`,
+                s`CREATE INDEX events_matrix_id ON events (room_id, event_id);`,
+                s`CREATE INDEX events_remote_id ON events (remote_room_id, remote_event_id);`,
+                s`CREATE INDEX events_room_inserted_ts ON events (room_id, inserted_ts);`,
+            ]);
+        },
+        checksum: "1",
+    },
+];
+
+interface EventRow {
+    id: string;
+    // eslint-disable-next-line camelcase
+    room_id: string;
+    // eslint-disable-next-line camelcase
+    event_id: string;
+    // eslint-disable-next-line camelcase
+    remote_room_id: string;
+    // eslint-disable-next-line camelcase
+    remote_event_id: string;
+    extras: Record<string, unknown>;
+}
+
+export interface EventRetentionOpts {
+    /**
+     * Remove event mappings which were stored longer than this many milliseconds ago.
+     */
+    maxAgeMs?: number;
+    /**
+     * Keep at most this many of the most recently stored event mappings for each Matrix room.
+     */
+    maxEventsPerRoom?: number;
+    /**
+     * How often to prune the store in the background. Defaults to once an hour.
+     */
+    pruneIntervalMs?: number;
+}
+
+export interface PostgresEventBridgeStoreOpts extends PostgresStoreOpts {
+    /**
+     * Retention policy for stored events. If not specified, events are kept forever.
+     */
+    retention?: EventRetentionOpts;
+}
+
+/**
+ * A PostgreSQL implementation of the {@link EventBridgeStore} API.
+ *
+ * If a `retention` policy is given, old {@link StoredEvent}s will be pruned periodically
+ * once {@link PostgresEventBridgeStore#ensureSchema} has been called. Pruning stops when
+ * the store is destroyed.
+ */
+export class PostgresEventBridgeStore extends PostgresStore implements EventStore {
+    private pruneInterval?: NodeJS.Timeout;
+    private readonly retention?: EventRetentionOpts;
+
+    /**
+     * Construct a store suitable for event mapping information.
+     * @param opts Options to supply to the PostgreSQL client, such as `url`, and the retention policy.
+     */
+    constructor(opts: PostgresEventBridgeStoreOpts) {
+        const { retention, ...pgOpts } = opts;
+        if (retention?.maxAgeMs !== undefined && retention.maxAgeMs <= 0) {
+            throw Error("retention.maxAgeMs must be a positive number");
+        }
+        if (retention?.maxEventsPerRoom !== undefined && retention.maxEventsPerRoom < 1) {
+            throw Error("retention.maxEventsPerRoom must be at least 1");
+        }
+        super(schemas, { schemaTable: "event_store_schema", ...pgOpts });
+        this.retention = retention;
+    }
+
+    /**
+     * Ensure the database schema is up to date, and start pruning events in the background
+     * if a retention policy was configured.
+     */
+    public async ensureSchema(): Promise<void> {
+        await super.ensureSchema();
+        if (this.retention && !this.pruneInterval) {
+            this.pruneInterval = setInterval(() => {
+                this.pruneEvents().catch(ex => {
+                    log.warn("Failed to prune events", ex);
+                });
+            }, this.retention.pruneIntervalMs ?? DEFAULT_PRUNE_INTERVAL_MS);
+            // Pruning should never keep the process alive.
+            this.pruneInterval.unref();
+        }
+    }
+
+    public async destroy(): Promise<void> {
+        if (this.pruneInterval) {
+            clearInterval(this.pruneInterval);
+            this.pruneInterval = undefined;
+        }
+        await super.destroy();
+    }
+
+    /**
+     * Insert an event, clobbering based on the ID of the StoredEvent.
+     * @param event
+     */
+    public async upsertEvent(event: StoredEvent): Promise<void> {
+        await this.sql`INSERT INTO events
+            (id, room_id, event_id, remote_room_id, remote_event_id, extras, inserted_ts)
+            VALUES (
+                ${event.getId()}, ${event.getMatrixRoomId()}, ${event.getMatrixEventId()},
+                ${event.getRemoteRoomId()}, ${event.getRemoteEventId()},
+                ${this.sql.json(event.serialize().extras as JSONValue)}, ${Date.now()}
+            )
+            ON CONFLICT (id) DO UPDATE SET
+                room_id = EXCLUDED.room_id,
+                event_id = EXCLUDED.event_id,
+                remote_room_id = EXCLUDED.remote_room_id,
+                remote_event_id = EXCLUDED.remote_event_id,
+                extras = EXCLUDED.extras;`;
+    }
+
+    /**
+     * Count the events in the store.
+     */
+    public async countRecords(): Promise<number> {
+        const [{ count }] = await this.sql<{count: string}[]>`SELECT COUNT(*) AS count FROM events;`;
+        return Number(count);
+    }
+
+    /**
+     * Get an existing event based on the provided matrix IDs.
+     * @param roomId The ID of the room.
+     * @param eventId The ID of the event.
+     * @return A promise which resolves to the StoredEvent or null.
+     */
+    public async getEntryByMatrixId(roomId: string, eventId: string): Promise<StoredEvent|null> {
+        const [row] = await this.sql<EventRow[]>`SELECT * FROM events
+            WHERE room_id = ${roomId} AND event_id = ${eventId} LIMIT 1;`;
+        return row ? rowToEvent(row) : null;
+    }
+
+    /**
+     * Get an existing event based on the provided remote IDs.
+     * @param roomId The ID of the room.
+     * @param eventId The ID of the event.
+     * @return A promise which resolves to the StoredEvent or null.
+     */
+    public async getEntryByRemoteId(roomId: string, eventId: string): Promise<StoredEvent|null> {
+        const [row] = await this.sql<EventRow[]>`SELECT * FROM events
+            WHERE remote_room_id = ${roomId} AND remote_event_id = ${eventId} LIMIT 1;`;
+        return row ? rowToEvent(row) : null;
+    }
+
+    /**
+     * Remove entries based on the event data.
+     * @param event The event to remove.
+     * @return Resolves to the number of entries removed.
+     */
+    public async removeEvent(event: StoredEvent): Promise<number> {
+        const result = await this.sql`DELETE FROM events WHERE id = ${event.getId()};`;
+        return result.count;
+    }
+
+    /**
+     * Remove entries based on the matrix IDs.
+     * @param roomId The ID of the room.
+     * @param eventId The ID of the event.
+     * @return Resolves to the number of entries removed.
+     */
+    public async removeEventByMatrixId(roomId: string, eventId: string): Promise<number> {
+        const result = await this.sql`DELETE FROM events WHERE room_id = ${roomId} AND event_id = ${eventId};`;
+        return result.count;
+    }
+
+    /**
+     * Remove entries based on the remote IDs.
+     * @param roomId The ID of the room.
+     * @param eventId The ID of the event.
+     * @return Resolves to the number of entries removed.
+     */
+    public async removeEventByRemoteId(roomId: string, eventId: string): Promise<number> {
+        const result = await this.sql`DELETE FROM events
+            WHERE remote_room_id = ${roomId} AND remote_event_id = ${eventId};`;
+        return result.count;
+    }
+
+    /**
+     * Remove any events which fall outside of the retention policy. This is called
+     * periodically if a retention policy was configured, but may also be called manually.
+     * @return Resolves to the number of events removed.
+     */
+    public async pruneEvents(): Promise<number> {
+        if (!this.retention) {
+            return 0;
+        }
+        const { maxAgeMs, maxEventsPerRoom } = this.retention;
+        let removed = 0;
+        if (maxAgeMs !== undefined) {
+            const result = await this.sql`DELETE FROM events WHERE inserted_ts < ${Date.now() - maxAgeMs};`;
+            removed += result.count;
+        }
+        if (maxEventsPerRoom !== undefined) {
+            const result = await this.sql`DELETE FROM events WHERE id IN (
+                SELECT id FROM (
+                    SELECT id, row_number() OVER (PARTITION BY room_id ORDER BY inserted_ts DESC) AS row_num
+                    FROM events
+                ) AS ranked WHERE ranked.row_num > ${maxEventsPerRoom}
+            );`;
+            removed += result.count;
+        }
+        if (removed > 0) {
+            log.info(`Pruned ${removed} event(s)`);
+        }
+        return removed;
+    }
+}
+
+function rowToEvent(row: EventRow) {
+    return new StoredEvent(row.room_id, row.event_id, row.remote_room_id, row.remote_event_id, row.extras);
+}
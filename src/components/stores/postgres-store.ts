@@ -1,12 +1,12 @@
-import postgres, { PostgresError, PostgresType } from 'postgres';
+import postgres, { JSONValue, PostgresError, PostgresType } from 'postgres';
 import { Logger } from "../..";
 
 const log = new Logger("PostgresStore");
 
-export async function v0Schema(sql: postgres.Sql) {
+export async function v0Schema(sql: postgres.Sql, schemaTable = "schema") {
     await sql.begin(s => [
-        s`CREATE TABLE schema (version	INTEGER UNIQUE NOT NULL);`,
-        s`INSERT INTO schema VALUES (0);`
+        s`CREATE TABLE ${s(schemaTable)} (version	INTEGER UNIQUE NOT NULL);`,
+        s`INSERT INTO ${s(schemaTable)} VALUES (0);`
     ]);
 }
 
@@ -17,13 +17,85 @@ export interface PostgresStoreOpts extends postgres.Options<Record<string, Postg
     url?: string;
     /**
      * Should the schema table be automatically created (the v0 schema effectively).
-     * Defaults to `true`.
+     * This also creates a `<schemaTable>_migrations` table recording when each migration
+     * was applied and its checksum. Defaults to `true`.
      */
     autocreateSchemaTable?: boolean;
+    /**
+     * The name of the table used to track the schema version. Stores sharing a database
+     * must use distinct tables. Defaults to `schema`.
+     */
+    schemaTable?: string;
+    /**
+     * Refuse to start if a migration which has already been applied has since been modified.
+     * Defaults to `false`, which only logs a warning.
+     */
+    strictChecksums?: boolean;
 }
 
 export type SchemaUpdateFunction = (sql: postgres.Sql) => Promise<void>|void;
 
+/**
+ * A schema migration which can optionally be rolled back.
+ */
+export interface SchemaMigration {
+    /**
+     * Upgrade the schema from the previous version to this one.
+     */
+    up: SchemaUpdateFunction;
+    /**
+     * Revert the changes made by `up`. Required to roll back past this version.
+     */
+    down?: SchemaUpdateFunction;
+    /**
+     * A fixed checksum or revision of this migration, such as `"1"`, which must be changed whenever
+     * the migration is. Checksums are not derived from the source of `up`, as that changes whenever
+     * the code is rebuilt, so applied migrations are only checked for modifications if they have one.
+     * Every migration of the stores in this library has one.
+     */
+    checksum?: string;
+    /**
+     * Whether to run `up` and `down` in a transaction, so that a failed migration is not
+     * partially applied. Set this to `false` for migrations which cannot run in a transaction,
+     * such as `CREATE INDEX CONCURRENTLY`. They are given a single connection which does not
+     * support `sql.begin`. Defaults to `true`.
+     */
+    transactional?: boolean;
+}
+
+export interface SchemaMigrationStatus {
+    version: number;
+    applied: boolean;
+    /**
+     * When the migration was applied, if known.
+     */
+    appliedAt?: Date;
+    /**
+     * Whether the migration is unchanged since it was applied, if known.
+     */
+    checksumMatches?: boolean;
+    /**
+     * Whether the migration has a down-migration.
+     */
+    reversible: boolean;
+}
+
+export interface SchemaStatus {
+    /**
+     * The version of the database schema, or `-1` if the schema table does not exist.
+     */
+    currentVersion: number;
+    latestVersion: number;
+    migrations: SchemaMigrationStatus[];
+}
+
+interface MigrationRow {
+    version: number;
+    checksum: string|null;
+    // eslint-disable-next-line camelcase
+    applied_ts: string|null;
+}
+
 /**
  * PostgreSQL datastore abstraction which can be inherited by a specialised bridge class.
  *
@@ -45,20 +117,32 @@ export type SchemaUpdateFunction = (sql: postgres.Sql) => Promise<void>|void;
  */
 export abstract class PostgresStore {
     private hasEnded = false;
+    private transactionSql?: postgres.TransactionSql;
+    private readonly migrations: SchemaMigration[];
     public readonly sql: postgres.Sql;
 
     public get latestSchema() {
-        return this.schemas.length;
+        return this.migrations.length;
+    }
+
+    private get schemaTable() {
+        return this.opts.schemaTable ?? "schema";
+    }
+
+    private get migrationsTable() {
+        return `${this.schemaTable}_migrations`;
     }
 
     /**
      * Construct a new store.
-     * @param schemas The set of schema functions to apply to a database. The ordering of this array determines the
-     *                schema number.
+     * @param schemas The set of schema functions or migrations to apply to a database. The ordering of this array
+     *                determines the schema number.
      * @param opts Options to supply to the PostgreSQL client, such as `url`.
      */
-    constructor(private readonly schemas: SchemaUpdateFunction[], private readonly opts: PostgresStoreOpts) {
+    constructor(schemas: (SchemaUpdateFunction|SchemaMigration)[], private readonly opts: PostgresStoreOpts) {
+        this.migrations = schemas.map(schema => typeof schema === "function" ? { up: schema } : schema);
         opts.autocreateSchemaTable = opts.autocreateSchemaTable ?? true;
+        opts.schemaTable = opts.schemaTable ?? "schema";
         this.sql = opts.url ? postgres(opts.url, opts) : postgres(opts);
         process.once("beforeExit", () => {
             // Ensure we clean up on exit
@@ -73,40 +157,128 @@ export abstract class PostgresStore {
      * `autocreateSchemaTable` to `opts` in the constructor, a fresh database
      * will have a `schema` table created for it.
      *
-     * @throws If a schema could not be applied cleanly.
+     * Each migration is applied in its own transaction (unless it sets `transactional: false`),
+     * while holding an advisory lock so that several processes may safely call this at the same time.
+     *
+     * @throws If a schema could not be applied cleanly, or `strictChecksums` is set and
+     *         an applied migration has been modified.
      */
     public async ensureSchema(): Promise<void> {
         log.info("Starting database engine");
-        let currentVersion = await this.getSchemaVersion();
-
-        if (currentVersion === -1) {
-            if (this.opts.autocreateSchemaTable) {
+        let currentVersion = await this.withSchemaLock(async sql => {
+            const version = await this.getSchemaVersion(sql);
+            if (version === -1 && this.opts.autocreateSchemaTable) {
                 log.info(`Applying v0 schema (schema table)`);
-                await v0Schema(this.sql);
-                currentVersion = 0;
-            } else {
-                // We aren't autocreating the schema table, so assume schema 0.
-                currentVersion = 0;
+                await v0Schema(sql, this.opts.schemaTable);
             }
-        }
+            // If we aren't autocreating the schema table, assume schema 0.
+            await this.verifyMigrations(Math.max(version, 0), sql);
+            return Math.max(version, 0);
+        });
 
         // Zero-indexed, so schema 1 would be in slot 0.
-        while (this.schemas[currentVersion]) {
-            log.info(`Updating schema to v${currentVersion + 1}`);
-            const runSchema = this.schemas[currentVersion];
-            try {
-                await runSchema(this.sql);
-                currentVersion++;
-                await this.updateSchemaVersion(currentVersion);
-            }
-            catch (ex) {
-                log.warn(`Failed to run schema v${currentVersion + 1}:`, ex);
-                throw Error("Failed to update database schema");
-            }
+        while (this.migrations[currentVersion]) {
+            const transactional = isTransactional(this.migrations[currentVersion]);
+            currentVersion = await this.withSchemaLock(async sql => {
+                // Another process may have updated the schema in the meantime.
+                const version = Math.max(await this.getSchemaVersion(sql), 0);
+                const migration = this.migrations[version];
+                // Retry with the right kind of lock if another process has moved on to a different migration.
+                if (!migration || isTransactional(migration) !== transactional) {
+                    return version;
+                }
+                log.info(`Updating schema to v${version + 1}`);
+                try {
+                    await migration.up(sql);
+                    await this.updateSchemaVersion(version + 1, sql);
+                    await this.recordMigration(version + 1, Date.now(), sql);
+                }
+                catch (ex) {
+                    log.warn(`Failed to run schema v${version + 1}:`, ex);
+                    throw Error("Failed to update database schema");
+                }
+                return version + 1;
+            }, transactional);
+        }
+        log.info(`Database schema is at version v${currentVersion}`);
+    }
+
+    /**
+     * Roll the database schema back to an earlier version, by running the down-migration
+     * of each newer version in turn, newest first.
+     * @param targetVersion The version to roll back to. `0` reverts every migration.
+     * @throws If any of the versions to roll back has no down-migration, or one failed to apply.
+     */
+    public async rollbackSchema(targetVersion: number): Promise<void> {
+        if (!Number.isInteger(targetVersion) || targetVersion < 0) {
+            throw Error("targetVersion must be a non-negative integer");
+        }
+        let currentVersion = await this.getSchemaVersion();
+        if (currentVersion <= targetVersion) {
+            log.info(`Database schema is already at version v${currentVersion}`);
+            return;
+        }
+        const irreversible = this.migrations.slice(targetVersion, currentVersion)
+            .map((migration, i) => ({ migration, version: targetVersion + i + 1 }))
+            .filter(({ migration }) => !migration.down)
+            .map(({ version }) => `v${version}`);
+        if (currentVersion > this.latestSchema || irreversible.length) {
+            const versions = irreversible.join(", ") || "unknown versions";
+            throw Error(`Cannot roll back schema: no down-migration for ${versions}`);
+        }
+        while (currentVersion > targetVersion) {
+            const transactional = isTransactional(this.migrations[currentVersion - 1]);
+            currentVersion = await this.withSchemaLock(async sql => {
+                // Another process may have updated the schema in the meantime.
+                const version = await this.getSchemaVersion(sql);
+                if (version <= targetVersion || isTransactional(this.migrations[version - 1]) !== transactional) {
+                    return version;
+                }
+                log.info(`Rolling back schema v${version}`);
+                const migration = this.migrations[version - 1];
+                if (!migration?.down) {
+                    throw Error(`Cannot roll back schema: no down-migration for v${version}`);
+                }
+                try {
+                    await migration.down(sql);
+                    await this.updateSchemaVersion(version - 1, sql);
+                    await this.removeMigrationRecord(version, sql);
+                }
+                catch (ex) {
+                    log.warn(`Failed to roll back schema v${version}:`, ex);
+                    throw Error("Failed to roll back database schema");
+                }
+                return version - 1;
+            }, transactional);
         }
         log.info(`Database schema is at version v${currentVersion}`);
     }
 
+    /**
+     * Report which migrations have been applied to the database, and whether any of
+     * them have been modified since.
+     */
+    public async getSchemaStatus(): Promise<SchemaStatus> {
+        const currentVersion = await this.getSchemaVersion();
+        const recorded = currentVersion > 0 ? await this.getMigrationRecords() : new Map<number, MigrationRow>();
+        return {
+            currentVersion,
+            latestVersion: this.latestSchema,
+            migrations: this.migrations.map((migration, i) => {
+                const version = i + 1;
+                const record = recorded.get(version);
+                return {
+                    version,
+                    applied: version <= currentVersion,
+                    appliedAt: record?.applied_ts ? new Date(Number(record.applied_ts)) : undefined,
+                    checksumMatches: record?.checksum && migration.checksum ?
+                        record.checksum === migration.checksum : undefined,
+                    reversible: !!migration.down,
+                };
+            }),
+        };
+    }
+
     /**
      * Clean away any resources used by the database. This is automatically
      * called before the process exits.
@@ -122,31 +294,213 @@ export abstract class PostgresStore {
         log.info("PostgresSQL connection ended");
     }
 
+    /**
+     * Run a function within a transaction. If this store is already bound to a transaction,
+     * a savepoint within that transaction is used instead.
+     * @param fn The function to run, which should issue all of its queries via the `sql` it is given.
+     */
+    public transaction<T>(fn: (sql: postgres.TransactionSql) => T|Promise<T>) {
+        return this.transactionSql ? this.transactionSql.savepoint(fn) : this.sql.begin(fn);
+    }
+
+    /**
+     * Create a copy of this store which issues all of its queries within the given transaction.
+     * The copy must not be used once the transaction has finished, and must not be destroyed.
+     * @param sql A transaction started on a connection to the same database as this store.
+     */
+    public bindToTransaction(sql: postgres.TransactionSql): this {
+        const store = Object.create(this);
+        Object.defineProperty(store, "sql", { value: sql });
+        store.transactionSql = sql;
+        return store;
+    }
+
+    /**
+     * Check that the database can be reached, such as for a health check.
+     * @throws If the database cannot be queried.
+     */
+    public async ping(): Promise<void> {
+        await this.sql`SELECT 1`;
+    }
+
+    /**
+     * Check whether another store is connected to the same database as this store, and
+     * so can take part in the same transaction.
+     */
+    public isSameDatabase(other: PostgresStore): boolean {
+        const { host, port, database } = this.sql.options;
+        const otherOpts = other.sql.options;
+        return database === otherOpts.database &&
+            host.join() === otherOpts.host.join() && port.join() === otherOpts.port.join();
+    }
+
+    /**
+     * Build a condition matching a dot-notation data query against a JSONB column. This
+     * offers the same nested field matching as the NeDB based stores, where
+     * `{ "a.b": 42 }` matches a column containing `{ "a": { "b": 42 } }`. As with NeDB, a value
+     * which is not an array also matches any element of an array, so `{ "a": 42 }` matches
+     * `{ "a": [41, 42] }`, while an array value must equal the whole array.
+     * @param column The JSONB column to match against.
+     * @param query Keys in dot notation, mapped to the value they must be equal to.
+     * @param prefix Path segments to prepend to each key.
+     */
+    protected jsonDataCondition(column: string, query: Record<string, unknown>, prefix: string[] = []) {
+        return Object.entries(query).reduce((condition, [key, value]) => {
+            const path = [...prefix, ...key.split(".")];
+            const target = this.sql`${this.sql(column)} #> ${path}`;
+            const json = this.sql.json(value as JSONValue);
+            if (Array.isArray(value)) {
+                return this.sql`${condition} AND ${target} = ${json}`;
+            }
+            return this.sql`${condition} AND (${target} = ${json} OR CASE WHEN jsonb_typeof(${target}) = 'array'
+                THEN EXISTS (SELECT 1 FROM jsonb_array_elements(${target}) AS element WHERE element = ${json})
+                ELSE FALSE END)`;
+        }, this.sql`TRUE`);
+    }
+
     /**
      * Update the current schema version.
      * @param version
+     * @param sql The connection or transaction to update the version with.
      */
-    protected async updateSchemaVersion(version: number): Promise<void> {
+    protected async updateSchemaVersion(version: number, sql = this.sql): Promise<void> {
         log.debug(`updateSchemaVersion: ${version}`);
-        await this.sql`UPDATE schema SET version = ${version};`;
+        await sql`UPDATE ${sql(this.schemaTable)} SET version = ${version};`;
     }
 
     /**
-     * Get the current schema version.
-     * @returns The current schema version, or `-1` if no schema table is found.
+     * Run a function while holding an advisory lock on the schema of this store, so that only
+     * one process may change it at a time.
+     * @param fn The function to run, which must issue all of its queries via the `sql` it is given.
+     * @param transactional Run the function in a transaction, which releases the lock when it ends.
+     *                      Otherwise, the lock is held on a reserved connection until the function returns.
      */
-    protected async getSchemaVersion(): Promise<number> {
+    private async withSchemaLock<T>(fn: (sql: postgres.Sql) => Promise<T>, transactional = true): Promise<T> {
+        const lockKey = `matrix-appservice-bridge:${this.schemaTable}`;
+        if (transactional) {
+            const result = await this.sql.begin(async tx => {
+                await tx`SELECT pg_advisory_xact_lock(hashtext(${lockKey}));`;
+                return fn(asMigrationSql(tx));
+            });
+            return result as T;
+        }
+        const lockSql = await this.sql.reserve();
         try {
-            const result = await this.sql<{version: number}[]>`SELECT version FROM SCHEMA;`;
-            return result[0].version;
+            await lockSql`SELECT pg_advisory_lock(hashtext(${lockKey}));`;
+            try {
+                return await fn(lockSql);
+            }
+            finally {
+                await lockSql`SELECT pg_advisory_unlock(hashtext(${lockKey}));`;
+            }
+        }
+        finally {
+            lockSql.release();
+        }
+    }
+
+    /**
+     * Check the applied migrations against their recorded checksums. Migrations applied
+     * before checksums were recorded are assumed to be unmodified, and their checksum is recorded.
+     */
+    private async verifyMigrations(currentVersion: number, sql: postgres.Sql) {
+        if (!this.opts.autocreateSchemaTable) {
+            return;
+        }
+        await sql`CREATE TABLE IF NOT EXISTS ${sql(this.migrationsTable)} (
+            version INTEGER PRIMARY KEY,
+            checksum TEXT,
+            applied_ts BIGINT
+        );`;
+        const recorded = await this.getMigrationRecords(sql);
+        for (let version = 1; version <= Math.min(currentVersion, this.latestSchema); version++) {
+            const record = recorded.get(version);
+            const { checksum } = this.migrations[version - 1];
+            if (!checksum && this.opts.strictChecksums) {
+                log.warn(`Schema v${version} has no checksum, so cannot be checked for modifications`);
+            }
+            if (!record || (checksum && !record.checksum)) {
+                await this.recordMigration(version, record?.applied_ts ?? null, sql);
+            }
+            else if (checksum && record.checksum !== checksum) {
+                const message = `Schema v${version} has been modified since it was applied`;
+                if (this.opts.strictChecksums) {
+                    throw Error(message);
+                }
+                log.warn(message);
+            }
+        }
+    }
+
+    private async getMigrationRecords(sql = this.sql): Promise<Map<number, MigrationRow>> {
+        try {
+            const rows = await sql<MigrationRow[]>`SELECT * FROM ${sql(this.migrationsTable)};`;
+            return new Map(rows.map(row => [row.version, row]));
         }
         catch (ex) {
             if (ex instanceof PostgresError && ex.code === "42P01") { // undefined_table
+                return new Map();
+            }
+            throw ex;
+        }
+    }
+
+    private async recordMigration(version: number, appliedTs: number|string|null, sql: postgres.Sql) {
+        if (!this.opts.autocreateSchemaTable) {
+            return;
+        }
+        await sql`INSERT INTO ${sql(this.migrationsTable)} (version, checksum, applied_ts)
+            VALUES (${version}, ${this.migrations[version - 1].checksum ?? null}, ${appliedTs})
+            ON CONFLICT (version) DO UPDATE SET checksum = EXCLUDED.checksum, applied_ts = EXCLUDED.applied_ts;`;
+    }
+
+    private async removeMigrationRecord(version: number, sql: postgres.Sql) {
+        if (!this.opts.autocreateSchemaTable) {
+            return;
+        }
+        await sql`DELETE FROM ${sql(this.migrationsTable)} WHERE version = ${version};`;
+    }
+
+    /**
+     * Get the current schema version.
+     * @param sql The connection or transaction to read the version with.
+     * @returns The current schema version, or `-1` if no schema table is found.
+     */
+    protected async getSchemaVersion(sql = this.sql): Promise<number> {
+        try {
+            // Check for the table first, as a failed query would abort a transaction.
+            const [{ exists }] = await sql<{exists: boolean}[]>`
+                SELECT to_regclass(quote_ident(${this.schemaTable})) IS NOT NULL AS exists;`;
+            if (!exists) {
                 log.warn("Schema table could not be found");
                 return -1;
             }
+            const result = await sql<{version: number}[]>`SELECT version FROM ${sql(this.schemaTable)};`;
+            return result[0].version;
+        }
+        catch (ex) {
             log.error("Failed to get schema version", ex);
         }
         throw Error("Couldn't fetch schema version");
     }
 }
+
+function isTransactional(migration?: SchemaMigration) {
+    return migration?.transactional !== false;
+}
+
+/**
+ * Let migrations run within a transaction call `sql.begin`, which then creates a savepoint
+ * in that transaction rather than starting a new one on another connection.
+ */
+function asMigrationSql(tx: postgres.TransactionSql): postgres.Sql {
+    return new Proxy(tx, {
+        get: (target, prop, receiver) => {
+            if (prop === "begin") {
+                type Callback = (sql: postgres.TransactionSql) => unknown;
+                return (...args: unknown[]) => target.savepoint(args[args.length - 1] as Callback);
+            }
+            return Reflect.get(target, prop, receiver);
+        },
+    }) as unknown as postgres.Sql;
+}
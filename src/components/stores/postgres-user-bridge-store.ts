@@ -0,0 +1,257 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { JSONValue } from "postgres";
+import { PostgresStore, PostgresStoreOpts, SchemaMigration } from "./postgres-store";
+import { UserStore } from "./interfaces";
+import { MatrixUser } from "../../models/users/matrix";
+import { RemoteUser } from "../../models/users/remote";
+
+const schemas: SchemaMigration[] = [
+    {
+        up: async (sql) => {
+            await sql.begin(s => [
+                s`CREATE TABLE matrix_users (
+                    id TEXT PRIMARY KEY,
+                    data JSONB NOT NULL DEFAULT '{}'
+                );`,
+                s`CREATE TABLE remote_users (
+                    id TEXT PRIMARY KEY,
+                    data JSONB NOT NULL DEFAULT '{}'
+                );`,
+                s`CREATE TABLE user_links (
+                    matrix_id TEXT NOT NULL REFERENCES matrix_users (id) ON DELETE CASCADE,
+                    remote_id TEXT NOT NULL REFERENCES remote_users (id) ON DELETE CASCADE,
+                    PRIMARY KEY (matrix_id, remote_id)
+                );`,
+                s`CREATE INDEX user_links_remote_id ON user_links (remote_id);`,
+                s`CREATE INDEX matrix_users_localpart ON matrix_users ((data->>'localpart'));`,
+            ]);
+        },
+        checksum: "1",
+    },
+];
+
+interface UserRow {
+    id: string;
+    data: Record<string, unknown>;
+}
+
+/**
+ * A PostgreSQL implementation of the {@link UserBridgeStore} API. Matrix and remote users
+ * are stored in separate tables with their data as JSONB, and links between them are stored
+ * in a `user_links` table.
+ *
+ * Data queries (`getByMatrixData`, `getByRemoteData`) support the same dot notation
+ * for nested fields as the NeDB store.
+ */
+export class PostgresUserBridgeStore extends PostgresStore implements UserStore {
+    /**
+     * Construct a store suitable for user bridging information.
+     * @param opts Options to supply to the PostgreSQL client, such as `url`.
+     */
+    constructor(opts: PostgresStoreOpts) {
+        super(schemas, { schemaTable: "user_store_schema", ...opts });
+    }
+
+    /**
+     * Retrieve a list of corresponding remote users for the given matrix user ID.
+     * @param userId The Matrix user ID
+     * @return Resolves to a list of Remote users.
+     */
+    public async getRemoteUsersFromMatrixId(userId: string): Promise<RemoteUser[]> {
+        const rows = await this.sql<UserRow[]>`SELECT remote_users.* FROM remote_users
+            INNER JOIN user_links ON user_links.remote_id = remote_users.id
+            WHERE user_links.matrix_id = ${userId};`;
+        return rows.map(row => new RemoteUser(row.id, row.data));
+    }
+
+    /**
+     * Retrieve a list of corresponding matrix users for the given remote ID.
+     * @param remoteId The Remote ID
+     * @return Resolves to a list of Matrix users.
+     */
+    public async getMatrixUsersFromRemoteId(remoteId: string): Promise<MatrixUser[]> {
+        const rows = await this.sql<UserRow[]>`SELECT matrix_users.* FROM matrix_users
+            INNER JOIN user_links ON user_links.matrix_id = matrix_users.id
+            WHERE user_links.remote_id = ${remoteId};`;
+        return rows.map(row => new MatrixUser(row.id, row.data));
+    }
+
+    /**
+     * Retrieve a MatrixUser based on their user ID localpart. If there is more than
+     * one match (e.g. same localpart, different domains) then this will return an
+     * arbitrary matching user.
+     * @param localpart The user localpart
+     * @return Resolves to a MatrixUser or null.
+     */
+    public async getByMatrixLocalpart(localpart: string): Promise<MatrixUser|null> {
+        const [row] = await this.sql<UserRow[]>`SELECT * FROM matrix_users
+            WHERE data->>'localpart' = ${localpart} LIMIT 1;`;
+        return row ? new MatrixUser(row.id, row.data) : null;
+    }
+
+    /**
+     * Get a matrix user by their user ID.
+     * @param userId The user_id
+     * @return Resolves to the user or null if they do not exist.
+     */
+    public async getMatrixUser(userId: string): Promise<MatrixUser|null> {
+        const [row] = await this.sql<UserRow[]>`SELECT * FROM matrix_users WHERE id = ${userId};`;
+        return row ? new MatrixUser(row.id, row.data) : null;
+    }
+
+    /**
+     * Store a Matrix user. If they already exist, they will be updated. Equivalence
+     * is determined by their user ID.
+     * @param matrixUser The matrix user
+     */
+    public async setMatrixUser(matrixUser: MatrixUser): Promise<void> {
+        await this.sql`INSERT INTO matrix_users (id, data)
+            VALUES (${matrixUser.getId()}, ${this.sql.json(matrixUser.serialize() as JSONValue)})
+            ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data;`;
+    }
+
+    /**
+     * Get a remote user by their remote ID.
+     * @param id The remote ID
+     * @return Resolves to the user or null if they do not exist.
+     */
+    public async getRemoteUser(id: string): Promise<RemoteUser|null> {
+        const [row] = await this.sql<UserRow[]>`SELECT * FROM remote_users WHERE id = ${id};`;
+        return row ? new RemoteUser(row.id, row.data) : null;
+    }
+
+    /**
+     * Store a Remote user. If they already exist, they will be updated. Equivalence
+     * is determined by the Remote ID.
+     * @param remoteUser The remote user
+     */
+    public async setRemoteUser(remoteUser: RemoteUser): Promise<void> {
+        await this.sql`INSERT INTO remote_users (id, data)
+            VALUES (${remoteUser.getId()}, ${this.sql.json(remoteUser.serialize() as JSONValue)})
+            ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data;`;
+    }
+
+    /**
+     * Get remote users by some data about them, previously stored via the set
+     * method on the Remote user.
+     * @param dataQuery The keys and matching values the remote users share.
+     * This should use dot notation for nested types. For example:
+     * <code> { "topLevel.midLevel.leaf": 42, "otherTopLevel": "foo" } </code>
+     * @return Resolves to a possibly empty list of RemoteUsers.
+     * @throws If dataQuery isn't an object.
+     */
+    public async getByRemoteData(dataQuery: Record<string, unknown>): Promise<RemoteUser[]> {
+        if (typeof dataQuery !== "object") {
+            throw new Error("Data query must be an object.");
+        }
+        const rows = await this.sql<UserRow[]>`SELECT * FROM remote_users
+            WHERE ${this.jsonDataCondition("data", dataQuery)};`;
+        return rows.map(row => new RemoteUser(row.id, row.data));
+    }
+
+    /**
+     * Get Matrix users by some data about them, previously stored via the set
+     * method on the Matrix user.
+     * @param dataQuery The keys and matching values the matrix users share.
+     * This should use dot notation for nested types. For example:
+     * <code> { "topLevel.midLevel.leaf": 42, "otherTopLevel": "foo" } </code>
+     * @return Resolves to a possibly empty list of MatrixUsers.
+     * @throws If dataQuery isn't an object.
+     */
+    public async getByMatrixData(dataQuery: Record<string, unknown>): Promise<MatrixUser[]> {
+        if (typeof dataQuery !== "object") {
+            throw new Error("Data query must be an object.");
+        }
+        const rows = await this.sql<UserRow[]>`SELECT * FROM matrix_users
+            WHERE ${this.jsonDataCondition("data", dataQuery)};`;
+        return rows.map(row => new MatrixUser(row.id, row.data));
+    }
+
+    /**
+     * Create a link between a matrix and remote user. If either user does not exist,
+     * they will be inserted prior to linking.
+     * @param matrixUser The matrix user
+     * @param remoteUser The remote user
+     */
+    public async linkUsers(matrixUser: MatrixUser, remoteUser: RemoteUser): Promise<void> {
+        await this.transaction(s => [
+            s`INSERT INTO remote_users (id, data)
+                VALUES (${remoteUser.getId()}, ${s.json(remoteUser.serialize() as JSONValue)})
+                ON CONFLICT (id) DO NOTHING;`,
+            s`INSERT INTO matrix_users (id, data)
+                VALUES (${matrixUser.getId()}, ${s.json(matrixUser.serialize() as JSONValue)})
+                ON CONFLICT (id) DO NOTHING;`,
+            s`INSERT INTO user_links (matrix_id, remote_id)
+                VALUES (${matrixUser.getId()}, ${remoteUser.getId()})
+                ON CONFLICT DO NOTHING;`,
+        ]);
+    }
+
+    /**
+     * Delete a link between a matrix user and a remote user.
+     * @param matrixUser The matrix user
+     * @param remoteUser The remote user
+     * @return Resolves to the number of entries removed.
+     */
+    public unlinkUsers(matrixUser: MatrixUser, remoteUser: RemoteUser): Promise<number> {
+        return this.unlinkUserIds(matrixUser.getId(), remoteUser.getId());
+    }
+
+    /**
+     * Delete a link between a matrix user ID and a remote user ID.
+     * @param matrixUserId The matrix user ID
+     * @param remoteUserId The remote user ID
+     * @return Resolves to the number of entries removed.
+     */
+    public async unlinkUserIds(matrixUserId: string, remoteUserId: string): Promise<number> {
+        const result = await this.sql`DELETE FROM user_links
+            WHERE matrix_id = ${matrixUserId} AND remote_id = ${remoteUserId};`;
+        return result.count;
+    }
+
+    /**
+     * Retrieve a list of matrix user IDs linked to this remote ID.
+     * @param remoteId The remote ID
+     * @return A list of user IDs.
+     */
+    public async getMatrixLinks(remoteId: string): Promise<string[]> {
+        const rows = await this.sql<{matrix_id: string}[]>`SELECT matrix_id FROM user_links
+            WHERE remote_id = ${remoteId};`;
+        return rows.map(row => row.matrix_id);
+    }
+
+    /**
+     * Retrieve a list of remote IDs linked to this matrix user ID.
+     * @param matrixId The matrix user ID
+     * @return A list of remote IDs.
+     */
+    public async getRemoteLinks(matrixId: string): Promise<string[]> {
+        const rows = await this.sql<{remote_id: string}[]>`SELECT remote_id FROM user_links
+            WHERE matrix_id = ${matrixId};`;
+        return rows.map(row => row.remote_id);
+    }
+
+    /**
+     * Count the Matrix users, remote users and links between them in the store.
+     */
+    public async countRecords(): Promise<number> {
+        const [{ count }] = await this.sql<{count: string}[]>`SELECT
+            (SELECT COUNT(*) FROM matrix_users) + (SELECT COUNT(*) FROM remote_users) +
+            (SELECT COUNT(*) FROM user_links) AS count;`;
+        return Number(count);
+    }
+}
@@ -0,0 +1,121 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import type postgres from "postgres";
+import { EventStore, RoomStore, UserStore } from "./interfaces";
+import { PostgresStore } from "./postgres-store";
+import { MemoryStore } from "./memory-store";
+import { BridgeStore } from "../bridge-store";
+import { Logger } from "../logging";
+
+const log = new Logger("StoreTransaction");
+
+/**
+ * A list of functions which undo the writes made during a transaction, in the order
+ * the writes were made.
+ */
+export type StoreJournal = (() => Promise<void>|void)[];
+
+export interface TransactionStores {
+    roomStore?: RoomStore;
+    userStore?: UserStore;
+    eventStore?: EventStore;
+}
+
+/**
+ * Run a unit of work spanning several bridge stores, so that its writes either all apply
+ * or are all rolled back if it throws.
+ *
+ * The function is given copies of the stores which are bound to the transaction, and must
+ * make all of its writes through those. How the writes are rolled back depends on the store:
+ * - The PostgreSQL stores run within a single database transaction, so are atomic. They must
+ *   all be connected to the same database.
+ * - The NeDB and in-memory stores record a journal of their writes, which is undone in reverse
+ *   order on failure. This is best-effort: a crash will leave any writes in place, and concurrent
+ *   writes to the same records outside of the transaction may be overwritten on rollback.
+ *
+ * Other store implementations cannot take part in a transaction.
+ *
+ * @example
+ * await runStoreTransaction({ roomStore, userStore }, async (tx) => {
+ *     await tx.roomStore?.linkRooms(matrixRoom, remoteRoom);
+ *     await tx.userStore?.linkUsers(matrixUser, remoteUser);
+ * });
+ * @param stores The stores which take part in the transaction.
+ * @param fn The unit of work.
+ * @returns The result of `fn`.
+ * @throws If any store cannot take part in a transaction, or the error thrown by `fn`.
+ */
+export async function runStoreTransaction<T>(
+    stores: TransactionStores,
+    fn: (stores: TransactionStores) => Promise<T>,
+): Promise<T> {
+    const pgStores: PostgresStore[] = [];
+    for (const store of [stores.roomStore, stores.userStore, stores.eventStore]) {
+        if (store instanceof PostgresStore) {
+            pgStores.push(store);
+        }
+        else if (store && !(store instanceof BridgeStore || store instanceof MemoryStore)) {
+            throw Error(`${store.constructor.name} does not support transactions`);
+        }
+    }
+    const [primary, ...others] = pgStores;
+    if (others.some((store) => !primary.isSameDatabase(store))) {
+        throw Error("All PostgreSQL stores in a transaction must use the same database");
+    }
+
+    const journal: StoreJournal = [];
+    const bindStores = (sql?: postgres.TransactionSql): TransactionStores => ({
+        roomStore: stores.roomStore && bindStore(stores.roomStore, journal, sql),
+        userStore: stores.userStore && bindStore(stores.userStore, journal, sql),
+        eventStore: stores.eventStore && bindStore(stores.eventStore, journal, sql),
+    });
+    try {
+        if (!primary) {
+            return await fn(bindStores());
+        }
+        // If the commit fails, the journal must be rolled back too.
+        return await primary.transaction((sql) => fn(bindStores(sql))) as T;
+    }
+    catch (ex) {
+        await rollback(journal);
+        throw ex;
+    }
+}
+
+function bindStore<S extends object>(store: S, journal: StoreJournal, sql?: postgres.TransactionSql): S {
+    if (store instanceof PostgresStore && sql) {
+        return store.bindToTransaction(sql);
+    }
+    if (store instanceof BridgeStore || store instanceof MemoryStore) {
+        return store.withJournal(journal);
+    }
+    throw Error(`${store.constructor.name} does not support transactions`);
+}
+
+async function rollback(journal: StoreJournal) {
+    if (journal.length === 0) {
+        return;
+    }
+    log.info(`Rolling back ${journal.length} write(s)`);
+    for (const undo of journal.reverse()) {
+        try {
+            await undo();
+        }
+        catch (ex) {
+            log.warn("Failed to roll back a write", ex);
+        }
+    }
+}
@@ -35,9 +35,10 @@ limitations under the License.
  */
 import type Datastore from "nedb";
 import { BridgeStore } from "./bridge-store";
+import { ActivityStore } from "./stores/interfaces";
 import { UserActivity, UserActivitySet } from "./user-activity";
 
-export class UserActivityStore extends BridgeStore {
+export class UserActivityStore extends BridgeStore implements ActivityStore {
     /**
      * Construct a store suitable for user bridging information.
      * @param db The connected NEDB database instance
@@ -53,10 +53,11 @@ limitations under the License.
  */
 import type Datastore from "nedb";
 import { BridgeStore } from "./bridge-store";
+import { UserStore } from "./stores/interfaces";
 import { MatrixUser } from "../models/users/matrix";
 import { RemoteUser } from "../models/users/remote";
 
-export class UserBridgeStore extends BridgeStore {
+export class UserBridgeStore extends BridgeStore implements UserStore {
     /**
      * Construct a store suitable for user bridging information.
      * @param db The connected NEDB database instance
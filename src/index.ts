@@ -21,6 +21,8 @@ export * from "./components/request";
 export * from "./components/request-factory";
 
 export * from "./components/encryption";
+export * from "./components/native-encryption";
+export * from "./components/encrypted-media";
 export * from "./components/encrypted-intent";
 export * from "./components/intent";
 export * from "./components/room-link-validator";
@@ -35,11 +37,24 @@ export * from "./components/config-validator";
 
 // Store
 export * from "./components/bridge-store";
+export * from "./components/stores/interfaces";
 export * from "./components/user-bridge-store";
 export * from "./components/user-activity-store";
+export * from "./components/client-encryption-store";
 export * from "./components/room-bridge-store";
 export * from "./components/event-bridge-store";
+export * from "./components/store-migrator";
 export * from "./components/stores/postgres-store";
+export * from "./components/stores/postgres-room-bridge-store";
+export * from "./components/stores/postgres-user-bridge-store";
+export * from "./components/stores/postgres-event-bridge-store";
+export * from "./components/stores/postgres-client-encryption-store";
+export * from "./components/stores/memory-store";
+export * from "./components/stores/memory-room-bridge-store";
+export * from "./components/stores/memory-user-bridge-store";
+export * from "./components/stores/memory-event-bridge-store";
+export * from "./components/stores/memory-user-activity-store";
+export * from "./components/stores/store-transaction";
 
 // Models
 export * from "./models/rooms/matrix";
@@ -52,6 +67,7 @@ export * from "./bridge";
 
 export * from "matrix-appservice";
 export * from "./components/prometheusmetrics";
+export * from "./components/health-checker";
 export * from "./components/agecounters";
 export * from "./components/membership-cache";
 export * from "./components/membership-queue";
@@ -1,16 +1,28 @@
 import { Application, default as express, NextFunction, Request, Response, Router, Router as router } from "express";
 import { ProvisioningStore } from "./store";
 import { Server } from "http";
-import { ErrCode, IApiError, ProvisioningRequest, ApiError } from ".";
+import { ErrCode, IApiError, ApiError } from "./errors";
+import { Methods, ProvisioningRequest } from "./request";
 import { URL } from "url";
 import { MatrixHostResolver } from "../utils/matrix-host-resolver";
 import { isIP } from "net";
 import { promises as dns } from "dns";
-import ratelimiter, { Options as RatelimitOptions } from "express-rate-limit";
-import { Methods } from "./request";
+import ratelimiter, { Options as RatelimitOptions, RateLimitRequestHandler, Store } from "express-rate-limit";
+import { compileRouteSchemas, RouteSchemas, SchemaRequest } from "./schema";
+import { buildOpenApiDocument, OpenApiInfo, ProvisioningRouteInfo } from "./openapi";
+import { createCorsMiddleware, ProvisioningCorsOpts } from "./cors";
+import { ProvisioningAuditEntry, ProvisioningAuditSink } from "./audit";
 import { Logger } from "..";
-import { randomUUID } from "crypto";
+import { createHash, randomUUID } from "crypto";
 import IPCIDR from "ip-cidr";
+import LRU from "@alloc/quick-lru";
+import type { HealthChecker } from "../components/health-checker";
+import type { Intent, PowerLevelContent } from "../components/intent";
+import type { RoomLinkValidator } from "../components/room-link-validator";
+import type { RoomStore } from "../components/stores/interfaces";
+import type { RoomBridgeStoreEntry } from "../components/room-bridge-store";
+import type { RemoteRoom } from "../models/rooms/remote";
+import { MatrixRoom } from "../models/rooms/matrix";
 
 // Borrowed from
 // https://github.com/matrix-org/synapse/blob/91221b696156e9f1f9deecd425ae58af03ebb5d3/docs/sample_config.yaml#L215
@@ -38,9 +50,46 @@ export const DefaultDisallowedIpRanges = [
 
 const log = new Logger("ProvisioningApi");
 
+type RouteHandler = (req: ProvisioningRequest, res: Response, next?: NextFunction) => void|Promise<void>;
+
 interface ExpRequestProvisioner extends Request {
     matrixWidgetToken?: string;
     matrixUserId: string|null;
+    matrixTokenScope?: CompiledTokenScope;
+}
+
+/**
+ * A provisioning token which may only be used for some routes, users or rooms.
+ */
+export interface ProvisioningTokenScope {
+    /**
+     * A unique name for the token, used in logs and to revoke it.
+     */
+    name: string;
+    token: string;
+    /**
+     * Routes the token may be used for, as the method and path given to {@link ProvisioningApi#addRoute},
+     * such as `get /v1/session`. `*` matches any characters, so `* /v1/link*` allows any link route.
+     * If not given, the token may be used for any route.
+     */
+    routes?: string[];
+    /**
+     * Users the token may act as, where `*` matches any characters, such as `@*:example.com`.
+     * If given, requests must name a user in their body. If not given, the token may act as any user.
+     */
+    userIds?: string[];
+    /**
+     * Rooms the token may act on. If given, requests must have a `roomId` in their params, query or body.
+     * If not given, the token may act on any room.
+     */
+    roomIds?: string[];
+}
+
+interface CompiledTokenScope {
+    name: string;
+    routes?: RegExp[];
+    userIds?: RegExp[];
+    roomIds?: string[];
 }
 
 export interface ExchangeOpenAPIRequestBody {
@@ -51,6 +100,144 @@ export interface ExchangeOpenAPIRequestBody {
 export interface ExchangeOpenAPIResponseBody {
     token: string;
     userId: string;
+    expiresTs: number;
+}
+
+export interface RefreshSessionResponseBody extends ExchangeOpenAPIResponseBody {
+    /**
+     * The session cannot be refreshed beyond this time, after which the widget must
+     * exchange a new OpenID token.
+     */
+    maxExpiresTs: number;
+}
+
+export interface SessionInfo {
+    /**
+     * An opaque identifier for the session, which may be used to revoke it.
+     */
+    id: string;
+    createdTs?: number;
+    expiresTs: number;
+    userAgent?: string;
+    ip?: string;
+    /**
+     * Is this the session which made the request.
+     */
+    current: boolean;
+}
+
+export interface GetSessionsResponseBody {
+    sessions: SessionInfo[];
+}
+
+/**
+ * An event published to a user through the `/v1/events` stream. A stream opened with a
+ * Last-Event-ID which was not issued since the bridge started, for instance because the
+ * bridge restarted or its clock went backwards, starts with a `reset` event instead of
+ * replaying events. Clients should then refetch any state they rely on.
+ */
+export interface ProvisioningEvent {
+    id: number;
+    /**
+     * The type of event, such as `link_created`.
+     */
+    type: string;
+    data: unknown;
+}
+
+export interface EventStreamTicketResponseBody {
+    /**
+     * A single-use ticket to pass as the `ticket` query parameter of `/v1/events`, for
+     * clients such as `EventSource` which cannot set an Authorization header.
+     */
+    ticket: string;
+    expiresTs: number;
+}
+
+export interface RoomLinkInfo {
+    /**
+     * The ID of the link in the room store.
+     */
+    id: string;
+    roomId: string;
+    remoteId: string;
+    remote: Record<string, unknown>;
+    data: Record<string, unknown>;
+}
+
+export interface GetLinksResponseBody {
+    links: RoomLinkInfo[];
+}
+
+export interface PutLinkRequestBody {
+    roomId: string;
+    /**
+     * Bridge specific details of the remote room, passed to {@link RoomLinkController#linkRoom}.
+     */
+    remote: Record<string, unknown>;
+}
+
+export interface DeleteLinkRequestBody {
+    roomId: string;
+    linkId: string;
+}
+
+/**
+ * Handles the remote side of the link routes. Throw an {@link ApiError} from
+ * either function to reject the request.
+ */
+export interface RoomLinkController {
+    /**
+     * Prepare the remote side of a new link, such as by joining the remote channel.
+     * @param req The request.
+     * @param roomId The Matrix room to link.
+     * @param remote Bridge specific details of the remote room, from the request body.
+     * @returns The remote room to link, and any data to store with the link.
+     */
+    linkRoom(req: ProvisioningRequest, roomId: string, remote: Record<string, unknown>):
+        Promise<{remoteRoom: RemoteRoom, data?: Record<string, unknown>}>;
+    /**
+     * Tear down the remote side of a link, before it is removed from the store.
+     */
+    unlinkRoom?(req: ProvisioningRequest, entry: RoomBridgeStoreEntry): Promise<void>;
+}
+
+export interface ProvisioningLinkOpts {
+    /**
+     * The store that links are persisted to.
+     */
+    roomStore: RoomStore;
+    /**
+     * An intent used to read the power levels of rooms, usually the bot's intent.
+     */
+    intent: Intent;
+    controller: RoomLinkController;
+    /**
+     * If given, rooms must pass validation before they may be linked.
+     */
+    validator?: RoomLinkValidator;
+    /**
+     * The power level a user needs to link or unlink a room. Defaults to the
+     * `state_default` of the room.
+     */
+    requiredPowerLevel?: number;
+}
+
+export interface ProvisioningRatelimitOpts extends Partial<RatelimitOptions> {
+    /**
+     * Limit authenticated requests per Matrix user rather than per IP address, which is useful
+     * when the API is behind a reverse proxy. Requests which fail authentication are still
+     * limited per IP address.
+     */
+    perUser?: boolean;
+    /**
+     * Create a counter store for a rate limiter, such as one backed by a shared database so that
+     * limits hold across replicas. Called once for each limiter, with a name unique to that limiter
+     * which may be used to prefix keys. Defaults to storing counters in memory.
+     *
+     * If `store` is given, it is only used by the API-wide limiter.
+     */
+    createStore?: (name: string) => Store;
 }
 
 export interface ProvisioningApiOpts {
@@ -76,17 +263,27 @@ export interface ProvisioningApiOpts {
      */
     disallowedIpRanges?: string[];
     /**
-     * Secret token for provisioning requests
+     * Secret token for provisioning requests, which may be used for any route as any user.
+     * @deprecated Use `provisioningTokens`, which may be restricted.
      */
     provisioningToken?: string;
+    /**
+     * Secret tokens for provisioning requests, each of which may be restricted to some
+     * routes, users and rooms.
+     */
+    provisioningTokens?: ProvisioningTokenScope[];
     /**
      * For widget tokens, use this prefix.
      */
     widgetTokenPrefix?: string;
     /**
-     * How long should a widget token last for?
+     * How long should a widget token last for? Refreshing a token extends it by this long.
      */
     widgetTokenLifetimeMs?: number;
+    /**
+     * How long may a widget session be refreshed for, from when it was created? Defaults to a week.
+     */
+    widgetTokenMaxLifetimeMs?: number;
     /**
      * Where are the files stored for the widget frontend. If undefined, do not host a frontend.
      */
@@ -108,12 +305,220 @@ export interface ProvisioningApiOpts {
      * Options for ratelimiting requests to the api server. Does not affect
      * static content loading.
      */
-    ratelimit?: boolean|Partial<RatelimitOptions>;
+    ratelimit?: boolean|ProvisioningRatelimitOpts;
+
+    /**
+     * Enable the `GET /v1/links`, `PUT /v1/link` and `DELETE /v1/link` routes
+     * for linking Matrix rooms to remote rooms.
+     */
+    links?: ProvisioningLinkOpts;
+
+    /**
+     * Information about the API to include in the OpenAPI document served at `/v1/openapi.json`.
+     */
+    openApi?: OpenApiInfo;
+
+    /**
+     * Record every authenticated request to this sink. If the sink can be queried,
+     * the `GET /v1/admin/audit` route lists recent actions to provisioner tokens.
+     */
+    auditSink?: ProvisioningAuditSink;
+
+    /**
+     * Options for which origins may make cross-origin requests to the API. By default,
+     * any origin may make requests without credentials.
+     */
+    cors?: ProvisioningCorsOpts;
+
+    /**
+     * Report the health of the bridge from `/health`, and serve `/health/live` and `/health/ready`
+     * probes. Otherwise, `/health` only reports that the API is running.
+     */
+    healthChecker?: HealthChecker;
 }
 
 
+const RoomIdSchema = { type: "string", pattern: "^!" } as const;
+
+const LinkInfoSchema = {
+    type: "object",
+    properties: {
+        id: { type: "string" },
+        roomId: { type: "string" },
+        remoteId: { type: "string" },
+        remote: { type: "object" },
+        data: { type: "object" },
+    },
+    required: ["id", "roomId", "remoteId", "remote", "data"],
+} as const;
+
+const LinkRouteSchemas = {
+    get: {
+        summary: "List the remote rooms linked to a room",
+        query: { type: "object", properties: { roomId: RoomIdSchema }, required: ["roomId"] },
+        response: {
+            type: "object", properties: { links: { type: "array", items: LinkInfoSchema } }, required: ["links"],
+        },
+        errors: [ErrCode.Forbidden],
+    },
+    put: {
+        summary: "Link a room to a remote room",
+        body: {
+            type: "object",
+            properties: { roomId: RoomIdSchema, remote: { type: "object" } },
+            required: ["roomId", "remote"],
+        },
+        response: LinkInfoSchema,
+        errors: [ErrCode.Forbidden],
+    },
+    delete: {
+        summary: "Unlink a room from a remote room",
+        body: {
+            type: "object",
+            properties: { roomId: RoomIdSchema, linkId: { type: "string" } },
+            required: ["roomId", "linkId"],
+        },
+        errors: [ErrCode.Forbidden, ErrCode.NotFound],
+    },
+} as const;
+
+const SessionInfoSchema = {
+    type: "object",
+    properties: {
+        id: { type: "string" },
+        createdTs: { type: "integer" },
+        expiresTs: { type: "integer" },
+        userAgent: { type: "string" },
+        ip: { type: "string" },
+        current: { type: "boolean" },
+    },
+    required: ["id", "expiresTs", "current"],
+} as const;
+
+const SessionRouteSchemas = {
+    get: {
+        summary: "Get the user and type of the current session",
+        response: {
+            type: "object",
+            properties: { userId: { type: "string" }, type: { enum: ["widget", "provisioner"] } },
+            required: ["type"],
+        },
+    },
+    delete: {
+        summary: "Log out of the current widget session",
+        errors: [ErrCode.UnsupportedOperation, ErrCode.Unknown],
+    },
+    deleteAll: {
+        summary: "Log out of every widget session of the user",
+        errors: [ErrCode.UnsupportedOperation, ErrCode.Unknown],
+    },
+    list: {
+        summary: "List the widget sessions of the user",
+        response: {
+            type: "object",
+            properties: { sessions: { type: "array", items: SessionInfoSchema } },
+            required: ["sessions"],
+        },
+        errors: [ErrCode.UnsupportedOperation],
+    },
+    deleteById: {
+        summary: "Log out of a widget session of the user",
+        errors: [ErrCode.UnsupportedOperation, ErrCode.NotFound, ErrCode.Unknown],
+    },
+    refresh: {
+        summary: "Extend the current widget session",
+        description: "The session is extended by the token lifetime, up to the maximum lifetime of the session. " +
+            "If `rotate` is set, or the session cannot be extended in place, a new token replaces the current one.",
+        body: { type: "object", properties: { rotate: { type: "boolean" } } },
+        response: {
+            type: "object",
+            properties: {
+                token: { type: "string" },
+                userId: { type: "string" },
+                expiresTs: { type: "integer" },
+                maxExpiresTs: { type: "integer" },
+            },
+            required: ["token", "userId", "expiresTs", "maxExpiresTs"],
+        },
+        errors: [ErrCode.UnsupportedOperation, ErrCode.BadToken],
+    },
+} as const;
+
+const AuditRouteSchemas = {
+    summary: "List recent provisioning actions, newest first",
+    description: "Only available to provisioning tokens.",
+    query: {
+        type: "object",
+        properties: {
+            userId: { type: "string" },
+            roomId: { type: "string" },
+            limit: { type: "string", pattern: "^[0-9]+$" },
+        },
+    },
+    response: {
+        type: "object",
+        properties: { entries: { type: "array", items: { type: "object" } } },
+        required: ["entries"],
+    },
+    errors: [ErrCode.Forbidden],
+} as const;
+
+const DEFAULT_AUDIT_QUERY_LIMIT = 100;
+
+const EventStreamRouteSchemas = {
+    get: {
+        summary: "Stream events for the user",
+        description: "A text/event-stream of events published by the bridge. Reconnecting clients may send " +
+            "a Last-Event-ID header to receive any recent events they missed. If the bridge cannot tell which " +
+            "events were missed, such as after a restart, the stream starts with a `reset` event instead. " +
+            "Streams end when their session is revoked. Clients which cannot set an Authorization header, " +
+            "such as EventSource, may instead pass a ticket from `/v1/events/ticket`.",
+        query: { type: "object", properties: { ticket: { type: "string" } } },
+        errors: [ErrCode.BadValue],
+    },
+    ticket: {
+        summary: "Create a single-use ticket to open an event stream without an Authorization header",
+        response: {
+            type: "object",
+            properties: { ticket: { type: "string" }, expiresTs: { type: "integer" } },
+            required: ["ticket", "expiresTs"],
+        },
+        errors: [ErrCode.UnsupportedOperation],
+    },
+} as const;
+
+// How many recent events to keep for each user, for clients which reconnect.
+const EVENT_BUFFER_SIZE = 100;
+// Recent events are kept for users who had an event published within this time, up to EVENT_BUFFER_USERS users.
+const EVENT_REPLAY_WINDOW_MS = 5 * 60000;
+const EVENT_BUFFER_USERS = 10000;
+const EVENT_STREAM_TICKET_LIFETIME_MS = 30000;
+const EVENT_STREAM_KEEPALIVE_MS = 30000;
+const EVENT_STREAM_RETRY_MS = 5000;
+
+const ExchangeOpenIdRoute: ProvisioningRouteInfo = {
+    method: "post",
+    path: "/v1/exchange_openid",
+    authenticated: false,
+    schemas: {
+        summary: "Exchange an OpenID token for a widget token",
+        body: {
+            type: "object",
+            properties: { openIdToken: { type: "string" }, matrixServer: { type: "string" } },
+            required: ["openIdToken", "matrixServer"],
+        },
+        response: {
+            type: "object",
+            properties: { token: { type: "string" }, userId: { type: "string" }, expiresTs: { type: "integer" } },
+            required: ["token", "userId", "expiresTs"],
+        },
+        errors: [ErrCode.BadOpenID],
+    },
+};
+
 const DEFAULT_WIDGET_TOKEN_PREFIX = "br-sdk-utoken-";
 const DEFAULT_WIDGET_TOKEN_LIFETIME_MS = 24 * 60 * 60 * 1000; // One day
+const DEFAULT_WIDGET_TOKEN_MAX_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000; // One week
 
 /**
  * The provisioning API serves two classes of clients:
@@ -126,9 +531,28 @@ export class ProvisioningApi {
     protected baseRoute: Router;
     private readonly widgetTokenPrefix: string;
     private readonly widgetTokenLifetimeMs: number;
+    private readonly widgetTokenMaxLifetimeMs: number;
     private readonly wellknown = new MatrixHostResolver();
     private readonly allowedIpRanges: IPCIDR[];
     private readonly disallowedIpRanges: IPCIDR[];
+    private readonly routes: ProvisioningRouteInfo[] = [ExchangeOpenIdRoute];
+    private readonly userLimiter?: RateLimitRequestHandler;
+    private readonly authFailureLimiter?: RateLimitRequestHandler;
+    private readonly provisioningTokens = new Map<string, CompiledTokenScope>();
+    // User ID -> stream -> the widget token which opened it.
+    private readonly eventStreams = new Map<string, Map<Response, string|undefined>>();
+    private readonly recentEvents = new LRU<string, ProvisioningEvent[]>({
+        maxSize: EVENT_BUFFER_USERS,
+        maxAge: EVENT_REPLAY_WINDOW_MS,
+    });
+    // Ticket -> widget token.
+    private readonly eventStreamTickets = new LRU<string, string>({
+        maxSize: EVENT_BUFFER_USERS,
+        maxAge: EVENT_STREAM_TICKET_LIFETIME_MS,
+    });
+    // Starting from the current time means IDs usually keep increasing across restarts.
+    private readonly firstEventId = Date.now();
+    private nextEventId = this.firstEventId;
     constructor(protected store: ProvisioningStore, private opts: ProvisioningApiOpts = {}) {
         this.app = express();
         this.app.use((req, _res, next) => {
@@ -138,57 +562,92 @@ export class ProvisioningApi {
 
         this.widgetTokenPrefix = opts.widgetTokenPrefix || DEFAULT_WIDGET_TOKEN_PREFIX;
         this.widgetTokenLifetimeMs = opts.widgetTokenLifetimeMs || DEFAULT_WIDGET_TOKEN_LIFETIME_MS;
+        this.widgetTokenMaxLifetimeMs = opts.widgetTokenMaxLifetimeMs || DEFAULT_WIDGET_TOKEN_MAX_LIFETIME_MS;
         this.opts.apiPrefix = opts.apiPrefix || "/provisioning";
         this.allowedIpRanges = (opts.allowedIpRanges || []).map(ip => new IPCIDR(ip));
         this.disallowedIpRanges = (opts.disallowedIpRanges || DefaultDisallowedIpRanges).map(ip => new IPCIDR(ip));
-        this.app.get('/health', this.getHealth.bind(this));
+        if (opts.provisioningToken) {
+            this.addProvisioningToken({ name: "default", token: opts.provisioningToken });
+        }
+        opts.provisioningTokens?.forEach(scope => this.addProvisioningToken(scope));
+        if (opts.healthChecker) {
+            this.app.get('/health', opts.healthChecker.createHandler("readiness"));
+            this.app.get('/health/live', opts.healthChecker.createHandler("liveness"));
+            this.app.get('/health/ready', opts.healthChecker.createHandler("readiness"));
+        }
+        else {
+            this.app.get('/health', this.getHealth.bind(this));
+        }
 
-        const limiter = this.opts.ratelimit && ratelimiter({
-            handler: (req, _res, next, options) => {
-                next(new ApiError(
-                    "Too many requests",
-                    ErrCode.Ratelimited,
-                    429,
-                    {
-                        retry_after_ms: options.windowMs,
-                    }
-                ));
-            },
-            windowMs: 1 * 60 * 1000, // 1 minute
-            max: 30, // Limit per window
-            standardHeaders: true,
-            legacyHeaders: false,
-            ...(typeof this.opts.ratelimit === "object" ? this.opts.ratelimit : {})
+        const ratelimitOpts = typeof this.opts.ratelimit === "object" ? this.opts.ratelimit : {};
+        const limiter = this.opts.ratelimit && this.createLimiter("ip", {
+            // Requests which authenticated as a user are limited per user instead.
+            skip: (req, res) => (ratelimitOpts.perUser && !!(req as ExpRequestProvisioner).matrixUserId) ||
+                (ratelimitOpts.skip?.(req, res) ?? false),
         });
+        if (this.opts.ratelimit && ratelimitOpts.perUser) {
+            this.userLimiter = this.createLimiter("user", {});
+            // Requests which fail authentication are limited per IP instead.
+            this.authFailureLimiter = this.createLimiter("auth-failure", {});
+        }
 
         this.baseRoute = router();
         if (opts.widgetFrontendLocation) {
             this.baseRoute.use('/v1/static', express.static(opts.widgetFrontendLocation));
         }
 
-        if (limiter) {
+        // Before the limiter, so that ratelimited responses are readable by browsers.
+        this.baseRoute.use(createCorsMiddleware(opts.cors));
+
+        // When limiting per user, authenticated requests can only skip the IP limiter once
+        // authenticated, so it is applied to each unsecured route and again after authentication.
+        const unsecuredLimiters = limiter && ratelimitOpts.perUser ? [limiter] : [];
+        if (limiter && !ratelimitOpts.perUser) {
             this.baseRoute.use(limiter);
         }
 
-        this.baseRoute.use((req: express.Request, res: express.Response, next: NextFunction) => {
-            res.header('Access-Control-Allow-Origin', '*');
-            res.header('Access-Control-Allow-Methods', 'GET,PUT,POST,DELETE');
-            next();
-        });
-
         this.baseRoute.use(express.json());
         // Unsecured requests
         this.baseRoute.post(
             `/v1/exchange_openid`,
-            (req, res, next) => this.postExchangeOpenId(req, res).catch(ex => next(ex))
+            ...unsecuredLimiters,
+            (req: Request, res: Response, next: NextFunction) => this.postExchangeOpenId(req, res).catch(ex => next(ex))
         );
+        this.baseRoute.get("/v1/openapi.json", ...unsecuredLimiters, (_req: Request, res: Response) => {
+            res.send(this.getOpenApiDocument());
+        });
 
         // Secure requests
         // addRoute ensures all successful requests are of type ProvisioningRequest
-        this.baseRoute.use((req, res, next) => this.authenticateRequest(req, res, next).catch(ex => next([ex, req])));
-        this.addRoute("get", "/v1/session", this.getSession.bind(this));
-        this.addRoute("delete", "/v1/session", this.deleteSession.bind(this));
-        this.addRoute("delete", "/v1/session/all", this.deleteAllSessions.bind(this));
+        this.baseRoute.use((req, res, next) => this.authenticateRequest(req, res, next).catch(ex => {
+            if (this.authFailureLimiter) {
+                this.authFailureLimiter(req, res, (err?: unknown) => next(err ?? [ex, req]));
+                return;
+            }
+            next([ex, req]);
+        }));
+        if (limiter && this.userLimiter) {
+            // Provisioning tokens may not name a user, in which case the IP limiter still applies.
+            this.baseRoute.use(limiter, this.userLimiter);
+        }
+        this.addRoute("get", "/v1/session", SessionRouteSchemas.get, this.getSession.bind(this));
+        this.addRoute("delete", "/v1/session", SessionRouteSchemas.delete, this.deleteSession.bind(this));
+        this.addRoute("delete", "/v1/session/all", SessionRouteSchemas.deleteAll, this.deleteAllSessions.bind(this));
+        this.addRoute("post", "/v1/session/refresh", SessionRouteSchemas.refresh, this.refreshSession.bind(this));
+        this.addRoute("get", "/v1/sessions", SessionRouteSchemas.list, this.getSessions.bind(this));
+        this.addRoute("get", "/v1/events", EventStreamRouteSchemas.get, this.getEventStream.bind(this));
+        this.addRoute(
+            "post", "/v1/events/ticket", EventStreamRouteSchemas.ticket, this.postEventStreamTicket.bind(this),
+        );
+        this.addRoute("delete", "/v1/sessions/:id", SessionRouteSchemas.deleteById, this.deleteSessionById.bind(this));
+        if (opts.links) {
+            this.addRoute("get", "/v1/links", LinkRouteSchemas.get, this.getLinks.bind(this));
+            this.addRoute("put", "/v1/link", LinkRouteSchemas.put, this.putLink.bind(this));
+            this.addRoute("delete", "/v1/link", LinkRouteSchemas.delete, this.deleteLink.bind(this));
+        }
+        if (opts.auditSink?.query) {
+            this.addRoute("get", "/v1/admin/audit", AuditRouteSchemas, this.getAuditEntries.bind(this));
+        }
         this.baseRoute.use(this.onError);
 
         if (this.opts.expressApp) {
@@ -211,15 +670,125 @@ export class ProvisioningApi {
     }
 
     public close(): Promise<void> {
+        // Open event streams would otherwise stop the server from closing.
+        this.eventStreams.forEach(streams => streams.forEach((_token, stream) => stream.end()));
+        this.eventStreams.clear();
         return new Promise((res, rej) => this.server?.close(e => e ? rej(e) : res()));
     }
 
+    /**
+     * Publish an event to a user, through any `/v1/events` streams they have open. Recent
+     * events are kept in memory for a few minutes so that clients which reconnect do not miss them.
+     * @param userId The user to send the event to.
+     * @param type The type of event, such as `link_created`.
+     * @param data Data for the event, which must be serializable as JSON.
+     * @returns The published event.
+     */
+    public publishEvent(userId: string, type: string, data: unknown = {}): ProvisioningEvent {
+        const event: ProvisioningEvent = { id: this.nextEventId++, type, data };
+        const recent = this.recentEvents.get(userId) ?? [];
+        recent.push(event);
+        if (recent.length > EVENT_BUFFER_SIZE) {
+            recent.shift();
+        }
+        this.recentEvents.set(userId, recent);
+        this.eventStreams.get(userId)?.forEach((_token, stream) => writeEvent(stream, event));
+        return event;
+    }
+
+    /**
+     * Allow a new provisioning token to be used.
+     * @throws If a token with the same name or secret already exists.
+     */
+    public addProvisioningToken(scope: ProvisioningTokenScope): void {
+        if ([...this.provisioningTokens.values()].some(t => t.name === scope.name)) {
+            throw Error(`A provisioning token named "${scope.name}" already exists`);
+        }
+        if (this.provisioningTokens.has(scope.token)) {
+            throw Error(`Provisioning token "${scope.name}" has the same secret as another token`);
+        }
+        this.provisioningTokens.set(scope.token, {
+            name: scope.name,
+            routes: scope.routes?.map(globToRegExp),
+            userIds: scope.userIds?.map(globToRegExp),
+            roomIds: scope.roomIds,
+        });
+    }
+
+    /**
+     * Stop a provisioning token from being used. The token given by the `provisioningToken`
+     * option is named `default`.
+     * @param name The name of the token.
+     * @returns True if the token existed.
+     */
+    public revokeProvisioningToken(name: string): boolean {
+        for (const [token, scope] of this.provisioningTokens) {
+            if (scope.name === name) {
+                log.info(`Revoked provisioning token "${name}"`);
+                return this.provisioningTokens.delete(token);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get an OpenAPI 3 document describing every route of the API, including those
+     * added by {@link ProvisioningApi#addRoute}. This is also served at `/v1/openapi.json`.
+     */
+    public getOpenApiDocument(): Record<string, unknown> {
+        return buildOpenApiDocument(
+            this.routes, this.opts.apiPrefix as string, this.opts.openApi,
+            this.opts.ratelimit ? [ErrCode.Ratelimited] : [],
+        );
+    }
+
     public addRoute(
         method: Methods,
         path: string,
         handler: (req: ProvisioningRequest, res: Response, next?: NextFunction) => void|Promise<void>,
+        fnName?: string): void;
+    /**
+     * Add a route which validates requests against JSON schemas before calling the handler.
+     * Invalid requests are rejected with an {@link ApiError} using {@link ErrCode.BadValue},
+     * and the types of the request params, query and body are inferred from the schemas.
+     *
+     * @example
+     * api.addRoute("put", "/v1/bridge", {
+     *     body: { type: "object", properties: { channel: { type: "string" } }, required: ["channel"] },
+     * }, async (req, res) => {
+     *     const channel: string = req.body.channel;
+     * });
+     */
+    public addRoute<const S extends RouteSchemas>(
+        method: Methods,
+        path: string,
+        schemas: S,
+        handler: (req: SchemaRequest<S>, res: Response, next?: NextFunction) => void|Promise<void>,
+        fnName?: string): void;
+    public addRoute(
+        method: Methods,
+        path: string,
+        schemasOrHandler: RouteSchemas|RouteHandler,
+        handlerOrFnName?: RouteHandler|string,
         fnName?: string): void {
-        this.baseRoute[method](path, async (req: Express.Request, res: Response, next: NextFunction) => {
+        let handler: RouteHandler;
+        let validate: ReturnType<typeof compileRouteSchemas>|undefined;
+        if (typeof schemasOrHandler === "function") {
+            handler = schemasOrHandler;
+            fnName = handlerOrFnName as string|undefined;
+        }
+        else if (typeof handlerOrFnName === "function") {
+            handler = handlerOrFnName;
+            validate = compileRouteSchemas(schemasOrHandler);
+        }
+        else {
+            throw Error("A handler must be provided");
+        }
+        const schemas = typeof schemasOrHandler === "function" ? {} : schemasOrHandler;
+        this.routes.push({ method, path, schemas, authenticated: true });
+        const routeLimiter = schemas.ratelimit && this.createLimiter(`route:${method} ${path}`, schemas.ratelimit);
+        const middleware = routeLimiter ? [routeLimiter] : [];
+        this.baseRoute[method](path, ...middleware, async (req: Express.Request, res: Response, next: NextFunction) => {
             const expRequest = req as ExpRequestProvisioner;
             const provisioningRequest = new ProvisioningRequest(
                 expRequest,
@@ -227,11 +796,18 @@ export class ProvisioningApi {
                 expRequest.matrixWidgetToken ? "widget" : "provisioner",
                 expRequest.matrixWidgetToken,
                 fnName,
+                expRequest.matrixTokenScope?.name,
             );
             try {
+                if (expRequest.matrixTokenScope) {
+                    this.checkTokenScope(expRequest, expRequest.matrixTokenScope, method, path);
+                }
+                validate?.(expRequest);
                 await handler(provisioningRequest, res, next);
+                this.recordAudit(provisioningRequest, method, path);
             }
             catch (ex) {
+                this.recordAudit(provisioningRequest, method, path, ex);
                 // Pass to error handler.
                 next([ex, provisioningRequest]);
             }
@@ -239,11 +815,58 @@ export class ProvisioningApi {
         }, this.onError);
     }
 
+    /**
+     * Create a rate limiter which responds with an {@link ApiError}.
+     * @param name A name unique to this limiter, passed to `createStore`.
+     * @param overrides Options for this limiter, which override the API-wide options.
+     */
+    private createLimiter(name: string, overrides: Partial<RatelimitOptions>): RateLimitRequestHandler {
+        const { perUser, createStore, store, ...apiOpts } =
+            typeof this.opts.ratelimit === "object" ? this.opts.ratelimit : {} as ProvisioningRatelimitOpts;
+        return ratelimiter({
+            handler: (req, _res, next, options) => {
+                next(new ApiError(
+                    "Too many requests",
+                    ErrCode.Ratelimited,
+                    429,
+                    {
+                        retry_after_ms: options.windowMs,
+                    }
+                ));
+            },
+            windowMs: 1 * 60 * 1000, // 1 minute
+            max: 30, // Limit per window
+            standardHeaders: true,
+            legacyHeaders: false,
+            ...apiOpts,
+            ...(perUser && name !== "ip" && {
+                keyGenerator: (req: Request) => {
+                    const userId = (req as ExpRequestProvisioner).matrixUserId;
+                    return userId ? `user:${userId}` : `ip:${req.ip}`;
+                },
+            }),
+            ...(name === "ip" && store ? { store } : createStore && { store: createStore(name) }),
+            ...overrides,
+        });
+    }
+
     private async authenticateRequest(
         // Historically, user_id has been used. The bridge library supports either.
         // eslint-disable-next-line camelcase
         req: Request<unknown, unknown, {userId?: string, user_id?: string}>, res: Response, next: NextFunction) {
         const authHeader = req.header("Authorization");
+        const ticket = req.method === "GET" && req.path === "/v1/events" ? req.query.ticket : undefined;
+        if (!authHeader && typeof ticket === "string") {
+            // Tickets are single use.
+            const widgetToken = this.eventStreamTickets.get(ticket);
+            this.eventStreamTickets.delete(ticket);
+            if (!widgetToken) {
+                throw new ApiError('Ticket not found', ErrCode.BadToken);
+            }
+            await this.authenticateWidgetToken(req as ExpRequestProvisioner, widgetToken);
+            next();
+            return;
+        }
         if (!authHeader) {
             throw new ApiError('No Authorization header', ErrCode.BadToken);
         }
@@ -252,17 +875,24 @@ export class ProvisioningApi {
             throw new ApiError('Invalid Authorization header format', ErrCode.BadToken);
         }
         const requestProv = (req as ExpRequestProvisioner);
-        if (!this.opts.provisioningToken && req.body.userId) {
+        if (this.provisioningTokens.size === 0 && req.body.userId) {
             throw new ApiError('Provisioning feature disabled', ErrCode.DisabledFeature);
         }
-        if (token === this.opts.provisioningToken) {
+        const tokenScope = this.provisioningTokens.get(token);
+        if (tokenScope) {
             // Integration managers splice in the user_id in the body.
             // Sometimes it's not required though.
             requestProv.matrixUserId = req.body?.userId || req.body?.user_id || null;
             requestProv.matrixWidgetToken = undefined;
+            requestProv.matrixTokenScope = tokenScope;
             next();
             return;
         }
+        await this.authenticateWidgetToken(requestProv, token);
+        next();
+    }
+
+    private async authenticateWidgetToken(req: ExpRequestProvisioner, token: string) {
         const session = await this.store.getSessionForToken(token);
         if (!session) {
             throw new ApiError('Token not found', ErrCode.BadToken);
@@ -272,9 +902,67 @@ export class ProvisioningApi {
             throw new ApiError('Token expired', ErrCode.BadToken);
         }
 
-        requestProv.matrixUserId = session.userId;
-        requestProv.matrixWidgetToken = token;
-        next();
+        req.matrixUserId = session.userId;
+        req.matrixWidgetToken = token;
+    }
+
+    /**
+     * Check that a provisioning token may be used for a request, and log its use.
+     * @throws An {@link ApiError} if the token may not be used.
+     */
+    private checkTokenScope(req: ExpRequestProvisioner, scope: CompiledTokenScope, method: Methods, path: string) {
+        const userId = req.matrixUserId;
+        const roomId = getRequestRoomId(req);
+        log.info(`Provisioning token "${scope.name}" used for ${method} ${path}` +
+            (userId ? ` as ${userId}` : "") + (roomId ? ` in ${roomId}` : ""));
+        if (scope.routes && !scope.routes.some(r => r.test(`${method} ${path}`))) {
+            throw new ApiError("Token may not be used for this route", ErrCode.Forbidden);
+        }
+        // A scoped token must name a user or room within its scope, otherwise it could act on any.
+        if (scope.userIds && !(userId && scope.userIds.some(r => r.test(userId)))) {
+            throw new ApiError("Token may not be used for this user", ErrCode.Forbidden);
+        }
+        if (scope.roomIds && !(roomId && scope.roomIds.includes(roomId))) {
+            throw new ApiError("Token may not be used for this room", ErrCode.Forbidden);
+        }
+    }
+
+    private recordAudit(req: ProvisioningRequest, method: Methods, path: string, error?: unknown) {
+        if (!this.opts.auditSink) {
+            return;
+        }
+        const entry: ProvisioningAuditEntry = {
+            ts: Date.now(),
+            requestId: req.id,
+            userId: req.userId,
+            source: req.requestSource,
+            tokenName: req.tokenName,
+            method,
+            path,
+            fnName: req.fnName,
+            roomId: getRequestRoomId(req.expressReq),
+            outcome: error ? "failure" : "success",
+        };
+        if (error) {
+            entry.errcode = error instanceof ApiError ? error.errcode : ErrCode.Unknown;
+        }
+        // Recording should never hold up or fail the request.
+        Promise.resolve().then(() => this.opts.auditSink?.record(entry)).catch(ex => {
+            req.log.warn("Failed to record audit entry", ex);
+        });
+    }
+
+    private async getAuditEntries(req: SchemaRequest<typeof AuditRouteSchemas>, res: Response) {
+        if (req.requestSource !== "provisioner") {
+            throw new ApiError("Only provisioning tokens may read the audit log", ErrCode.Forbidden);
+        }
+        const { userId, roomId, limit } = req.query;
+        const entries = await this.opts.auditSink?.query?.({
+            userId,
+            roomId,
+            limit: limit ? parseInt(limit) : DEFAULT_AUDIT_QUERY_LIMIT,
+        });
+        res.send({ entries: entries ?? [] });
     }
 
     private getHealth(req: Request, res: Response) {
@@ -300,6 +988,9 @@ export class ProvisioningApi {
             req.log.error("Failed to delete session", ex);
             throw new ApiError("Session could not be deleted", ErrCode.Unknown);
         }
+        if (req.userId) {
+            this.closeEventStreams(req.userId, req.widgetToken);
+        }
         res.send({ok: true});
     }
 
@@ -318,6 +1009,221 @@ export class ProvisioningApi {
             req.log.error("Failed to delete all sessions", ex);
             throw new ApiError("Sessions could not be deleted", ErrCode.Unknown);
         }
+        this.closeEventStreams(req.userId);
+        res.send({ok: true});
+    }
+
+    private async refreshSession(
+        req: SchemaRequest<typeof SessionRouteSchemas.refresh>, res: Response<RefreshSessionResponseBody>) {
+        if (!req.widgetToken) {
+            throw new ApiError("Only widget sessions can be refreshed", ErrCode.UnsupportedOperation);
+        }
+        const session = await this.store.getSessionForToken(req.widgetToken);
+        if (!session) {
+            throw new ApiError("Token not found", ErrCode.BadToken);
+        }
+        // Sessions created before createdTs was stored are assumed to have had a full lifetime.
+        const createdTs = session.createdTs ?? session.expiresTs - this.widgetTokenLifetimeMs;
+        const maxExpiresTs = createdTs + this.widgetTokenMaxLifetimeMs;
+        const expiresTs = Math.max(session.expiresTs, Math.min(Date.now() + this.widgetTokenLifetimeMs, maxExpiresTs));
+        let token = session.token;
+        if (req.body?.rotate || !this.store.updateSessionExpiry) {
+            token = this.createWidgetToken();
+            await this.store.createSession({ ...session, createdTs, token, expiresTs });
+            await this.store.deleteSession(session.token);
+            // Streams opened with the old token now belong to the new one, so revoking it ends them.
+            this.eventStreams.get(session.userId)?.forEach((streamToken, stream, streams) => {
+                if (streamToken === session.token) {
+                    streams.set(stream, token);
+                }
+            });
+        }
+        else if (expiresTs !== session.expiresTs) {
+            await this.store.updateSessionExpiry(token, expiresTs);
+        }
+        res.send({ token, userId: session.userId, expiresTs, maxExpiresTs });
+    }
+
+    private getEventStream(req: ProvisioningRequest, res: Response) {
+        const userId = req.userId;
+        if (!userId) {
+            throw new ApiError("Missing userId", ErrCode.BadValue);
+        }
+        const lastEventId = parseInt(req.expressReq.header("Last-Event-ID") ?? "");
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive",
+        });
+        res.write(`retry: ${EVENT_STREAM_RETRY_MS}\n\n`);
+        if (lastEventId < this.firstEventId || lastEventId >= this.nextEventId) {
+            // This process did not issue the ID, so we cannot know which events were missed.
+            writeEvent(res, { id: this.nextEventId++, type: "reset", data: {} });
+        }
+        else if (!isNaN(lastEventId)) {
+            this.recentEvents.get(userId)?.filter(e => e.id > lastEventId).forEach(e => writeEvent(res, e));
+        }
+
+        const streams = this.eventStreams.get(userId) ?? new Map<Response, string|undefined>();
+        streams.set(res, req.widgetToken);
+        this.eventStreams.set(userId, streams);
+        const keepalive = setInterval(() => res.write(": keepalive\n\n"), EVENT_STREAM_KEEPALIVE_MS);
+        res.on("close", () => {
+            clearInterval(keepalive);
+            streams.delete(res);
+            if (streams.size === 0 && this.eventStreams.get(userId) === streams) {
+                this.eventStreams.delete(userId);
+            }
+        });
+        req.log.debug(`Opened event stream for ${userId}`);
+    }
+
+    /**
+     * End the event streams of a user, such as when their session is revoked.
+     * @param userId The user whose streams should be ended.
+     * @param token Only end streams opened with this widget token.
+     */
+    private closeEventStreams(userId: string, token?: string) {
+        this.eventStreams.get(userId)?.forEach((streamToken, stream) => {
+            if (!token || streamToken === token) {
+                stream.end();
+            }
+        });
+    }
+
+    private postEventStreamTicket(req: ProvisioningRequest, res: Response<EventStreamTicketResponseBody>) {
+        if (!req.widgetToken) {
+            throw new ApiError("Tickets may only be created by widgets", ErrCode.UnsupportedOperation);
+        }
+        const ticket = randomUUID();
+        this.eventStreamTickets.set(ticket, req.widgetToken);
+        res.send({ ticket, expiresTs: Date.now() + EVENT_STREAM_TICKET_LIFETIME_MS });
+    }
+
+    private createWidgetToken() {
+        return this.widgetTokenPrefix + randomUUID().replace(/-/g, "");
+    }
+
+    private async getSessionsForRequest(req: ProvisioningRequest) {
+        if (!this.store.getSessionsForUser) {
+            throw new ApiError("Listing sessions is not supported", ErrCode.UnsupportedOperation);
+        }
+        if (!req.userId) {
+            throw new ApiError("Missing userId", ErrCode.BadValue);
+        }
+        return this.store.getSessionsForUser(req.userId);
+    }
+
+    private async getSessions(req: ProvisioningRequest, res: Response<GetSessionsResponseBody>) {
+        const sessions = await this.getSessionsForRequest(req);
+        res.send({
+            sessions: sessions.map(session => ({
+                id: getSessionId(session.token),
+                createdTs: session.createdTs,
+                expiresTs: session.expiresTs,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                current: session.token === req.widgetToken,
+            })),
+        });
+    }
+
+    private async deleteSessionById(req: ProvisioningRequest, res: Response) {
+        const sessions = await this.getSessionsForRequest(req);
+        const session = sessions.find(s => getSessionId(s.token) === req.expressReq.params.id);
+        if (!session) {
+            throw new ApiError("Session not found", ErrCode.NotFound);
+        }
+        try {
+            await this.store.deleteSession(session.token);
+        }
+        catch (ex) {
+            req.log.error("Failed to delete session", ex);
+            throw new ApiError("Session could not be deleted", ErrCode.Unknown);
+        }
+        this.closeEventStreams(session.userId, session.token);
+        res.send({ok: true});
+    }
+
+    private getLinkOpts(): ProvisioningLinkOpts {
+        if (!this.opts.links) {
+            throw new ApiError("Linking is not enabled", ErrCode.DisabledFeature);
+        }
+        return this.opts.links;
+    }
+
+    /**
+     * Check that the user making the request has a high enough power level in a room
+     * to change its links.
+     */
+    private async checkLinkPermission(req: ProvisioningRequest, roomId: string): Promise<void> {
+        if (!req.userId) {
+            throw new ApiError("Missing userId", ErrCode.BadValue);
+        }
+        const { intent, requiredPowerLevel } = this.getLinkOpts();
+        let powerLevels: PowerLevelContent|null;
+        try {
+            powerLevels = await intent.getStateEvent(roomId, "m.room.power_levels", "", true);
+        }
+        catch (ex) {
+            req.log.warn(`Failed to fetch power levels for ${roomId}`, ex);
+            throw new ApiError("Could not check the power levels of the room", ErrCode.Forbidden);
+        }
+        const userLevel = Number(powerLevels?.users?.[req.userId] ?? powerLevels?.users_default ?? 0);
+        const neededLevel = requiredPowerLevel ?? Number(powerLevels?.state_default ?? 50);
+        if (userLevel < neededLevel) {
+            throw new ApiError(
+                "User does not have a high enough power level in the room", ErrCode.Forbidden, -1, {
+                    required: neededLevel,
+                }
+            );
+        }
+    }
+
+    private async getLinks(req: SchemaRequest<typeof LinkRouteSchemas.get>, res: Response<GetLinksResponseBody>) {
+        const { roomId } = req.query;
+        await this.checkLinkPermission(req, roomId);
+        const entries = await this.getLinkOpts().roomStore.getEntriesByMatrixId(roomId);
+        res.send({
+            links: entries.filter(entry => entry.id && entry.remote).map(entry => toLinkInfo(entry)),
+        });
+    }
+
+    private async putLink(req: SchemaRequest<typeof LinkRouteSchemas.put>, res: Response<RoomLinkInfo>) {
+        const { roomStore, controller, validator } = this.getLinkOpts();
+        const { roomId, remote } = req.body;
+        await this.checkLinkPermission(req, roomId);
+        if (validator) {
+            try {
+                await validator.validateRoom(roomId);
+            }
+            catch (ex) {
+                req.log.info(`Room ${roomId} failed validation`, ex);
+                throw new ApiError("Room cannot be linked due to conflicting users", ErrCode.Forbidden);
+            }
+        }
+        const { remoteRoom, data } = await controller.linkRoom(req, roomId, remote);
+        await roomStore.linkRooms(new MatrixRoom(roomId), remoteRoom, data);
+        const entry = (await roomStore.getEntriesByMatrixId(roomId)).find(
+            e => e.remote?.getId() === remoteRoom.getId()
+        );
+        if (!entry) {
+            throw new ApiError("Link could not be stored", ErrCode.Unknown);
+        }
+        res.send(toLinkInfo(entry));
+    }
+
+    private async deleteLink(req: SchemaRequest<typeof LinkRouteSchemas.delete>, res: Response) {
+        const { roomStore, controller } = this.getLinkOpts();
+        const { roomId, linkId } = req.body;
+        await this.checkLinkPermission(req, roomId);
+        const entry = await roomStore.getEntryById(linkId);
+        // Don't reveal links belonging to other rooms.
+        if (!entry?.remote || entry.matrix?.getId() !== roomId) {
+            throw new ApiError("Link not found", ErrCode.NotFound);
+        }
+        await controller.unlinkRoom?.(req, entry);
+        await roomStore.removeEntryById(linkId);
         res.send({ok: true});
     }
 
@@ -401,14 +1307,17 @@ export class ProvisioningApi {
                 throw new ApiError("Server returned a MXID belonging to another homeserver", ErrCode.BadOpenID);
             }
 
-            const token = this.widgetTokenPrefix + randomUUID().replace(/-/g, "");
+            const token = this.createWidgetToken();
             const expiresTs = Date.now() + this.widgetTokenLifetimeMs;
             await this.store.createSession({
                 userId,
                 token,
                 expiresTs,
+                createdTs: Date.now(),
+                userAgent: req.headers["user-agent"],
+                ip: req.ip,
             });
-            res.send({ token, userId });
+            res.send({ token, userId, expiresTs });
         }
         catch (ex) {
             log.warn(`Failed to exchange the token for ${server}`, ex);
@@ -447,3 +1356,33 @@ export class ProvisioningApi {
         }
     }
 }
+
+/**
+ * Sessions are identified by a hash of their token, so that the token itself is never revealed.
+ */
+function getSessionId(token: string) {
+    return createHash("sha256").update(token).digest("hex").slice(0, 16);
+}
+
+function toLinkInfo(entry: RoomBridgeStoreEntry): RoomLinkInfo {
+    return {
+        id: entry.id as string,
+        roomId: entry.matrix?.getId() as string,
+        remoteId: entry.remote?.getId() as string,
+        remote: entry.remote?.serialize() ?? {},
+        data: entry.data,
+    };
+}
+
+function writeEvent(stream: Response, event: ProvisioningEvent) {
+    stream.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+function getRequestRoomId(req: Request): string|undefined {
+    return [req.params?.roomId, req.query?.roomId, req.body?.roomId].find(r => typeof r === "string");
+}
+
+function globToRegExp(glob: string) {
+    const pattern = glob.split("*").map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(`^${pattern}$`);
+}
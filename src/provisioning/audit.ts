@@ -0,0 +1,93 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * A record of an authenticated request to the provisioning API.
+ */
+export interface ProvisioningAuditEntry {
+    ts: number;
+    /**
+     * The ID of the {@link ProvisioningRequest}, which also appears in its log lines.
+     */
+    requestId: string;
+    userId: string|null;
+    source: "widget"|"provisioner";
+    /**
+     * The name of the provisioning token used, for provisioner requests.
+     */
+    tokenName?: string;
+    method: string;
+    /**
+     * The path of the route, as given to {@link ProvisioningApi#addRoute}.
+     */
+    path: string;
+    fnName?: string;
+    /**
+     * The room the request acted on, if the request had a `roomId`.
+     */
+    roomId?: string;
+    outcome: "success"|"failure";
+    /**
+     * The error code the request failed with.
+     */
+    errcode?: string;
+}
+
+export interface ProvisioningAuditQuery {
+    userId?: string;
+    roomId?: string;
+    /**
+     * The maximum number of entries to return.
+     */
+    limit?: number;
+}
+
+/**
+ * Somewhere to record provisioning actions.
+ */
+export interface ProvisioningAuditSink {
+    record(entry: ProvisioningAuditEntry): Promise<void>|void;
+    /**
+     * Get the most recent entries matching the query, newest first. Sinks which
+     * implement this can be queried through the `/v1/admin/audit` route.
+     */
+    query?(query: ProvisioningAuditQuery): Promise<ProvisioningAuditEntry[]>|ProvisioningAuditEntry[];
+}
+
+/**
+ * An audit sink which keeps the most recent entries in memory.
+ */
+export class MemoryProvisioningAuditSink implements ProvisioningAuditSink {
+    private readonly entries: ProvisioningAuditEntry[] = [];
+
+    /**
+     * @param maxEntries The number of entries to keep. Older entries are discarded.
+     */
+    constructor(private readonly maxEntries = 1000) { }
+
+    public record(entry: ProvisioningAuditEntry): void {
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+    }
+
+    public query(query: ProvisioningAuditQuery): ProvisioningAuditEntry[] {
+        return this.entries.filter(entry =>
+            (query.userId === undefined || entry.userId === query.userId) &&
+            (query.roomId === undefined || entry.roomId === query.roomId)
+        ).reverse().slice(0, query.limit);
+    }
+}
@@ -0,0 +1,98 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { NextFunction, Request, RequestHandler, Response } from "express";
+
+export interface ProvisioningCorsOpts {
+    /**
+     * Origins which may make requests to the API. Each entry is either an exact origin such
+     * as `https://app.example.com`, an origin with a wildcard subdomain such as
+     * `https://*.example.com`, or `*` to allow any origin.
+     *
+     * Defaults to `["*"]`.
+     */
+    allowedOrigins?: string[];
+    /**
+     * Request headers which browsers may send. Defaults to {@link DefaultCorsAllowedHeaders}.
+     */
+    allowedHeaders?: string[];
+    /**
+     * Allow browsers to send credentials, such as cookies. This cannot be used if any origin is allowed.
+     */
+    allowCredentials?: boolean;
+    /**
+     * How long browsers may cache the result of a preflight request. Defaults to 10 minutes.
+     */
+    maxAgeSecs?: number;
+}
+
+export const DefaultCorsAllowedHeaders = ["Authorization", "Content-Type", "Last-Event-ID"];
+const AllowedMethods = "GET,PUT,POST,DELETE";
+const DEFAULT_MAX_AGE_SECS = 600;
+
+/**
+ * Create a middleware which adds CORS headers to responses for allowed origins, and
+ * answers preflight requests.
+ * @param opts Options for which origins and headers are allowed.
+ * @throws If credentials are allowed from any origin.
+ */
+export function createCorsMiddleware(opts: ProvisioningCorsOpts = {}): RequestHandler {
+    const allowedOrigins = opts.allowedOrigins ?? ["*"];
+    const allowAnyOrigin = allowedOrigins.includes("*");
+    if (allowAnyOrigin && opts.allowCredentials) {
+        throw Error("CORS credentials cannot be allowed for any origin");
+    }
+    const originPatterns = allowedOrigins.filter(o => o !== "*").map(originToRegExp);
+    const allowedHeaders = (opts.allowedHeaders ?? DefaultCorsAllowedHeaders).join(",");
+    const maxAgeSecs = (opts.maxAgeSecs ?? DEFAULT_MAX_AGE_SECS).toString();
+
+    return (req: Request, res: Response, next: NextFunction) => {
+        const origin = req.header("Origin");
+        let allowed = allowAnyOrigin;
+        if (allowAnyOrigin) {
+            res.header("Access-Control-Allow-Origin", "*");
+        }
+        else {
+            // The response depends on the origin, so caches must not share it between origins.
+            res.vary("Origin");
+            allowed = !!origin && originPatterns.some(pattern => pattern.test(origin));
+            if (allowed) {
+                res.header("Access-Control-Allow-Origin", origin);
+            }
+        }
+        if (allowed && opts.allowCredentials) {
+            res.header("Access-Control-Allow-Credentials", "true");
+        }
+
+        if (req.method !== "OPTIONS" || !req.header("Access-Control-Request-Method")) {
+            next();
+            return;
+        }
+        // A preflight request, which must not reach authentication.
+        if (allowed) {
+            res.header("Access-Control-Allow-Methods", AllowedMethods);
+            res.header("Access-Control-Allow-Headers", allowedHeaders);
+            res.header("Access-Control-Max-Age", maxAgeSecs);
+        }
+        res.status(204).end();
+    };
+}
+
+function originToRegExp(origin: string) {
+    const pattern = origin.replace(/\/$/, "").split("*.")
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join("(?:[a-z0-9-]+\\.)+");
+    return new RegExp(`^${pattern}$`, "i");
+}
@@ -26,17 +26,27 @@ export enum ErrCode {
      * Couldn't complete the openId process.
      */
     BadOpenID = "M_AS_BAD_OPENID",
+    /**
+     * The requested resource could not be found.
+     */
+    NotFound = "M_AS_NOT_FOUND",
+    /**
+     * The user is not permitted to perform the operation.
+     */
+    Forbidden = "M_AS_FORBIDDEN",
 
     Ratelimited = "M_AS_LIMIT_EXCEEDED"
 }
 
-const ErrCodeToStatusCode: Record<ErrCode, number> = {
+export const ErrCodeToStatusCode: Record<ErrCode, number> = {
     M_AS_UNKNOWN: 500,
     M_AS_UNSUPPORTED_OPERATION: 400,
     M_AS_BAD_VALUE: 400,
     M_AS_BAD_TOKEN: 401,
     M_AS_DISABLED_FEATURE: 500,
     M_AS_BAD_OPENID: 500,
+    M_AS_NOT_FOUND: 404,
+    M_AS_FORBIDDEN: 403,
     M_AS_LIMIT_EXCEEDED: 429,
 }
 
@@ -0,0 +1,82 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import type Datastore from "nedb";
+import { BridgeStore } from "../components/bridge-store";
+import { ProvisionSession, ProvisioningStore } from "./store";
+
+/**
+ * A {@link ProvisioningStore} which persists sessions to a NeDB datastore file, so they
+ * survive restarts. Expired sessions are purged as they are encountered.
+ *
+ * @example
+ * const store = new FileProvisioningStore(new Datastore({ filename: "provisioning.db", autoload: true }));
+ */
+export class FileProvisioningStore extends BridgeStore implements ProvisioningStore {
+    /**
+     * Construct a store for provisioning sessions.
+     * @param db The connected NEDB database instance
+     */
+    constructor(db: Datastore) {
+        super(db);
+        this.setUnique("token");
+    }
+
+    public async getSessionForToken(token: string): Promise<ProvisionSession|null> {
+        const session = await this.selectOne({ token }, toSession);
+        if (session && session.expiresTs < Date.now()) {
+            await this.deleteSession(token);
+            return null;
+        }
+        return session;
+    }
+
+    public async createSession(session: ProvisionSession): Promise<void> {
+        await this.purgeExpiredSessions();
+        // The unique index on token rejects conflicts.
+        await this.insert({ ...session });
+    }
+
+    public async deleteSession(token: string): Promise<void> {
+        await this.delete({ token });
+    }
+
+    public async deleteAllSessions(userId: string): Promise<void> {
+        await this.delete({ userId });
+    }
+
+    public async updateSessionExpiry(token: string, expiresTs: number): Promise<void> {
+        await this.update({ token }, { $set: { expiresTs } });
+    }
+
+    public async getSessionsForUser(userId: string): Promise<ProvisionSession[]> {
+        await this.purgeExpiredSessions();
+        return this.select({ userId }, toSession);
+    }
+
+    /**
+     * Remove every session which has expired.
+     * @return Resolves to the number of sessions removed.
+     */
+    public async purgeExpiredSessions(): Promise<number> {
+        return this.delete({ expiresTs: { $lt: Date.now() } });
+    }
+}
+
+function toSession(doc: ProvisionSession & { _id?: string }): ProvisionSession {
+    // eslint-disable-next-line @typescript-eslint/no-unused-vars
+    const { _id, ...session } = doc;
+    return session;
+}
@@ -2,3 +2,9 @@ export * from "./api";
 export * from "./store";
 export * from "./request";
 export * from "./errors";
+export * from "./file-store";
+export * from "./postgres-store";
+export * from "./schema";
+export * from "./openapi";
+export * from "./audit";
+export * from "./cors";
@@ -0,0 +1,157 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { ErrCode, ErrCodeToStatusCode } from "./errors";
+import type { Methods } from "./request";
+import type { JsonSchema, RouteSchemas } from "./schema";
+
+/**
+ * Metadata about a provisioning route, used to describe it in the OpenAPI document.
+ */
+export interface ProvisioningRouteInfo {
+    method: Methods;
+    /**
+     * The express path of the route, relative to the API prefix.
+     */
+    path: string;
+    schemas: RouteSchemas;
+    /**
+     * Does the route require a provisioning or widget token.
+     */
+    authenticated: boolean;
+}
+
+export interface OpenApiInfo {
+    /**
+     * Defaults to "Provisioning API".
+     */
+    title?: string;
+    /**
+     * The version of the API. Defaults to "1".
+     */
+    version?: string;
+    description?: string;
+}
+
+type OpenApiObject = Record<string, unknown>;
+
+/**
+ * Build an OpenAPI 3 document describing a set of provisioning routes.
+ * @param routes The routes to describe.
+ * @param apiPrefix The prefix the routes are served under.
+ * @param info Information about the API.
+ * @param commonErrors Error codes which any authenticated route may respond with.
+ */
+export function buildOpenApiDocument(
+    routes: ProvisioningRouteInfo[], apiPrefix: string, info: OpenApiInfo = {}, commonErrors: ErrCode[] = [],
+): OpenApiObject {
+    const paths: Record<string, Record<string, OpenApiObject>> = {};
+    for (const route of routes) {
+        // Express path parameters (":id") are written as "{id}" in OpenAPI.
+        const path = route.path.replace(/:(\w+)/g, "{$1}");
+        const errors = [
+            ...(route.authenticated ? [ErrCode.BadToken, ...commonErrors] : []),
+            ...(route.schemas.params || route.schemas.query || route.schemas.body ? [ErrCode.BadValue] : []),
+            ...(route.schemas.ratelimit && !commonErrors.includes(ErrCode.Ratelimited) ? [ErrCode.Ratelimited] : []),
+            ...(route.schemas.errors ?? []),
+        ];
+        paths[path] = paths[path] ?? {};
+        paths[path][route.method] = {
+            ...(route.schemas.summary && { summary: route.schemas.summary }),
+            ...(route.schemas.description && { description: route.schemas.description }),
+            parameters: [
+                ...pathParameters(route.path, route.schemas.params),
+                ...schemaParameters("query", route.schemas.query),
+            ],
+            ...(route.schemas.body && {
+                requestBody: {
+                    required: true,
+                    content: { "application/json": { schema: route.schemas.body } },
+                },
+            }),
+            responses: {
+                "200": {
+                    description: "Success",
+                    ...(route.schemas.response && {
+                        content: { "application/json": { schema: route.schemas.response } },
+                    }),
+                },
+                ...errorResponses(errors),
+            },
+            ...(route.authenticated ? {} : { security: [] }),
+        };
+    }
+    return {
+        openapi: "3.0.3",
+        info: {
+            title: info.title ?? "Provisioning API",
+            version: info.version ?? "1",
+            ...(info.description && { description: info.description }),
+        },
+        servers: [{ url: apiPrefix }],
+        paths,
+        security: [{ bearer: [] }],
+        components: {
+            securitySchemes: {
+                bearer: {
+                    type: "http",
+                    scheme: "bearer",
+                    description: "A provisioning token, or a widget token from /v1/exchange_openid",
+                },
+            },
+        },
+    };
+}
+
+function pathParameters(path: string, schema?: JsonSchema) {
+    return [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name,
+        in: "path",
+        required: true,
+        schema: schema?.properties?.[name] ?? { type: "string" },
+    }));
+}
+
+function schemaParameters(location: "query", schema?: JsonSchema) {
+    return Object.entries(schema?.properties ?? {}).map(([name, propertySchema]) => ({
+        name,
+        in: location,
+        required: schema?.required?.includes(name) ?? false,
+        schema: propertySchema,
+    }));
+}
+
+function errorResponses(errors: ErrCode[]) {
+    const byStatus = new Map<number, Set<ErrCode>>();
+    for (const errcode of errors) {
+        const status = ErrCodeToStatusCode[errcode];
+        byStatus.set(status, (byStatus.get(status) ?? new Set()).add(errcode));
+    }
+    return Object.fromEntries([...byStatus].map(([status, errcodes]) => [status.toString(), {
+        description: [...errcodes].join(", "),
+        content: {
+            "application/json": {
+                schema: {
+                    type: "object",
+                    properties: {
+                        errcode: { type: "string", enum: [...errcodes] },
+                        error: { type: "string" },
+                    },
+                    required: ["errcode", "error"],
+                },
+            },
+        },
+    }]));
+}
@@ -0,0 +1,141 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { PostgresStore, PostgresStoreOpts, SchemaMigration } from "../components/stores/postgres-store";
+import { ProvisionSession, ProvisioningStore } from "./store";
+
+const schemas: SchemaMigration[] = [
+    {
+        up: async (sql) => {
+            await sql.begin(s => [
+                s`CREATE TABLE provisioning_sessions (
+                    token TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    expires_ts BIGINT NOT NULL
+                );`,
+                s`CREATE INDEX provisioning_sessions_user_id ON provisioning_sessions (user_id);`,
+                s`CREATE INDEX provisioning_sessions_expires_ts ON provisioning_sessions (expires_ts);`,
+            ]);
+        },
+        down: async (sql) => {
+            await sql`DROP TABLE provisioning_sessions;`;
+        },
+        checksum: "1",
+    },
+    {
+        up: async (sql) => {
+            await sql`ALTER TABLE provisioning_sessions
+                ADD COLUMN created_ts BIGINT,
+                ADD COLUMN user_agent TEXT,
+                ADD COLUMN ip TEXT;`;
+        },
+        down: async (sql) => {
+            await sql`ALTER TABLE provisioning_sessions
+                DROP COLUMN created_ts,
+                DROP COLUMN user_agent,
+                DROP COLUMN ip;`;
+        },
+        checksum: "1",
+    },
+];
+
+interface SessionRow {
+    token: string;
+    // eslint-disable-next-line camelcase
+    user_id: string;
+    // eslint-disable-next-line camelcase
+    expires_ts: string;
+    // eslint-disable-next-line camelcase
+    created_ts: string|null;
+    // eslint-disable-next-line camelcase
+    user_agent: string|null;
+    ip: string|null;
+}
+
+/**
+ * A PostgreSQL implementation of {@link ProvisioningStore}, so that sessions survive
+ * restarts and may be shared between processes. Expired sessions are purged as they
+ * are encountered.
+ */
+export class PostgresProvisioningStore extends PostgresStore implements ProvisioningStore {
+    /**
+     * Construct a store for provisioning sessions.
+     * @param opts Options to supply to the PostgreSQL client, such as `url`.
+     */
+    constructor(opts: PostgresStoreOpts) {
+        super(schemas, { schemaTable: "provisioning_store_schema", ...opts });
+    }
+
+    public async getSessionForToken(token: string): Promise<ProvisionSession|null> {
+        const [row] = await this.sql<SessionRow[]>`SELECT * FROM provisioning_sessions WHERE token = ${token};`;
+        if (!row) {
+            return null;
+        }
+        const session = rowToSession(row);
+        if (session.expiresTs < Date.now()) {
+            await this.deleteSession(token);
+            return null;
+        }
+        return session;
+    }
+
+    public async createSession(session: ProvisionSession): Promise<void> {
+        await this.purgeExpiredSessions();
+        // The primary key rejects conflicts.
+        await this.sql`INSERT INTO provisioning_sessions (token, user_id, expires_ts, created_ts, user_agent, ip)
+            VALUES (
+                ${session.token}, ${session.userId}, ${session.expiresTs},
+                ${session.createdTs ?? null}, ${session.userAgent ?? null}, ${session.ip ?? null}
+            );`;
+    }
+
+    public async deleteSession(token: string): Promise<void> {
+        await this.sql`DELETE FROM provisioning_sessions WHERE token = ${token};`;
+    }
+
+    public async deleteAllSessions(userId: string): Promise<void> {
+        await this.sql`DELETE FROM provisioning_sessions WHERE user_id = ${userId};`;
+    }
+
+    public async updateSessionExpiry(token: string, expiresTs: number): Promise<void> {
+        await this.sql`UPDATE provisioning_sessions SET expires_ts = ${expiresTs} WHERE token = ${token};`;
+    }
+
+    public async getSessionsForUser(userId: string): Promise<ProvisionSession[]> {
+        const rows = await this.sql<SessionRow[]>`SELECT * FROM provisioning_sessions
+            WHERE user_id = ${userId} AND expires_ts >= ${Date.now()};`;
+        return rows.map(rowToSession);
+    }
+
+    /**
+     * Remove every session which has expired.
+     * @return Resolves to the number of sessions removed.
+     */
+    public async purgeExpiredSessions(): Promise<number> {
+        const result = await this.sql`DELETE FROM provisioning_sessions WHERE expires_ts < ${Date.now()};`;
+        return result.count;
+    }
+}
+
+function rowToSession(row: SessionRow): ProvisionSession {
+    return {
+        token: row.token,
+        userId: row.user_id,
+        expiresTs: Number(row.expires_ts),
+        ...(row.created_ts !== null && { createdTs: Number(row.created_ts) }),
+        ...(row.user_agent !== null && { userAgent: row.user_agent }),
+        ...(row.ip !== null && { ip: row.ip }),
+    };
+}
@@ -49,6 +49,10 @@ export class ProvisioningRequest<
         public readonly requestSource: "widget"|"provisioner",
         public readonly widgetToken?: string,
         public readonly fnName?: string,
+        /**
+         * The name of the provisioning token used to make the request, if any.
+         */
+        public readonly tokenName?: string,
     ) {
         this.id = crypto.randomBytes(4).toString('hex');
         this.fnName = fnName || expressReq.path;
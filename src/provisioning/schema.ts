@@ -0,0 +1,135 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import validator from "is-my-json-valid";
+import type { ParsedQs } from "qs";
+import type { Options as RatelimitOptions } from "express-rate-limit";
+import { ApiError, ErrCode } from "./errors";
+import type { ProvisioningRequest } from "./request";
+
+/**
+ * The subset of JSON Schema which {@link FromSchema} can infer types from. Other
+ * keywords are still validated, but do not affect the inferred type.
+ */
+export interface JsonSchema {
+    type?: "string"|"number"|"integer"|"boolean"|"null"|"array"|"object";
+    enum?: readonly unknown[];
+    properties?: Readonly<Record<string, JsonSchema>>;
+    required?: readonly string[];
+    items?: JsonSchema;
+    [keyword: string]: unknown;
+}
+
+type RequiredKeys<S> = S extends { required: readonly (infer R)[] } ? R : never;
+
+type ObjectFromSchema<P, R> = {
+    -readonly [K in keyof P as K extends R ? K : never]: FromSchema<P[K]>;
+} & {
+    -readonly [K in keyof P as K extends R ? never : K]?: FromSchema<P[K]>;
+};
+
+/**
+ * Infer the TypeScript type of values which pass validation against a JSON schema.
+ */
+export type FromSchema<S> =
+    S extends { enum: readonly (infer E)[] } ? E :
+    S extends { type: "string" } ? string :
+    S extends { type: "number"|"integer" } ? number :
+    S extends { type: "boolean" } ? boolean :
+    S extends { type: "null" } ? null :
+    S extends { type: "array", items: infer I } ? FromSchema<I>[] :
+    S extends { type: "object", properties: infer P } ? ObjectFromSchema<P, RequiredKeys<S>> :
+    S extends { type: "object" } ? Record<string, unknown> :
+    unknown;
+
+/**
+ * JSON schemas to validate a request against. Values in `params` and `query` are
+ * always strings (or arrays of strings for repeated query parameters).
+ *
+ * The remaining fields are not validated, and only describe the route in the OpenAPI document.
+ */
+export interface RouteSchemas {
+    params?: JsonSchema;
+    query?: JsonSchema;
+    body?: JsonSchema;
+    /**
+     * The schema of a successful response.
+     */
+    response?: JsonSchema;
+    summary?: string;
+    description?: string;
+    /**
+     * Error codes the handler may respond with.
+     */
+    errors?: readonly ErrCode[];
+    /**
+     * Rate limit this route separately, in addition to any API-wide rate limit. Options which are
+     * not given are taken from the `ratelimit` option of the API.
+     */
+    ratelimit?: Partial<RatelimitOptions>;
+}
+
+type RequestPart<S, K extends keyof RouteSchemas, Default> =
+    S extends { [key in K]: infer P } ? FromSchema<P> : Default;
+
+/**
+ * A request to a route with the given schemas, typed according to those schemas.
+ */
+export type SchemaRequest<S extends RouteSchemas> = ProvisioningRequest<
+    RequestPart<S, "params", {[key: string]: string}>,
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    any,
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    RequestPart<S, "body", any>,
+    RequestPart<S, "query", ParsedQs>
+>;
+
+export interface RequestValidationError {
+    /**
+     * The invalid field, such as `body.roomId`.
+     */
+    field: string;
+    message: string;
+}
+
+/**
+ * Compile a set of route schemas into a function which checks a request against them.
+ * @returns A function which throws an {@link ApiError} with the code {@link ErrCode.BadValue}
+ *          if the request is invalid.
+ */
+export function compileRouteSchemas(schemas: RouteSchemas) {
+    const validators = (["params", "query", "body"] as const).filter(part => schemas[part]).map(part => ({
+        part,
+        validate: validator(schemas[part] as Parameters<typeof validator>[0], { verbose: true, greedy: true }),
+    }));
+    return (req: { params: unknown, query: unknown, body: unknown }) => {
+        const errors: RequestValidationError[] = [];
+        for (const { part, validate } of validators) {
+            if (!validate(req[part])) {
+                errors.push(...validate.errors.map(error => ({
+                    // Fields are reported relative to "data", the root of the validated value.
+                    field: error.field.replace(/^data/, part),
+                    message: error.message,
+                })));
+            }
+        }
+        if (errors.length) {
+            throw new ApiError(
+                `Invalid request: ${errors.map(e => `${e.field} ${e.message}`).join(", ")}`,
+                ErrCode.BadValue, -1, { errors },
+            );
+        }
+    };
+}
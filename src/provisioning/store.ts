@@ -2,6 +2,18 @@ export interface ProvisionSession {
     userId: string;
     token: string;
     expiresTs: number;
+    /**
+     * When the session was created.
+     */
+    createdTs?: number;
+    /**
+     * The user agent of the client which created the session.
+     */
+    userAgent?: string;
+    /**
+     * The IP address of the client which created the session.
+     */
+    ip?: string;
 }
 
 
@@ -10,6 +22,15 @@ export interface ProvisioningStore {
     createSession(session: ProvisionSession): Promise<void>|void;
     deleteSession(token: string): Promise<void>|void;
     deleteAllSessions(userId: string): Promise<void>|void;
+    /**
+     * Get all sessions for a user which have not yet expired.
+     */
+    getSessionsForUser?(userId: string): Promise<ProvisionSession[]>|ProvisionSession[];
+    /**
+     * Change when a session expires. If not implemented, sessions are refreshed by
+     * replacing them with a new token.
+     */
+    updateSessionExpiry?(token: string, expiresTs: number): Promise<void>|void;
 }
 
 export class MemoryProvisioningStore implements ProvisioningStore {
@@ -20,6 +41,10 @@ export class MemoryProvisioningStore implements ProvisioningStore {
         if (!session) {
             return null;
         }
+        if (session.expiresTs < Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
         return session;
     }
 
@@ -38,4 +63,17 @@ export class MemoryProvisioningStore implements ProvisioningStore {
     public deleteAllSessions(userId: string): void {
         [...this.sessions.values()].filter((s) => s.userId === userId).forEach(s => this.sessions.delete(s.token));
     }
+
+    public updateSessionExpiry(token: string, expiresTs: number): void {
+        const session = this.sessions.get(token);
+        if (session) {
+            this.sessions.set(token, { ...session, expiresTs });
+        }
+    }
+
+    public getSessionsForUser(userId: string): ProvisionSession[] {
+        return [...this.sessions.values()].filter(
+            (s) => s.userId === userId && this.getSessionForToken(s.token) !== null
+        );
+    }
 }
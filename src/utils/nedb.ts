@@ -0,0 +1,48 @@
+/*
+Copyright 2024 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import type Datastore from "nedb";
+import { BridgeStore } from "../components/bridge-store";
+
+/**
+ * Load a NeDB database file and wrap it in the given store class.
+ * @param path The path to the .db file. It will be created if it does not exist.
+ * @param Cls The store class to construct with the loaded database.
+ * @throws If `nedb` is not installed, or the file could not be loaded.
+ */
+export async function loadDatabase<T extends BridgeStore>(path: string, Cls: new (db: Datastore) => T) {
+    let DatastoreCls: typeof Datastore;
+    try {
+        DatastoreCls = (await import("nedb")).default;
+    }
+    catch (ex) {
+        throw Error('nedb could not be imported. You will need to add this package as a peer dependency.');
+    }
+    return new Promise<T>((resolve, reject) => {
+        const dbInstance = new DatastoreCls({
+            filename: path,
+            autoload: true,
+            onload: function(err) {
+                if (err) {
+                    reject(err);
+                }
+                else {
+                    resolve(new Cls(dbInstance));
+                }
+            }
+        });
+    });
+}